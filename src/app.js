@@ -1,63 +1,171 @@
 /**
  * Ponto de entrada da aplicação
  *
- * Inicializa o servidor WebSocket e gerencia ciclo de vida
- * da aplicação.
+ * Inicializa o servidor HTTP(S), anexa a ele o servidor WebSocket e
+ * gerencia ciclo de vida da aplicação.
  */
+// Carregar e validar a configuração antes dos demais módulos
+try {
+  require("./config/config");
+} catch (error) {
+  if (error.code !== "invalid_config") {
+    throw error;
+  }
+  console.error(error.message);
+  process.exit(1);
+}
+
 const express = require("express");
+const fs = require("fs");
 const http = require("http");
+const https = require("https");
 const wsServer = require("./websocket/wsServer");
+const { registerTools } = require("./tools");
+const sessionRoutes = require("./routes/sessionRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const metricsService = require("./services/metricsService");
+const openaiService = require("./services/openaiService");
+const configService = require("./services/configService");
+const healthService = require("./services/healthService");
+const authService = require("./services/authService");
 const config = require("./config/config");
 const logger = require("./utils/logger");
 
-// Verificar variáveis de ambiente necessárias
-if (!process.env.OPENAI_API_KEY) {
+// Verificar a configuração necessária
+if (!config.openai.apiKey) {
+  logger.error(
+    "API key da OpenAI não encontrada. Defina OPENAI_API_KEY ou openai.apiKey no arquivo de configuração."
+  );
+  process.exit(1);
+}
+
+// Conexões anônimas só com AUTH_REQUIRED=false explícito
+if (authService.isEnabled() && !authService.hasStrategies()) {
   logger.error(
-    "API key da OpenAI não encontrada. Defina a variável de ambiente OPENAI_API_KEY."
+    "Nenhuma estratégia de autenticação configurada. Defina AUTH_TOKENS, AUTH_JWT_SECRET ou AUTH_JWT_PUBLIC_KEY_FILE (ou AUTH_REQUIRED=false para aceitar conexões anônimas)."
   );
   process.exit(1);
 }
 
+// HTTPS/WSS nativo (TLS_CERT_FILE e TLS_KEY_FILE)
+const tlsEnabled = Boolean(
+  config.server.tls.certFile && config.server.tls.keyFile
+);
+if (!tlsEnabled && (config.server.tls.certFile || config.server.tls.keyFile)) {
+  logger.warn("TLS desativado: informe TLS_CERT_FILE e TLS_KEY_FILE");
+}
+
 // Criar aplicação Express para disponibilizar uma API REST simples
 const app = express();
 
 // Middleware para JSON
 app.use(express.json());
 
-// Rota simples para verificar se o servidor está online
-app.get("/health", (req, res) => {
-  res.json({
-    status: "ok",
-    timestamp: new Date().toISOString(),
-  });
+// Liveness: o processo responde e o servidor está escutando
+app.get(["/livez", "/health"], (req, res) => {
+  const liveness = healthService.getLiveness();
+  res.status(liveness.status === "ok" ? 200 : 503).json(liveness);
+});
+
+// Readiness: drenagem, limite de sessões e sonda da OpenAI
+app.get(["/readyz", "/ready"], (req, res) => {
+  const readiness = healthService.getReadiness();
+  res.status(readiness.status === "ready" ? 200 : 503).json(readiness);
 });
 
 // Informações sobre o servidor
 app.get("/info", (req, res) => {
+  const host = req.headers.host || `localhost:${config.server.port}`;
+
   res.json({
     name: "OpenAI Realtime Server",
     version: "1.0.0",
-    wsPort: config.server.port,
+    tls: tlsEnabled,
+    port: config.server.port,
+    endpoints: {
+      http: `${tlsEnabled ? "https" : "http"}://${host}`,
+      websocket: wsServer
+        .getPaths()
+        .map((path) => `${tlsEnabled ? "wss" : "ws"}://${host}${path}`),
+    },
     environment: process.env.NODE_ENV || "development",
   });
 });
 
-// Criar servidor HTTP
-const server = http.createServer(app);
+// Métricas no formato do Prometheus
+app.get("/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", metricsService.contentType);
+    res.send(await metricsService.getMetrics());
+  } catch (error) {
+    logger.error(`Erro ao coletar métricas: ${error.message}`, { error });
+    res.status(500).end();
+  }
+});
+
+// Dados das sessões (transcrições)
+app.use("/sessions", sessionRoutes);
+
+// API administrativa (ADMIN_TOKENS)
+app.use("/admin", adminRoutes);
+
+// Registrar ferramentas executadas no servidor
+registerTools();
 
-// Iniciar o servidor WebSocket
+// Criar servidor HTTPS quando houver certificado configurado
+const server = tlsEnabled
+  ? https.createServer(loadTlsOptions(config.server.tls), app)
+  : http.createServer(app);
+
+// Anexar o servidor WebSocket ao servidor HTTP(S)
 wsServer.initialize({
-  port: config.server.port,
+  server,
+  paths: [config.server.wsPath, ...config.server.extraPaths],
+});
+
+// Sem a porta (ex: EADDRINUSE) o servidor não atende nada, nem /livez
+server.on("error", (error) => {
+  logger.error(`Erro no servidor HTTP: ${error.message}`, { error });
+  process.exit(1);
+});
+
+// Iniciar o servidor HTTP(S)
+server.listen(config.server.port, () => {
+  const scheme = tlsEnabled ? "HTTPS" : "HTTP";
+  logger.info(`Servidor ${scheme} iniciado na porta ${config.server.port}`);
+  logger.info(`Endpoints WebSocket: ${wsServer.getPaths().join(", ")}`);
+
+  // Sonda periódica da OpenAI para /readyz
+  healthService.start();
 });
 
-// Iniciar o servidor HTTP
-const httpPort = process.env.HTTP_PORT || 3000;
-server.listen(httpPort, () => {
-  logger.info(`Servidor HTTP iniciado na porta ${httpPort}`);
-  logger.info(`Servidor WebSocket iniciado na porta ${config.server.port}`);
+/**
+ * Lê os arquivos de certificado configurados
+ * @param {Object} tls - Configuração TLS
+ * @returns {Object} - Opções para https.createServer
+ */
+function loadTlsOptions(tls) {
+  try {
+    return {
+      cert: fs.readFileSync(tls.certFile),
+      key: fs.readFileSync(tls.keyFile),
+      ca: tls.caFile ? fs.readFileSync(tls.caFile) : undefined,
+      passphrase: tls.passphrase || undefined,
+    };
+  } catch (error) {
+    logger.error(`Erro ao carregar certificado TLS: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Recarregar a configuração no SIGHUP ou quando os arquivos mudarem
+process.on("SIGHUP", () => {
+  logger.info("Sinal SIGHUP recebido. Recarregando configuração...");
+  configService.reload("SIGHUP");
 });
+configService.watch();
 
-// Tratar sinal de interrupção para encerramento limpo
+// Tratar sinal de interrupção para encerramento gradual
 process.on("SIGINT", () => {
   logger.info("Sinal SIGINT recebido. Encerrando aplicação...");
   shutdown();
@@ -68,10 +176,32 @@ process.on("SIGTERM", () => {
   shutdown();
 });
 
-// Função para encerramento limpo da aplicação
-function shutdown() {
-  // Fechar servidor WebSocket
+let shuttingDown = false;
+
+// Função para encerramento gradual da aplicação
+async function shutdown() {
+  // Um segundo sinal encerra imediatamente
+  if (shuttingDown) {
+    logger.warn("Encerramento forçado por novo sinal");
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  const { drainTimeout, forceTimeout } = config.shutdown;
+
+  // Forçar encerramento se a drenagem e o fechamento não terminarem
+  setTimeout(() => {
+    logger.error("Encerramento forçado após timeout");
+    process.exit(1);
+  }, drainTimeout + forceTimeout).unref();
+
+  // Aguardar as respostas em andamento, recusando novas conexões
+  await wsServer.drain(drainTimeout);
+
+  // Fechar servidor WebSocket e as conexões restantes com a OpenAI
+  healthService.stop();
   wsServer.close();
+  openaiService.closeAllConnections();
 
   // Fechar servidor HTTP
   server.close(() => {
@@ -80,12 +210,6 @@ function shutdown() {
     // Encerrar o processo
     process.exit(0);
   });
-
-  // Forçar encerramento após 10 segundos se não encerrar normalmente
-  setTimeout(() => {
-    logger.error("Encerramento forçado após timeout");
-    process.exit(1);
-  }, 10000);
 }
 
 // Tratar erros não capturados
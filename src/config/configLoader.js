@@ -0,0 +1,467 @@
+/**
+ * Carregamento da configuração em camadas
+ *
+ * Ordem de precedência (a última vence): valores padrão do schema,
+ * arquivo JSON ou YAML (--config ou CONFIG_FILE), variáveis de ambiente
+ * e opções de linha de comando (--caminho.do.campo=valor). O resultado
+ * é validado contra o schema e todos os problemas são informados juntos,
+ * cada um com a origem do valor.
+ */
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { SCHEMA } = require("./schema");
+
+/**
+ * Erro de configuração inválida
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - Problemas encontrados
+   */
+  constructor(problems) {
+    super(
+      `Configuração inválida:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.code = "invalid_config";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Copia um valor da configuração
+ * @param {*} value - Valor
+ * @returns {*} - Cópia profunda
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Verifica se um valor é um objeto simples
+ * @param {*} value - Valor
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Obtém o schema de um campo
+ * @param {string} param - Caminho do campo (ex: server.port)
+ * @returns {Object|null} - Schema ou null se o campo não existe
+ */
+function getSchema(param) {
+  let schema = SCHEMA;
+  for (const key of param.split(".")) {
+    schema =
+      (schema.properties && schema.properties[key]) ||
+      schema.additionalProperties;
+    if (!schema) {
+      return null;
+    }
+  }
+  return schema;
+}
+
+/**
+ * Lê um campo pelo caminho
+ * @param {Object} target - Objeto de configuração
+ * @param {string} param - Caminho do campo
+ * @returns {*} - Valor
+ */
+function getValue(target, param) {
+  return param
+    .split(".")
+    .reduce((value, key) => (isObject(value) ? value[key] : undefined), target);
+}
+
+/**
+ * Define um campo pelo caminho, criando os objetos intermediários
+ * @param {Object} target - Objeto de configuração
+ * @param {string} param - Caminho do campo
+ * @param {*} value - Valor
+ */
+function setValue(target, param, value) {
+  const keys = param.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!isObject(object[key])) {
+      object[key] = {};
+    }
+    return object[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Monta a configuração com os valores padrão
+ * @param {Object} schema - Schema do objeto
+ * @returns {Object} - Configuração padrão
+ */
+function buildDefaults(schema) {
+  const result = {};
+  Object.entries(schema.properties).forEach(([key, property]) => {
+    result[key] = property.properties
+      ? buildDefaults(property)
+      : property.default === undefined
+      ? null
+      : clone(property.default);
+  });
+  return result;
+}
+
+/**
+ * Converte um valor de texto (ambiente ou linha de comando) para o tipo do campo
+ * @param {string} raw - Valor de texto
+ * @param {Object} schema - Schema do campo
+ * @returns {*} - Valor convertido
+ * @throws {Error} - Se o texto não representa um valor do tipo
+ */
+function coerce(raw, schema) {
+  if (schema.parse) {
+    return schema.parse(raw);
+  }
+
+  switch (schema.type) {
+    case "integer":
+      if (!/^-?\d+$/.test(raw.trim())) {
+        throw new Error(`"${raw}" não é um número inteiro`);
+      }
+      return parseInt(raw, 10);
+
+    case "number": {
+      const value = Number(raw);
+      if (raw.trim() === "" || !Number.isFinite(value)) {
+        throw new Error(`"${raw}" não é um número`);
+      }
+      return value;
+    }
+
+    case "boolean":
+      if (["true", "1", "yes"].includes(raw)) {
+        return true;
+      }
+      if (["false", "0", "no"].includes(raw)) {
+        return false;
+      }
+      throw new Error(`"${raw}" não é um booleano (true ou false)`);
+
+    case "array":
+      if (raw.trim().startsWith("[")) {
+        return JSON.parse(raw);
+      }
+      return raw
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) =>
+          schema.items && schema.items.type !== "string"
+            ? coerce(entry, schema.items)
+            : entry
+        );
+
+    case "object":
+      return JSON.parse(raw);
+
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Lê o arquivo de configuração (JSON, ou YAML pela extensão)
+ * @param {string} file - Caminho do arquivo
+ * @returns {Object} - Conteúdo
+ * @throws {ConfigError} - Se o arquivo não puder ser lido
+ */
+function readConfigFile(file) {
+  let content;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    content = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`Erro ao ler ${file}: ${error.message}`]);
+  }
+
+  if (content === null || content === undefined) {
+    return {};
+  }
+  if (!isObject(content)) {
+    throw new ConfigError([`${file} deve conter um objeto`]);
+  }
+  return content;
+}
+
+/**
+ * Aplica o conteúdo do arquivo sobre a configuração
+ * @param {Object} target - Objeto de configuração (no nível atual)
+ * @param {Object} content - Conteúdo do arquivo (no nível atual)
+ * @param {Object} schema - Schema do nível atual
+ * @param {string} param - Caminho do nível atual
+ * @param {Object} context - { sources, problems, label }
+ */
+function mergeFile(target, content, schema, param, context) {
+  Object.entries(content).forEach(([key, value]) => {
+    const field = param ? `${param}.${key}` : key;
+    const property =
+      (schema.properties && schema.properties[key]) ||
+      schema.additionalProperties;
+    if (!property) {
+      context.problems.push(`${field} (${context.label}): campo desconhecido`);
+      return;
+    }
+
+    if (
+      (property.properties || property.additionalProperties) &&
+      isObject(value)
+    ) {
+      if (!isObject(target[key])) {
+        target[key] = {};
+      }
+      mergeFile(target[key], value, property, field, context);
+      return;
+    }
+
+    target[key] = value;
+    context.sources[field] = context.label;
+  });
+}
+
+/**
+ * Aplica as variáveis de ambiente declaradas no schema
+ * @param {Object} target - Objeto de configuração
+ * @param {Object} env - Variáveis de ambiente
+ * @param {Object} schema - Schema do nível atual
+ * @param {string} param - Caminho do nível atual
+ * @param {Object} context - { sources, problems }
+ */
+function applyEnv(target, env, schema, param, context) {
+  Object.entries(schema.properties).forEach(([key, property]) => {
+    const field = param ? `${param}.${key}` : key;
+    if (property.properties) {
+      applyEnv(target, env, property, field, context);
+      return;
+    }
+
+    const raw = property.env && env[property.env];
+    if (raw === undefined || raw === "") {
+      return;
+    }
+
+    try {
+      setValue(target, field, coerce(raw, property));
+      context.sources[field] = property.env;
+    } catch (error) {
+      context.problems.push(`${field} (${property.env}): ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Interpreta as opções de linha de comando
+ *
+ * Aceita --config <arquivo> e --<caminho.do.campo>=<valor> (ou com o
+ * valor no argumento seguinte; sem valor, o campo recebe true).
+ * Argumentos que não começam com -- são ignorados.
+ * @param {Array<string>} argv - Argumentos
+ * @returns {Object} - { file, flags: [{ field, raw }] }
+ */
+function parseArgs(argv) {
+  let file = null;
+  const flags = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      continue;
+    }
+
+    let [field, raw] = [arg.slice(2), undefined];
+    const separator = field.indexOf("=");
+    if (separator !== -1) {
+      raw = field.slice(separator + 1);
+      field = field.slice(0, separator);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      raw = argv[++i];
+    } else {
+      raw = "true";
+    }
+
+    if (field === "config") {
+      file = raw;
+    } else {
+      flags.push({ field, raw });
+    }
+  }
+
+  return { file, flags };
+}
+
+/**
+ * Formata o nome do campo com a origem do valor
+ *
+ * Itens de listas herdam a origem da lista.
+ * @param {string} field - Caminho do campo
+ * @param {Object} sources - Origem de cada campo
+ * @returns {string} - Ex: server.port (HTTP_PORT)
+ */
+function describe(field, sources) {
+  const source = sources[field.replace(/\[\d+\].*$/, "")];
+  return source ? `${field} (${source})` : field;
+}
+
+/**
+ * Verifica o tipo de um valor
+ * @param {*} value - Valor
+ * @param {string} type - Tipo do schema
+ * @returns {boolean} - true se o valor é do tipo
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return isObject(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Valida um valor contra o schema, acumulando os problemas
+ * @param {*} value - Valor
+ * @param {Object} schema - Schema
+ * @param {string} field - Caminho do valor ("" na raiz)
+ * @param {Object} context - { sources, problems }
+ */
+function validate(value, schema, field, context) {
+  const fail = (message) =>
+    context.problems.push(`${describe(field, context.sources)}: ${message}`);
+
+  if (value === null || value === undefined) {
+    if (!schema.nullable) {
+      fail("valor obrigatório");
+    }
+    return;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    fail(`deve ser do tipo ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`deve ser um de: ${schema.enum.join(", ")}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    fail(`deve ser no mínimo ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    fail(`deve ser no máximo ${schema.maximum}`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    fail(`deve corresponder a ${schema.pattern}`);
+  }
+
+  if (schema.type === "object") {
+    Object.entries(value).forEach(([key, item]) => {
+      const property =
+        (schema.properties && schema.properties[key]) ||
+        schema.additionalProperties;
+      if (property) {
+        validate(item, property, field ? `${field}.${key}` : key, context);
+      }
+    });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) =>
+      validate(item, schema.items, `${field}[${index}]`, context)
+    );
+  }
+}
+
+/**
+ * Verifica regras que envolvem mais de um campo
+ * @param {Object} config - Configuração
+ * @param {Object} context - { sources, problems }
+ */
+function checkRules(config, context) {
+  const { lowWatermark, highWatermark } = config.backpressure;
+  if (lowWatermark > highWatermark) {
+    context.problems.push(
+      `${describe(
+        "backpressure.lowWatermark",
+        context.sources
+      )}: deve ser no máximo backpressure.highWatermark (${highWatermark})`
+    );
+  }
+}
+
+/**
+ * Carrega e valida a configuração
+ * @param {Object} [options] - Entradas das camadas
+ * @param {Array<string>} [options.argv] - Argumentos de linha de comando
+ * @param {Object} [options.env] - Variáveis de ambiente
+ * @returns {Object} - { config, file, sources }
+ * @throws {ConfigError} - Com todos os problemas encontrados
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const config = buildDefaults(SCHEMA);
+  const context = { sources: {}, problems: [] };
+  const args = parseArgs(argv);
+  const file = args.file || env.CONFIG_FILE || null;
+
+  if (file) {
+    const label = path.basename(file);
+    mergeFile(config, readConfigFile(file), SCHEMA, "", { ...context, label });
+  }
+
+  applyEnv(config, env, SCHEMA, "", context);
+
+  args.flags.forEach(({ field, raw }) => {
+    const schema = getSchema(field);
+    if (!schema || schema.properties) {
+      context.problems.push(`--${field}: opção desconhecida`);
+      return;
+    }
+    try {
+      setValue(config, field, coerce(raw, schema));
+      context.sources[field] = `--${field}`;
+    } catch (error) {
+      context.problems.push(`${field} (--${field}): ${error.message}`);
+    }
+  });
+
+  // Algoritmos JWT conforme a chave configurada
+  if (!config.auth.jwt.algorithms) {
+    config.auth.jwt.algorithms = config.auth.jwt.publicKeyFile
+      ? ["RS256"]
+      : ["HS256"];
+  }
+
+  validate(config, SCHEMA, "", context);
+  if (context.problems.length === 0) {
+    checkRules(config, context);
+  }
+  if (context.problems.length > 0) {
+    throw new ConfigError(context.problems);
+  }
+
+  return { config, file, sources: context.sources };
+}
+
+module.exports = {
+  loadConfig,
+  getSchema,
+  getValue,
+  setValue,
+  ConfigError,
+};
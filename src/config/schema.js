@@ -0,0 +1,601 @@
+/**
+ * Schema da configuração do servidor
+ *
+ * Cada campo declara o tipo, o valor padrão, a variável de ambiente que
+ * o define e os limites aceitos. O mesmo schema orienta a conversão dos
+ * valores de texto (ambiente e linha de comando), a validação na
+ * inicialização e a omissão dos segredos na consulta administrativa.
+ */
+const path = require("path");
+
+const ROOT = path.join(__dirname, "../..");
+
+/**
+ * Converte a lista AUTH_TOKENS ("token:identidade:escopo1 escopo2,...")
+ * @param {string} value - Valor da variável de ambiente
+ * @returns {Array<Object>} - Tokens estáticos configurados
+ */
+function parseAuthTokens(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const [token, identity, scopes] = entry.split(":");
+      return {
+        token,
+        identity: identity || `token-${index + 1}`,
+        scopes: scopes ? scopes.split(" ").filter(Boolean) : [],
+      };
+    });
+}
+
+const STRING_LIST = { type: "array", items: { type: "string" } };
+const DURATION_MS = { type: "integer", minimum: 0 };
+const PRICE = {
+  type: "object",
+  properties: {
+    textInput: { type: "number", minimum: 0 },
+    textCachedInput: { type: "number", minimum: 0 },
+    textOutput: { type: "number", minimum: 0 },
+    audioInput: { type: "number", minimum: 0 },
+    audioCachedInput: { type: "number", minimum: 0 },
+    audioOutput: { type: "number", minimum: 0 },
+  },
+};
+const BACKPRESSURE_POLICY = {
+  type: "string",
+  enum: ["pause", "drop_audio", "coalesce_text"],
+  default: "pause",
+};
+
+/**
+ * Monta um objeto do schema
+ * @param {Object} properties - Campos do objeto
+ * @returns {Object} - Schema do objeto
+ */
+function section(properties) {
+  return { type: "object", properties };
+}
+
+const SCHEMA = section({
+  // Servidor HTTP(S), que também atende o upgrade WebSocket
+  server: section({
+    port: {
+      type: "integer",
+      minimum: 0,
+      maximum: 65535,
+      default: 3000,
+      env: "HTTP_PORT",
+    },
+    // Caminho do endpoint WebSocket da API Realtime
+    wsPath: {
+      type: "string",
+      pattern: /^\//,
+      default: "/realtime",
+      env: "WS_PATH",
+    },
+    // Caminhos adicionais atendidos pelo mesmo endpoint (ex: "/v1/realtime")
+    extraPaths: {
+      type: "array",
+      items: { type: "string", pattern: /^\// },
+      default: [],
+      env: "WS_EXTRA_PATHS",
+    },
+    // Proxies cujo X-Forwarded-For é confiável (endereços exatos)
+    trustedProxies: {
+      ...STRING_LIST,
+      default: [],
+      env: "TRUSTED_PROXIES",
+    },
+    // HTTPS/WSS nativo quando certificado e chave estiverem configurados
+    tls: section({
+      certFile: { type: "string", nullable: true, env: "TLS_CERT_FILE" },
+      keyFile: { type: "string", nullable: true, env: "TLS_KEY_FILE" },
+      caFile: { type: "string", nullable: true, env: "TLS_CA_FILE" },
+      passphrase: {
+        type: "string",
+        nullable: true,
+        secret: true,
+        env: "TLS_KEY_PASSPHRASE",
+      },
+    }),
+  }),
+
+  // Encerramento gradual (SIGTERM/SIGINT)
+  shutdown: section({
+    // Tempo máximo (ms) para as respostas em andamento terminarem
+    drainTimeout: {
+      ...DURATION_MS,
+      default: 30000,
+      env: "SHUTDOWN_DRAIN_TIMEOUT_MS",
+    },
+    // Tempo extra (ms) para fechar as conexões antes de forçar a saída
+    forceTimeout: {
+      ...DURATION_MS,
+      default: 10000,
+      env: "SHUTDOWN_FORCE_TIMEOUT_MS",
+    },
+  }),
+
+  // Verificações de saúde (/livez e /readyz)
+  health: section({
+    // Intervalo (ms) da sonda de conexão com a OpenAI; 0 desativa
+    probeInterval: {
+      ...DURATION_MS,
+      default: 30000,
+      env: "HEALTH_PROBE_INTERVAL_MS",
+    },
+    // Tempo máximo (ms) de cada sonda
+    probeTimeout: {
+      ...DURATION_MS,
+      default: 5000,
+      env: "HEALTH_PROBE_TIMEOUT_MS",
+    },
+  }),
+
+  // API OpenAI
+  openai: section({
+    apiKey: {
+      type: "string",
+      nullable: true,
+      secret: true,
+      env: "OPENAI_API_KEY",
+    },
+    organizationId: { type: "string", nullable: true, env: "OPENAI_ORG_ID" },
+    projectId: { type: "string", nullable: true, env: "OPENAI_PROJECT_ID" },
+    model: {
+      type: "string",
+      default: "gpt-4o-realtime-preview",
+      env: "OPENAI_MODEL",
+    },
+    // Modelos que o cliente pode escolher no handshake, além do padrão
+    allowedModels: {
+      ...STRING_LIST,
+      default: [],
+      env: "OPENAI_ALLOWED_MODELS",
+    },
+    // Pode apontar para o simulador local (npm run mock)
+    apiUrl: {
+      type: "string",
+      pattern: /^wss?:\/\//,
+      default: "wss://api.openai.com/v1/realtime",
+      env: "OPENAI_API_URL",
+    },
+    connectTimeout: { ...DURATION_MS, default: 10000 },
+    // Reconexão automática quando a conexão cai no meio da sessão
+    reconnect: section({
+      maxAttempts: {
+        type: "integer",
+        minimum: 0,
+        default: 5,
+        env: "OPENAI_RECONNECT_MAX_ATTEMPTS",
+      },
+      initialDelay: { ...DURATION_MS, default: 500 }, // dobra a cada tentativa
+      maxDelay: { ...DURATION_MS, default: 10000 },
+    }),
+  }),
+
+  // Autenticação de clientes no handshake WebSocket
+  auth: section({
+    // Exigir credencial (false aceita conexões anônimas)
+    required: { type: "boolean", default: true, env: "AUTH_REQUIRED" },
+    tokens: {
+      type: "array",
+      items: section({
+        token: { type: "string", secret: true },
+        identity: { type: "string" },
+        scopes: STRING_LIST,
+      }),
+      default: [],
+      env: "AUTH_TOKENS",
+      parse: parseAuthTokens,
+    },
+    jwt: section({
+      secret: {
+        type: "string",
+        nullable: true,
+        secret: true,
+        env: "AUTH_JWT_SECRET",
+      },
+      publicKeyFile: {
+        type: "string",
+        nullable: true,
+        env: "AUTH_JWT_PUBLIC_KEY_FILE",
+      },
+      issuer: { type: "string", nullable: true, env: "AUTH_JWT_ISSUER" },
+      audience: { type: "string", nullable: true, env: "AUTH_JWT_AUDIENCE" },
+      // Sem valor: RS256 com chave pública, HS256 com segredo
+      algorithms: {
+        ...STRING_LIST,
+        nullable: true,
+        env: "AUTH_JWT_ALGORITHMS",
+      },
+    }),
+    // Escopo exigido na identidade (403 se ausente)
+    requiredScope: {
+      type: "string",
+      nullable: true,
+      env: "AUTH_REQUIRED_SCOPE",
+    },
+    // Prefixo do subprotocolo que carrega o token (ex: "bearer.<token>")
+    protocolPrefix: {
+      type: "string",
+      default: "bearer.",
+      env: "AUTH_PROTOCOL_PREFIX",
+    },
+    // A query string costuma ser gravada nos logs de proxies
+    allowQueryToken: {
+      type: "boolean",
+      default: false,
+      env: "AUTH_ALLOW_QUERY_TOKEN",
+    },
+  }),
+
+  // API administrativa (credencial separada da autenticação de clientes)
+  admin: section({
+    tokens: {
+      type: "array",
+      items: { type: "string", secret: true },
+      default: [],
+      env: "ADMIN_TOKENS",
+    },
+  }),
+
+  // Limites de uso (0 desativa o limite)
+  limits: section({
+    // Sessões simultâneas (cada uma mantém uma conexão com a OpenAI)
+    maxSessions: {
+      type: "integer",
+      minimum: 0,
+      default: 500,
+      env: "LIMIT_MAX_SESSIONS",
+    },
+    maxSessionsPerIp: {
+      type: "integer",
+      minimum: 0,
+      default: 10,
+      env: "LIMIT_SESSIONS_PER_IP",
+    },
+    maxSessionsPerIdentity: {
+      type: "integer",
+      minimum: 0,
+      default: 5,
+      env: "LIMIT_SESSIONS_PER_IDENTITY",
+    },
+    // Taxas por sessão
+    eventsPerSecond: {
+      type: "integer",
+      minimum: 0,
+      default: 50,
+      env: "LIMIT_EVENTS_PER_SECOND",
+    },
+    audioSecondsPerMinute: {
+      type: "integer",
+      minimum: 0,
+      default: 90,
+      env: "LIMIT_AUDIO_SECONDS_PER_MINUTE",
+    },
+    responsesPerMinute: {
+      type: "integer",
+      minimum: 0,
+      default: 30,
+      env: "LIMIT_RESPONSES_PER_MINUTE",
+    },
+    // Violações toleradas na janela antes de desconectar o cliente
+    maxViolations: {
+      type: "integer",
+      minimum: 0,
+      default: 20,
+      env: "LIMIT_MAX_VIOLATIONS",
+    },
+    violationWindow: {
+      ...DURATION_MS,
+      default: 60000,
+      env: "LIMIT_VIOLATION_WINDOW_MS",
+    },
+  }),
+
+  // Validação dos eventos dos clientes
+  validation: section({
+    // Tamanho máximo de uma mensagem WebSocket (bytes)
+    maxMessageSize: {
+      type: "integer",
+      minimum: 1,
+      default: 1048576,
+      env: "MAX_MESSAGE_BYTES",
+    },
+    // Tamanho máximo do áudio decodificado de um append (bytes)
+    maxAudioChunkSize: {
+      type: "integer",
+      minimum: 1,
+      default: 262144,
+      env: "MAX_AUDIO_CHUNK_BYTES",
+    },
+    // Campos de session.update que os clientes podem definir
+    sessionUpdateFields: {
+      ...STRING_LIST,
+      default: [
+        "modalities",
+        "instructions",
+        "voice",
+        "input_audio_format",
+        "output_audio_format",
+        "input_audio_transcription",
+        "turn_detection",
+        "input_audio_noise_reduction",
+        "tools",
+        "tool_choice",
+        "temperature",
+        "max_response_output_tokens",
+        "client_input_audio_format",
+        "client_output_audio_format",
+        "client_input_sample_rate",
+        "client_output_sample_rate",
+        "client_vad",
+        "client_barge_in",
+      ],
+      env: "SESSION_UPDATE_ALLOWED_FIELDS",
+    },
+  }),
+
+  // Controle de fluxo das filas de envio (backpressure)
+  backpressure: section({
+    // Política de cada direção: pause, drop_audio ou coalesce_text
+    policies: section({
+      downstream: {
+        ...BACKPRESSURE_POLICY,
+        env: "BACKPRESSURE_DOWNSTREAM_POLICY",
+      },
+      upstream: { ...BACKPRESSURE_POLICY, env: "BACKPRESSURE_UPSTREAM_POLICY" },
+    }),
+    // Bytes pendentes no socket que ativam e liberam a fila
+    highWatermark: {
+      type: "integer",
+      minimum: 1,
+      default: 1048576,
+      env: "BACKPRESSURE_HIGH_WATERMARK",
+    },
+    lowWatermark: {
+      type: "integer",
+      minimum: 0,
+      default: 262144,
+      env: "BACKPRESSURE_LOW_WATERMARK",
+    },
+    // Limite de bytes pendentes e enfileirados por conexão
+    maxQueueBytes: {
+      type: "integer",
+      minimum: 1,
+      default: 8388608,
+      env: "BACKPRESSURE_MAX_QUEUE_BYTES",
+    },
+    // Tempo (ms) acima do limite antes de desconectar
+    maxOverLimitMs: {
+      ...DURATION_MS,
+      default: 10000,
+      env: "BACKPRESSURE_MAX_OVER_LIMIT_MS",
+    },
+  }),
+
+  // Sessões de clientes
+  session: section({
+    // Tempo (ms) que a sessão e a conexão com a OpenAI são mantidas
+    // após a queda do cliente, aguardando a retomada. 0 desativa.
+    resumeGracePeriod: {
+      ...DURATION_MS,
+      default: 30000,
+      env: "SESSION_RESUME_GRACE_MS",
+    },
+    // Máximo de eventos da OpenAI armazenados enquanto o cliente está ausente
+    maxBufferedEvents: {
+      type: "integer",
+      minimum: 0,
+      default: 1000,
+      env: "SESSION_MAX_BUFFERED_EVENTS",
+    },
+  }),
+
+  // Presets de sessão definidos no servidor
+  presets: section({
+    // Arquivo JSON com os presets ({ nome: { instructions, voice, ... } })
+    file: { type: "string", nullable: true, env: "PRESETS_FILE" },
+    // Preset aplicado quando o cliente não escolhe um no handshake
+    default: {
+      type: "string",
+      nullable: true,
+      env: "SESSION_DEFAULT_PRESET",
+    },
+  }),
+
+  // Ferramentas executadas no servidor
+  tools: section({
+    // Nomes das ferramentas habilitadas (vazio não habilita nenhuma)
+    enabled: { ...STRING_LIST, default: [], env: "TOOLS_ENABLED" },
+    timeout: { ...DURATION_MS, default: 15000, env: "TOOL_TIMEOUT_MS" },
+  }),
+
+  // Transcrições das sessões
+  transcripts: section({
+    enabled: { type: "boolean", default: true, env: "TRANSCRIPTS_ENABLED" },
+    directory: {
+      type: "string",
+      default: path.join(ROOT, "transcripts"),
+      env: "TRANSCRIPTS_DIR",
+    },
+  }),
+
+  // Gravação do áudio das sessões em WAV
+  recording: section({
+    // "off", "always" ou "policy" (por escopo/claim da identidade)
+    mode: {
+      type: "string",
+      enum: ["off", "always", "policy"],
+      default: "off",
+      env: "RECORDING_MODE",
+    },
+    scope: { type: "string", default: "recording", env: "RECORDING_SCOPE" },
+    directory: {
+      type: "string",
+      default: path.join(ROOT, "recordings"),
+      env: "RECORDINGS_DIR",
+    },
+  }),
+
+  // Diário de eventos das sessões em JSONL (para reprodução)
+  journal: section({
+    enabled: { type: "boolean", default: false, env: "JOURNAL_ENABLED" },
+    directory: {
+      type: "string",
+      default: path.join(ROOT, "journals"),
+      env: "JOURNAL_DIR",
+    },
+    // Omitir o áudio, registrando só o tamanho
+    elideAudio: {
+      type: "boolean",
+      default: false,
+      env: "JOURNAL_ELIDE_AUDIO",
+    },
+  }),
+
+  // Contabilização de tokens e custo estimado
+  usage: section({
+    // Intervalo (ms) do evento session.usage enviado ao cliente (0 desativa)
+    reportInterval: {
+      ...DURATION_MS,
+      default: 30000,
+      env: "USAGE_REPORT_INTERVAL_MS",
+    },
+    // Registro (JSONL) com o consumo de cada sessão encerrada
+    ledgerFile: {
+      type: "string",
+      default: path.join(ROOT, "usage/ledger.jsonl"),
+      env: "USAGE_LEDGER_FILE",
+    },
+    // Arquivo JSON opcional com preços que complementam/substituem os padrões
+    pricesFile: { type: "string", nullable: true, env: "USAGE_PRICES_FILE" },
+    // Preços em USD por 1 milhão de tokens, pelo prefixo do nome do modelo
+    prices: {
+      type: "object",
+      additionalProperties: PRICE,
+      default: {
+        "gpt-4o-realtime-preview": {
+          textInput: 5,
+          textCachedInput: 2.5,
+          textOutput: 20,
+          audioInput: 40,
+          audioCachedInput: 2.5,
+          audioOutput: 80,
+        },
+        "gpt-4o-mini-realtime-preview": {
+          textInput: 0.6,
+          textCachedInput: 0.3,
+          textOutput: 2.4,
+          audioInput: 10,
+          audioCachedInput: 0.3,
+          audioOutput: 20,
+        },
+      },
+    },
+  }),
+
+  // Detecção de atividade de voz no servidor (client_vad na sessão)
+  vad: section({
+    // Ativar por padrão em todas as sessões
+    enabled: { type: "boolean", default: false, env: "VAD_ENABLED" },
+    threshold: {
+      type: "number",
+      minimum: 0,
+      maximum: 1,
+      default: 0.02,
+      env: "VAD_THRESHOLD",
+    },
+    zeroCrossingMax: {
+      type: "number",
+      minimum: 0,
+      maximum: 1,
+      default: 0.35,
+      env: "VAD_ZERO_CROSSING_MAX",
+    },
+    minSpeechMs: { ...DURATION_MS, default: 100, env: "VAD_MIN_SPEECH_MS" },
+    silenceDurationMs: {
+      ...DURATION_MS,
+      default: 600,
+      env: "VAD_SILENCE_DURATION_MS",
+    },
+    prefixPaddingMs: {
+      ...DURATION_MS,
+      default: 300,
+      env: "VAD_PREFIX_PADDING_MS",
+    },
+    // Enviar response.create após o commit do fim da fala
+    createResponse: {
+      type: "boolean",
+      default: true,
+      env: "VAD_CREATE_RESPONSE",
+    },
+  }),
+
+  // Interrupção da resposta quando o usuário começa a falar (barge-in)
+  bargeIn: section({
+    // Padrão das sessões; o cliente altera com client_barge_in
+    enabled: { type: "boolean", default: false, env: "BARGE_IN_ENABLED" },
+  }),
+
+  // Medição de latência por turno
+  latency: section({
+    // Turnos considerados nos percentis de cada sessão
+    windowSize: {
+      type: "integer",
+      minimum: 1,
+      default: 100,
+      env: "LATENCY_WINDOW_SIZE",
+    },
+    // Enviar turn.timing ao cliente após cada resposta
+    turnTimingEvents: {
+      type: "boolean",
+      default: true,
+      env: "TURN_TIMING_EVENTS",
+    },
+  }),
+
+  // Configurações de áudio
+  audio: section({
+    // Formatos suportados pela API OpenAI Realtime
+    supportedFormats: {
+      ...STRING_LIST,
+      default: ["pcm16", "g711_ulaw", "g711_alaw"],
+    },
+    defaultInputFormat: { type: "string", default: "pcm16" },
+    defaultOutputFormat: { type: "string", default: "pcm16" },
+    defaultSampleRate: { type: "integer", default: 24000 }, // esperado pela API
+    // Taxas que o cliente pode declarar (convertidas para 24kHz)
+    supportedSampleRates: {
+      type: "array",
+      items: { type: "integer", minimum: 1 },
+      default: [8000, 16000, 22050, 24000, 32000, 44100, 48000],
+    },
+  }),
+
+  // Logging
+  logging: section({
+    level: {
+      type: "string",
+      enum: ["error", "warn", "info", "http", "verbose", "debug", "silly"],
+      default: "info",
+      env: "LOG_LEVEL",
+    },
+  }),
+});
+
+// Campos aplicados sem reinício (SIGHUP ou alteração do arquivo)
+const HOT_RELOAD_PATHS = [
+  "logging.level",
+  "presets",
+  "limits",
+  "openai.allowedModels",
+];
+
+module.exports = {
+  SCHEMA,
+  HOT_RELOAD_PATHS,
+};
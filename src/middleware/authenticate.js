@@ -0,0 +1,102 @@
+/**
+ * Middlewares de autenticação para as rotas HTTP
+ *
+ * Reutilizam as estratégias do authService, aceitando a credencial no
+ * header Authorization ou na query string.
+ */
+const crypto = require("crypto");
+const authService = require("../services/authService");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+/**
+ * Exige uma credencial de cliente válida e a disponibiliza em req.identity
+ * @param {Object} req - Request Express
+ * @param {Object} res - Response Express
+ * @param {Function} next - Próximo middleware
+ */
+async function authenticateClient(req, res, next) {
+  try {
+    req.identity = await authService.authenticate(req);
+    next();
+  } catch (error) {
+    const statusCode = error.statusCode || 401;
+    logger.warn(`Requisição HTTP rejeitada: ${error.message}`, {
+      path: req.path,
+      statusCode,
+    });
+    res.status(statusCode).json({
+      error: {
+        message: error.message,
+        code: error.code || "unauthorized",
+      },
+    });
+  }
+}
+
+/**
+ * Exige um token administrativo (ADMIN_TOKENS) no header Authorization
+ *
+ * Tokens de clientes não dão acesso às rotas administrativas.
+ * @param {Object} req - Request Express
+ * @param {Object} res - Response Express
+ * @param {Function} next - Próximo middleware
+ */
+function authenticateAdmin(req, res, next) {
+  if (config.admin.tokens.length === 0) {
+    return res.status(503).json({
+      error: {
+        message: "API administrativa desativada: defina ADMIN_TOKENS",
+        code: "admin_api_disabled",
+      },
+    });
+  }
+
+  const authorization = req.headers["authorization"] || "";
+  const presented = Buffer.from(authorization.replace(/^Bearer\s+/i, ""));
+  const valid = config.admin.tokens.some((token) => {
+    const expected = Buffer.from(token);
+    return (
+      expected.length === presented.length &&
+      crypto.timingSafeEqual(expected, presented)
+    );
+  });
+
+  if (!valid) {
+    logger.warn(`Acesso administrativo rejeitado`, {
+      path: req.path,
+      ip: req.ip,
+    });
+    return res.status(401).json({
+      error: {
+        message: "Credencial administrativa inválida",
+        code: "unauthorized",
+      },
+    });
+  }
+
+  req.admin = true;
+  next();
+}
+
+/**
+ * Verifica se a identidade da requisição pode acessar dados de uma sessão
+ *
+ * Clientes anônimos (AUTH_REQUIRED=false) não têm como provar a posse
+ * da sessão, então nunca têm acesso.
+ * @param {Object} identity - Identidade autenticada (req.identity)
+ * @param {string|null} ownerId - ID da identidade dona da sessão
+ * @returns {boolean} - true se o acesso é permitido
+ */
+function canAccessSession(identity, ownerId) {
+  if (!identity || identity.type === "anonymous") {
+    return false;
+  }
+  return identity.id === ownerId;
+}
+
+module.exports = {
+  authenticateClient,
+  authenticateAdmin,
+  canAccessSession,
+};
@@ -0,0 +1,826 @@
+/**
+ * Simulador local da API OpenAI Realtime
+ *
+ * Fala o mesmo protocolo WebSocket da API: responde a session.update,
+ * confirma os eventos de input_audio_buffer e transmite respostas
+ * roteirizadas em deltas de texto e áudio ou chamadas de função.
+ * Permite injetar erros e
+ * quedas de conexão para testar o servidor sem chave nem rede.
+ *
+ * No modo de reprodução, em vez de gerar respostas, envia na primeira
+ * conexão os eventos gravados em um diário de sessão, nos mesmos tempos.
+ *
+ * Uso isolado: `npm run mock` (porta MOCK_REALTIME_PORT, padrão 8090)
+ * e OPENAI_API_URL=ws://localhost:8090 no servidor.
+ */
+const WebSocket = require("ws");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Gera um identificador no formato da API (prefixo + sufixo aleatório)
+ * @param {string} prefix - Prefixo (ex: item, resp)
+ * @returns {string} - Identificador
+ */
+function createId(prefix) {
+  return `${prefix}_${uuidv4().replace(/-/g, "").slice(0, 20)}`;
+}
+
+/**
+ * Gera um tom senoidal em PCM16 a 24 kHz
+ * @param {number} durationMs - Duração em ms
+ * @param {number} [frequency=440] - Frequência em Hz
+ * @returns {Buffer} - Áudio PCM16 little-endian
+ */
+function createTone(durationMs, frequency = 440) {
+  const samples = Math.round((24000 * durationMs) / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.sin((2 * Math.PI * frequency * i) / 24000) * 8000;
+    buffer.writeInt16LE(Math.round(value), i * 2);
+  }
+  return buffer;
+}
+
+class MockRealtimeServer {
+  /**
+   * @param {Object} [options] - Opções do simulador
+   * @param {string|Function} [options.responseText] - Texto das respostas ou
+   *   (evento response.create, sessão) => texto
+   * @param {number} [options.audioDurationMs=300] - Duração do áudio gerado
+   * @param {number} [options.audioChunkMs=100] - Duração de cada delta de áudio
+   * @param {number} [options.chunkDelay=5] - Intervalo entre deltas em ms
+   * @param {string} [options.apiKey] - Exigir este Bearer token na conexão
+   * @param {number} [options.sessionCreatedDelay=0] - Atraso (ms) do
+   *   session.created após a conexão
+   * @param {Array<Object>} [options.replay] - Eventos a reproduzir
+   *   ({ t, event }, com `t` em ms desde a conexão) em vez de gerar respostas
+   */
+  constructor(options = {}) {
+    this.options = {
+      responseText: "Olá! Esta é uma resposta simulada.",
+      audioDurationMs: 300,
+      audioChunkMs: 100,
+      chunkDelay: 5,
+      apiKey: null,
+      sessionCreatedDelay: 0,
+      replay: null,
+      ...options,
+    };
+    this.server = null;
+    this.connections = new Set(); // Estados das conexões abertas
+    this.received = []; // Eventos recebidos de todos os clientes
+    this.failures = new Map(); // tipo de evento -> erro a injetar
+    this.drops = new Set(); // Tipos de evento que derrubam a conexão
+    this.functionCalls = []; // Chamadas de função das próximas respostas
+    this.rejectConnections = false;
+    this.connectionCount = 0;
+    this.replayTimers = new Set();
+  }
+
+  /**
+   * Inicia o simulador
+   * @param {number} [port=0] - Porta (0 escolhe uma livre)
+   * @returns {Promise<string>} - URL do simulador
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocket.Server({
+        port,
+        verifyClient: (info, done) => this.verifyClient(info, done),
+      });
+      this.server.once("error", reject);
+      this.server.once("listening", () => resolve(this.url));
+      this.server.on("connection", (ws, req) => this.handleConnection(ws, req));
+    });
+  }
+
+  /**
+   * URL do simulador
+   * @returns {string} - URL ws://
+   */
+  get url() {
+    return `ws://localhost:${this.server.address().port}`;
+  }
+
+  /**
+   * Encerra o simulador e todas as conexões
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.replayTimers.forEach((timer) => clearTimeout(timer));
+    this.connections.forEach((connection) => connection.ws.terminate());
+    return new Promise((resolve) =>
+      this.server ? this.server.close(() => resolve()) : resolve()
+    );
+  }
+
+  /**
+   * Recusa ou aceita o handshake
+   * @param {Object} info - Informações do handshake
+   * @param {Function} done - Callback (verified, code, message)
+   */
+  verifyClient(info, done) {
+    if (this.rejectConnections) {
+      return done(false, 503, "Service Unavailable");
+    }
+
+    const authorization = info.req.headers["authorization"];
+    if (
+      this.options.apiKey &&
+      authorization !== `Bearer ${this.options.apiKey}`
+    ) {
+      return done(false, 401, "Unauthorized");
+    }
+
+    done(true);
+  }
+
+  /**
+   * Injeta um erro como resposta ao próximo evento de um tipo
+   * @param {string} eventType - Tipo do evento do cliente
+   * @param {Object} [error] - Erro no formato da API
+   */
+  failNext(eventType, error = {}) {
+    this.failures.set(eventType, {
+      type: "invalid_request_error",
+      code: "mock_error",
+      message: `Erro simulado em ${eventType}`,
+      ...error,
+    });
+  }
+
+  /**
+   * Faz a próxima resposta chamar uma função em vez de responder com texto
+   * @param {string} name - Nome da função
+   * @param {Object|string} [args] - Argumentos (objeto ou JSON)
+   */
+  callFunctionNext(name, args = {}) {
+    this.functionCalls.push({
+      name,
+      arguments: typeof args === "string" ? args : JSON.stringify(args),
+    });
+  }
+
+  /**
+   * Derruba a conexão ao receber o próximo evento de um tipo
+   * @param {string} eventType - Tipo do evento do cliente
+   */
+  dropNext(eventType) {
+    this.drops.add(eventType);
+  }
+
+  /**
+   * Envia um evento de erro a todas as conexões
+   * @param {Object} error - Erro no formato da API
+   */
+  injectError(error) {
+    this.connections.forEach((connection) =>
+      this.send(connection, { type: "error", error })
+    );
+  }
+
+  /**
+   * Derruba todas as conexões abertas sem handshake de fechamento
+   */
+  dropConnections() {
+    this.connections.forEach((connection) => connection.ws.terminate());
+  }
+
+  /**
+   * Eventos recebidos de um tipo
+   * @param {string} type - Tipo do evento
+   * @returns {Array<Object>} - Eventos
+   */
+  receivedOfType(type) {
+    return this.received.filter((event) => event.type === type);
+  }
+
+  /**
+   * Processa uma nova conexão
+   * @param {WebSocket} ws - Conexão
+   * @param {Object} req - Request HTTP do upgrade
+   */
+  handleConnection(ws, req) {
+    this.connectionCount++;
+    const url = new URL(req.url, "http://localhost");
+
+    const connection = {
+      ws,
+      session: {
+        id: createId("sess"),
+        object: "realtime.session",
+        model: url.searchParams.get("model") || "gpt-4o-realtime-preview",
+        modalities: ["text", "audio"],
+        instructions: "",
+        voice: "alloy",
+        input_audio_format: "pcm16",
+        output_audio_format: "pcm16",
+        input_audio_transcription: null,
+        turn_detection: {
+          type: "server_vad",
+          threshold: 0.5,
+          prefix_padding_ms: 300,
+          silence_duration_ms: 500,
+        },
+        tools: [],
+        tool_choice: "auto",
+        temperature: 0.8,
+        max_response_output_tokens: "inf",
+      },
+      conversationId: createId("conv"),
+      items: [], // IDs dos itens da conversa, em ordem
+      itemsById: new Map(), // Itens da conversa, para retrieve e truncate
+      audioBuffer: [],
+      response: null, // Resposta em andamento
+    };
+    this.connections.add(connection);
+
+    ws.on("message", (data) => this.handleMessage(connection, data));
+    ws.on("close", () => {
+      if (connection.response) {
+        clearTimeout(connection.response.timer);
+      }
+      this.connections.delete(connection);
+    });
+
+    if (this.options.replay) {
+      // Reconexões não repetem a gravação
+      if (this.connectionCount === 1) {
+        this.scheduleReplay(connection);
+      }
+      return;
+    }
+
+    const greet = () => {
+      this.send(connection, {
+        type: "session.created",
+        session: connection.session,
+      });
+      this.send(connection, {
+        type: "conversation.created",
+        conversation: {
+          id: connection.conversationId,
+          object: "realtime.conversation",
+        },
+      });
+    };
+
+    // Como na API, session.created pode chegar depois do handshake
+    if (this.options.sessionCreatedDelay > 0) {
+      setTimeout(greet, this.options.sessionCreatedDelay);
+    } else {
+      greet();
+    }
+  }
+
+  /**
+   * Agenda o envio dos eventos gravados nos tempos originais
+   * @param {Object} connection - Estado da conexão
+   */
+  scheduleReplay(connection) {
+    this.options.replay.forEach(({ t, event }) => {
+      const timer = setTimeout(() => {
+        this.replayTimers.delete(timer);
+        this.send(connection, event);
+      }, t);
+      this.replayTimers.add(timer);
+    });
+  }
+
+  /**
+   * Envia um evento do servidor
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} event - Evento
+   */
+  send(connection, event) {
+    if (connection.ws.readyState === WebSocket.OPEN) {
+      connection.ws.send(
+        JSON.stringify({ event_id: createId("event"), ...event })
+      );
+    }
+  }
+
+  /**
+   * Envia um erro no formato da API
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} error - Erro
+   * @param {string} [eventId] - event_id do evento que causou o erro
+   */
+  sendError(connection, error, eventId) {
+    this.send(connection, {
+      type: "error",
+      error: { ...error, event_id: eventId || null },
+    });
+  }
+
+  /**
+   * Processa um evento do cliente
+   * @param {Object} connection - Estado da conexão
+   * @param {Buffer} data - Dados recebidos
+   */
+  handleMessage(connection, data) {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      return this.sendError(connection, {
+        type: "invalid_request_error",
+        code: "invalid_json",
+        message: error.message,
+      });
+    }
+    this.received.push(event);
+
+    // Na reprodução, as respostas já estão gravadas
+    if (this.options.replay) {
+      return;
+    }
+
+    if (this.drops.delete(event.type)) {
+      connection.ws.terminate();
+      return;
+    }
+
+    const failure = this.failures.get(event.type);
+    if (failure) {
+      this.failures.delete(event.type);
+      return this.sendError(connection, failure, event.event_id);
+    }
+
+    switch (event.type) {
+      case "session.update":
+        Object.assign(connection.session, event.session);
+        this.send(connection, {
+          type: "session.updated",
+          session: connection.session,
+        });
+        break;
+
+      case "input_audio_buffer.append":
+        connection.audioBuffer.push(Buffer.from(event.audio || "", "base64"));
+        break;
+
+      case "input_audio_buffer.commit":
+        this.commitAudio(connection, event);
+        break;
+
+      case "input_audio_buffer.clear":
+        connection.audioBuffer = [];
+        this.send(connection, { type: "input_audio_buffer.cleared" });
+        break;
+
+      case "conversation.item.create":
+        this.addItem(connection, {
+          id: createId("item"),
+          object: "realtime.item",
+          status: "completed",
+          ...event.item,
+        });
+        break;
+
+      case "conversation.item.delete":
+        if (!connection.items.includes(event.item_id)) {
+          return this.sendItemNotFound(connection, event);
+        }
+        connection.items = connection.items.filter(
+          (id) => id !== event.item_id
+        );
+        connection.itemsById.delete(event.item_id);
+        this.send(connection, {
+          type: "conversation.item.deleted",
+          item_id: event.item_id,
+        });
+        break;
+
+      case "conversation.item.retrieve": {
+        const item = connection.itemsById.get(event.item_id);
+        if (!item) {
+          return this.sendItemNotFound(connection, event);
+        }
+        this.send(connection, { type: "conversation.item.retrieved", item });
+        break;
+      }
+
+      case "conversation.item.truncate": {
+        const item = connection.itemsById.get(event.item_id);
+        if (!item || item.role !== "assistant") {
+          return this.sendItemNotFound(connection, event);
+        }
+        this.send(connection, {
+          type: "conversation.item.truncated",
+          item_id: event.item_id,
+          content_index: event.content_index,
+          audio_end_ms: event.audio_end_ms,
+        });
+        break;
+      }
+
+      case "transcription_session.update":
+        this.send(connection, {
+          type: "transcription_session.updated",
+          session: event.session,
+        });
+        break;
+
+      case "output_audio_buffer.clear":
+        this.send(connection, {
+          type: "output_audio_buffer.cleared",
+          response_id: connection.response ? connection.response.id : null,
+        });
+        break;
+
+      case "response.create":
+        this.createResponse(connection, event);
+        break;
+
+      case "response.cancel":
+        if (connection.response) {
+          this.finishResponse(connection, "cancelled");
+        }
+        break;
+
+      default:
+        this.sendError(
+          connection,
+          {
+            type: "invalid_request_error",
+            code: "unknown_event",
+            message: `Tipo de evento desconhecido: ${event.type}`,
+          },
+          event.event_id
+        );
+    }
+  }
+
+  /**
+   * Responde com o erro de item inexistente
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} event - Evento que referenciou o item
+   */
+  sendItemNotFound(connection, event) {
+    this.sendError(
+      connection,
+      {
+        type: "invalid_request_error",
+        code: "item_not_found",
+        message: `Item não encontrado: ${event.item_id}`,
+      },
+      event.event_id
+    );
+  }
+
+  /**
+   * Confirma o buffer de áudio, criando um item do usuário
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} event - Evento input_audio_buffer.commit
+   */
+  commitAudio(connection, event) {
+    const bytes = connection.audioBuffer.reduce(
+      (total, chunk) => total + chunk.length,
+      0
+    );
+    if (bytes === 0) {
+      return this.sendError(
+        connection,
+        {
+          type: "invalid_request_error",
+          code: "input_audio_buffer_commit_empty",
+          message: "Buffer de áudio vazio",
+        },
+        event.event_id
+      );
+    }
+
+    connection.audioBuffer = [];
+    const itemId = createId("item");
+    this.send(connection, {
+      type: "input_audio_buffer.committed",
+      previous_item_id: connection.items[connection.items.length - 1] || null,
+      item_id: itemId,
+    });
+    this.addItem(connection, {
+      id: itemId,
+      object: "realtime.item",
+      type: "message",
+      status: "completed",
+      role: "user",
+      content: [{ type: "input_audio", transcript: null }],
+    });
+  }
+
+  /**
+   * Adiciona um item à conversa
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} item - Item
+   */
+  addItem(connection, item) {
+    this.send(connection, {
+      type: "conversation.item.created",
+      previous_item_id: connection.items[connection.items.length - 1] || null,
+      item,
+    });
+    connection.items.push(item.id);
+    connection.itemsById.set(item.id, item);
+  }
+
+  /**
+   * Inicia uma resposta roteirizada
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} event - Evento response.create
+   */
+  createResponse(connection, event) {
+    if (connection.response) {
+      return this.sendError(
+        connection,
+        {
+          type: "invalid_request_error",
+          code: "conversation_already_has_active_response",
+          message: "Já existe uma resposta em andamento",
+        },
+        event.event_id
+      );
+    }
+
+    const call = this.functionCalls.shift();
+    if (call) {
+      return this.sendFunctionCall(connection, call);
+    }
+
+    const options = (event && event.response) || {};
+    const modalities = options.modalities || connection.session.modalities;
+    const withAudio = modalities.includes("audio");
+    const { responseText } = this.options;
+    const text =
+      typeof responseText === "function"
+        ? responseText(event, connection.session)
+        : responseText;
+
+    const response = {
+      id: createId("resp"),
+      itemId: createId("item"),
+      withAudio,
+      text: "",
+      timer: null,
+      steps: [],
+    };
+    connection.response = response;
+
+    this.send(connection, {
+      type: "response.created",
+      response: {
+        id: response.id,
+        object: "realtime.response",
+        status: "in_progress",
+        output: [],
+      },
+    });
+
+    const item = {
+      id: response.itemId,
+      object: "realtime.item",
+      type: "message",
+      status: "in_progress",
+      role: "assistant",
+      content: [],
+    };
+    const ids = { response_id: response.id, item_id: response.itemId };
+    this.send(connection, {
+      type: "response.output_item.added",
+      response_id: response.id,
+      output_index: 0,
+      item,
+    });
+    this.addItem(connection, item);
+    this.send(connection, {
+      type: "response.content_part.added",
+      ...ids,
+      output_index: 0,
+      content_index: 0,
+      part: withAudio
+        ? { type: "audio", transcript: "" }
+        : { type: "text", text: "" },
+    });
+
+    // Deltas de texto palavra a palavra, intercalados com os de áudio
+    const deltaType = withAudio
+      ? "response.audio_transcript.delta"
+      : "response.text.delta";
+    text
+      .split(/(?<= )/)
+      .forEach((delta) =>
+        response.steps.push({ type: deltaType, ...ids, delta })
+      );
+
+    if (withAudio) {
+      const tone = createTone(this.options.audioDurationMs);
+      const chunkSize =
+        Math.round((24000 * this.options.audioChunkMs) / 1000) * 2;
+      for (let offset = 0; offset < tone.length; offset += chunkSize) {
+        response.steps.push({
+          type: "response.audio.delta",
+          ...ids,
+          output_index: 0,
+          content_index: 0,
+          delta: tone.subarray(offset, offset + chunkSize).toString("base64"),
+        });
+      }
+    }
+
+    this.streamResponse(connection, response, text);
+  }
+
+  /**
+   * Envia uma resposta completa com uma chamada de função
+   *
+   * Os argumentos chegam em um único delta, seguido do .done.
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} call - { name, arguments }
+   */
+  sendFunctionCall(connection, call) {
+    const responseId = createId("resp");
+    const item = {
+      id: createId("item"),
+      object: "realtime.item",
+      type: "function_call",
+      status: "in_progress",
+      name: call.name,
+      call_id: createId("call"),
+      arguments: "",
+    };
+    const ids = {
+      response_id: responseId,
+      item_id: item.id,
+      output_index: 0,
+      call_id: item.call_id,
+    };
+
+    this.send(connection, {
+      type: "response.created",
+      response: {
+        id: responseId,
+        object: "realtime.response",
+        status: "in_progress",
+        output: [],
+      },
+    });
+    this.send(connection, {
+      type: "response.output_item.added",
+      response_id: responseId,
+      output_index: 0,
+      item,
+    });
+    this.addItem(connection, item);
+    this.send(connection, {
+      type: "response.function_call_arguments.delta",
+      ...ids,
+      delta: call.arguments,
+    });
+    this.send(connection, {
+      type: "response.function_call_arguments.done",
+      ...ids,
+      name: call.name,
+      arguments: call.arguments,
+    });
+
+    const done = { ...item, status: "completed", arguments: call.arguments };
+    connection.itemsById.set(item.id, done);
+    this.send(connection, {
+      type: "response.output_item.done",
+      response_id: responseId,
+      output_index: 0,
+      item: done,
+    });
+    this.send(connection, {
+      type: "response.done",
+      response: {
+        id: responseId,
+        object: "realtime.response",
+        status: "completed",
+        output: [done],
+        usage: {
+          total_tokens: 15,
+          input_tokens: 10,
+          output_tokens: 5,
+          input_token_details: {
+            text_tokens: 10,
+            audio_tokens: 0,
+            cached_tokens: 0,
+            cached_tokens_details: { text_tokens: 0, audio_tokens: 0 },
+          },
+          output_token_details: { text_tokens: 5, audio_tokens: 0 },
+        },
+      },
+    });
+  }
+
+  /**
+   * Transmite os deltas de uma resposta com o intervalo configurado
+   * @param {Object} connection - Estado da conexão
+   * @param {Object} response - Resposta em andamento
+   * @param {string} text - Texto completo
+   */
+  streamResponse(connection, response, text) {
+    const step = response.steps.shift();
+    if (!step) {
+      const ids = { response_id: response.id, item_id: response.itemId };
+      const part = { output_index: 0, content_index: 0 };
+      if (response.withAudio) {
+        this.send(connection, { type: "response.audio.done", ...ids, ...part });
+        this.send(connection, {
+          type: "response.audio_transcript.done",
+          ...ids,
+          ...part,
+          transcript: text,
+        });
+      } else {
+        this.send(connection, {
+          type: "response.text.done",
+          ...ids,
+          ...part,
+          text,
+        });
+      }
+      this.finishResponse(connection, "completed");
+      return;
+    }
+
+    if (step.type !== "response.audio.delta") {
+      response.text += step.delta;
+    }
+    this.send(connection, step);
+    response.timer = setTimeout(
+      () => this.streamResponse(connection, response, text),
+      this.options.chunkDelay
+    );
+  }
+
+  /**
+   * Encerra a resposta em andamento
+   * @param {Object} connection - Estado da conexão
+   * @param {string} status - completed ou cancelled
+   */
+  finishResponse(connection, status) {
+    const response = connection.response;
+    clearTimeout(response.timer);
+    connection.response = null;
+
+    const content = response.withAudio
+      ? [{ type: "audio", transcript: response.text }]
+      : [{ type: "text", text: response.text }];
+    const item = {
+      id: response.itemId,
+      object: "realtime.item",
+      type: "message",
+      status: status === "completed" ? "completed" : "incomplete",
+      role: "assistant",
+      content,
+    };
+
+    this.send(connection, {
+      type: "response.output_item.done",
+      response_id: response.id,
+      output_index: 0,
+      item,
+    });
+
+    const outputTokens = response.text.split(" ").filter(Boolean).length;
+    const audioTokens = response.withAudio ? outputTokens * 2 : 0;
+    this.send(connection, {
+      type: "response.done",
+      response: {
+        id: response.id,
+        object: "realtime.response",
+        status,
+        output: [item],
+        usage: {
+          total_tokens: 10 + outputTokens + audioTokens,
+          input_tokens: 10,
+          output_tokens: outputTokens + audioTokens,
+          input_token_details: {
+            text_tokens: 10,
+            audio_tokens: 0,
+            cached_tokens: 0,
+            cached_tokens_details: { text_tokens: 0, audio_tokens: 0 },
+          },
+          output_token_details: {
+            text_tokens: outputTokens,
+            audio_tokens: audioTokens,
+          },
+        },
+      },
+    });
+  }
+}
+
+// Execução isolada: node src/mock/mockRealtimeServer.js
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_REALTIME_PORT || "8090", 10);
+  const mock = new MockRealtimeServer();
+  mock.start(port).then((url) => {
+    console.log(`Simulador da API Realtime ouvindo em ${url}`);
+  });
+}
+
+module.exports = {
+  MockRealtimeServer,
+};
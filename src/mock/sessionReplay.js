@@ -0,0 +1,170 @@
+/**
+ * Reprodução de uma sessão a partir do diário de eventos
+ *
+ * Recria a sessão com o simulador no lugar da OpenAI: os eventos do
+ * cliente gravados entram pelo wsHandler e os eventos da OpenAI são
+ * enviados pelo simulador, ambos nos tempos originais. Os eventos
+ * entregues ao cliente são gravados em JSONL para comparação.
+ *
+ * Uso: `npm run replay -- <diário.jsonl> [saída.jsonl]` (a saída
+ * padrão é o diário com a extensão .replay.jsonl).
+ */
+const fs = require("fs");
+const { performance } = require("perf_hooks");
+const { v4: uuidv4 } = require("uuid");
+const { MockRealtimeServer } = require("./mockRealtimeServer");
+const sessionManager = require("../websocket/sessionManager");
+const { handleClientMessage } = require("../websocket/wsHandler");
+const journalService = require("../services/journalService");
+const presetService = require("../services/presetService");
+const config = require("../config/config");
+
+// Espera (ms) após o último evento gravado antes de encerrar
+const TAIL_MS = 1000;
+
+/**
+ * Conexão de cliente simulada que registra o que o servidor envia
+ */
+class ReplayClient {
+  /**
+   * @param {Function} onEvent - Recebe { t, event } a cada envio
+   */
+  constructor(onEvent) {
+    this.onEvent = onEvent;
+    this.startedAt = performance.now();
+    this.readyState = 1;
+    this.bufferedAmount = 0;
+  }
+
+  /**
+   * Registra um evento enviado ao cliente
+   * @param {string|Buffer} data - JSON ou áudio binário
+   * @param {Object} [options] - { binary }
+   */
+  send(data, options = {}) {
+    const event = options.binary
+      ? { type: "binary", bytes: data.length }
+      : JSON.parse(data);
+    this.onEvent({
+      t: Math.round((performance.now() - this.startedAt) * 1000) / 1000,
+      event,
+    });
+  }
+
+  /**
+   * Marca a conexão como fechada pelo servidor
+   * @param {number} [code] - Código de fechamento
+   * @param {string} [reason] - Motivo
+   */
+  close(code, reason) {
+    this.readyState = 3;
+    this.onEvent({
+      t: Math.round((performance.now() - this.startedAt) * 1000) / 1000,
+      event: { type: "connection.closed", code, reason },
+    });
+  }
+
+  /**
+   * Encerra a conexão sem handshake
+   */
+  terminate() {
+    this.close(1006);
+  }
+}
+
+/**
+ * Reproduz um diário de sessão
+ * @param {string} filePath - Caminho do diário JSONL
+ * @param {Object} [options] - Opções
+ * @param {Function} [options.onEvent] - Recebe { t, event } enviados ao cliente
+ * @param {number} [options.tailMs] - Espera após o último evento gravado
+ * @returns {Promise<Object>} - { sessionId, events, upstream }: eventos
+ *   entregues ao cliente e eventos enviados ao simulador
+ */
+async function replaySession(filePath, options = {}) {
+  const { onEvent = () => {}, tailMs = TAIL_MS } = options;
+  const { session: recorded, entries } = await journalService.readJournal(
+    filePath
+  );
+
+  // Eventos gerados pelo servidor (server_to_client) são gerados de novo
+  // na reprodução e não passam pelo simulador
+  const mock = new MockRealtimeServer({
+    replay: entries.filter((entry) => entry.dir === "upstream_to_server"),
+  });
+  const apiUrl = config.openai.apiUrl;
+  config.openai.apiUrl = await mock.start();
+
+  const events = [];
+  const client = new ReplayClient((entry) => {
+    events.push(entry);
+    onEvent(entry);
+  });
+  const clientId = uuidv4();
+  let session = null;
+
+  try {
+    session = await sessionManager.createSession(clientId, client, {
+      model: recorded.model,
+      binaryAudio: recorded.binaryAudio,
+      inputSampleRate: recorded.inputSampleRate,
+      outputSampleRate: recorded.outputSampleRate,
+      preset: recorded.preset ? presetService.resolve(recorded.preset) : null,
+    });
+    sessionManager.flushBufferedEvents(session.id);
+
+    // Eventos do cliente nos tempos originais, um após o outro: timers
+    // separados para tempos quase iguais podem disparar fora de ordem
+    const fromClient = entries.filter(
+      (entry) => entry.dir === "client_to_server"
+    );
+    const end = entries.length > 0 ? entries[entries.length - 1].t : 0;
+    const startedAt = performance.now();
+    const waitUntil = (t) =>
+      new Promise((resolve) =>
+        setTimeout(resolve, Math.max(0, t - (performance.now() - startedAt)))
+      );
+    for (const { t, event } of fromClient) {
+      await waitUntil(t);
+      await handleClientMessage(clientId, event);
+    }
+    await waitUntil(end + tailMs);
+
+    return { sessionId: session.id, events, upstream: mock.received };
+  } finally {
+    if (session) {
+      sessionManager.closeSession(session.id);
+    }
+    await mock.stop();
+    config.openai.apiUrl = apiUrl;
+  }
+}
+
+// Execução isolada: node src/mock/sessionReplay.js <diário> [saída]
+if (require.main === module) {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error("Uso: npm run replay -- <diário.jsonl> [saída.jsonl]");
+    process.exit(1);
+  }
+
+  const outputPath = output || input.replace(/(\.jsonl)?$/, ".replay.jsonl");
+  const stream = fs.createWriteStream(outputPath);
+  replaySession(input, {
+    onEvent: (entry) => stream.write(`${JSON.stringify(entry)}\n`),
+  })
+    .then(({ events }) => {
+      stream.end(() => {
+        console.log(`${events.length} eventos reproduzidos em ${outputPath}`);
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error(`Erro na reprodução: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  replaySession,
+};
@@ -0,0 +1,135 @@
+/**
+ * Rotas administrativas
+ *
+ * Permitem à operação listar e inspecionar sessões ativas, encerrar
+ * sessões e enviar avisos a todos os clientes conectados.
+ */
+const express = require("express");
+const sessionManager = require("../websocket/sessionManager");
+const wsServer = require("../websocket/wsServer");
+const usageService = require("../services/usageService");
+const presetService = require("../services/presetService");
+const configService = require("../services/configService");
+const { authenticateAdmin } = require("../middleware/authenticate");
+
+const router = express.Router();
+
+router.use(authenticateAdmin);
+
+/**
+ * Resumo da sessão com os dados do cliente conectado
+ * @param {Object} session - Objeto de sessão
+ * @returns {Object} - Resumo da sessão
+ */
+function describeSession(session) {
+  const client = session.clientId && wsServer.getClient(session.clientId);
+
+  return {
+    ...sessionManager.getSessionSummary(session),
+    client: client
+      ? {
+          ip: client.ip,
+          connected: client.connected,
+          lastPong: client.lastPong,
+        }
+      : null,
+  };
+}
+
+/**
+ * Responde 404 para uma sessão inexistente
+ * @param {Object} res - Response Express
+ * @param {string} sessionId - ID da sessão
+ */
+function sessionNotFound(res, sessionId) {
+  res.status(404).json({
+    error: {
+      message: `Sessão não encontrada: ${sessionId}`,
+      code: "session_not_found",
+    },
+  });
+}
+
+// Lista as sessões ativas
+router.get("/sessions", (req, res) => {
+  const sessions = sessionManager.listSessions().map(describeSession);
+  res.json({
+    count: sessions.length,
+    clients: wsServer.clients.size,
+    sessions,
+  });
+});
+
+// Detalhes de uma sessão
+router.get("/sessions/:id", (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+  if (!session) {
+    return sessionNotFound(res, req.params.id);
+  }
+  res.json(describeSession(session));
+});
+
+// Encerra uma sessão, enviando o motivo ao cliente
+router.delete("/sessions/:id", (req, res) => {
+  const reason =
+    (req.body && req.body.reason) ||
+    req.query.reason ||
+    "Sessão encerrada pelo administrador";
+
+  if (!sessionManager.terminateSession(req.params.id, String(reason))) {
+    return sessionNotFound(res, req.params.id);
+  }
+  res.json({ closed: true, sessionId: req.params.id, reason });
+});
+
+// Consumo de tokens e custo estimado, global e por identidade
+router.get("/usage", (req, res) => {
+  res.json(usageService.getSummary());
+});
+
+// Consumo de uma identidade
+router.get("/usage/:identity", (req, res) => {
+  const usage = usageService.getIdentityUsage(req.params.identity);
+  if (!usage) {
+    return res.status(404).json({
+      error: {
+        message: `Nenhum consumo registrado para ${req.params.identity}`,
+        code: "usage_not_found",
+      },
+    });
+  }
+  res.json({ identity: req.params.identity, usage });
+});
+
+// Presets de sessão disponíveis
+router.get("/presets", (req, res) => {
+  res.json({ presets: presetService.list() });
+});
+
+// Configuração efetiva, sem segredos
+router.get("/config", (req, res) => {
+  res.json(configService.getView());
+});
+
+// Envia um aviso a todos os clientes conectados
+router.post("/broadcast", (req, res) => {
+  const { message, level = "info" } = req.body || {};
+  if (!message) {
+    return res.status(400).json({
+      error: {
+        message: "Campo obrigatório ausente: message",
+        code: "invalid_request",
+      },
+    });
+  }
+
+  const delivered = wsServer.broadcast({
+    type: "server.notice",
+    level,
+    message: String(message),
+    timestamp: Date.now(),
+  });
+  res.json({ delivered });
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+/**
+ * Rotas HTTP de sessões
+ *
+ * Disponibiliza dados das sessões (ativas ou encerradas) para o
+ * cliente dono da sessão.
+ */
+const express = require("express");
+const sessionManager = require("../websocket/sessionManager");
+const transcriptService = require("../services/transcriptService");
+const recordingService = require("../services/recordingService");
+const {
+  authenticateClient,
+  canAccessSession,
+} = require("../middleware/authenticate");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(authenticateClient);
+
+/**
+ * Transcrição da sessão em JSON ou texto simples
+ *
+ * O formato é escolhido por `?format=text|json` ou pelo header Accept.
+ */
+router.get("/:id/transcript", async (req, res) => {
+  const sessionId = req.params.id;
+
+  try {
+    // Sessão ativa: transcrição em memória; encerrada: arquivo em disco
+    const session = sessionManager.getSession(sessionId);
+    const document = session
+      ? transcriptService.buildDocument(session)
+      : await transcriptService.load(sessionId);
+
+    if (!document || !canAccessSession(req.identity, document.identity)) {
+      return res.status(404).json({
+        error: {
+          message: `Transcrição não encontrada: ${sessionId}`,
+          code: "transcript_not_found",
+        },
+      });
+    }
+
+    const format =
+      req.query.format ||
+      (req.accepts(["json", "text"]) === "text" ? "text" : "json");
+
+    if (format === "text") {
+      res.type("text/plain").send(transcriptService.formatText(document));
+    } else {
+      res.json({ ...document, active: Boolean(session) });
+    }
+  } catch (error) {
+    logger.error(`Erro ao obter transcrição: ${error.message}`, {
+      sessionId,
+      error,
+    });
+    res.status(500).json({
+      error: {
+        message: "Erro ao obter transcrição",
+        code: "internal_error",
+      },
+    });
+  }
+});
+
+/**
+ * Consumo de tokens e custo estimado de uma sessão ativa
+ */
+router.get("/:id/usage", (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+  if (
+    !session ||
+    !canAccessSession(req.identity, session.identity && session.identity.id)
+  ) {
+    return res.status(404).json({
+      error: {
+        message: `Sessão não encontrada: ${req.params.id}`,
+        code: "session_not_found",
+      },
+    });
+  }
+
+  res.json({
+    sessionId: session.id,
+    model: session.state.model,
+    usage: session.usage,
+  });
+});
+
+/**
+ * Lista as gravações de uma sessão encerrada
+ */
+router.get("/:id/recordings", async (req, res) => {
+  const sessionId = req.params.id;
+
+  try {
+    const metadata = await loadRecording(req, res, sessionId);
+    if (metadata) {
+      res.json(metadata);
+    }
+  } catch (error) {
+    sendRecordingError(res, sessionId, error);
+  }
+});
+
+/**
+ * Download de uma faixa (user, assistant ou mix) em WAV
+ */
+router.get("/:id/recordings/:track", async (req, res) => {
+  const sessionId = req.params.id;
+  const file = `${req.params.track.replace(/\.wav$/, "")}.wav`;
+
+  try {
+    const metadata = await loadRecording(req, res, sessionId);
+    if (!metadata) {
+      return;
+    }
+
+    if (!metadata.files.includes(file)) {
+      return res.status(404).json({
+        error: {
+          message: `Faixa não encontrada: ${req.params.track}`,
+          code: "recording_not_found",
+        },
+      });
+    }
+
+    res.download(recordingService.getFilePath(sessionId, file), file);
+  } catch (error) {
+    sendRecordingError(res, sessionId, error);
+  }
+});
+
+/**
+ * Carrega os metadados da gravação verificando acesso e disponibilidade
+ * @param {Object} req - Request Express
+ * @param {Object} res - Response Express
+ * @param {string} sessionId - ID da sessão
+ * @returns {Promise<Object|null>} - Metadados ou null se já respondeu
+ */
+async function loadRecording(req, res, sessionId) {
+  const session = sessionManager.getSession(sessionId);
+  if (
+    session &&
+    session.recorder &&
+    canAccessSession(req.identity, session.recorder.identity)
+  ) {
+    res.status(409).json({
+      error: {
+        message: "A gravação estará disponível quando a sessão for encerrada",
+        code: "recording_in_progress",
+      },
+    });
+    return null;
+  }
+
+  const metadata = await recordingService.loadMetadata(sessionId);
+  if (!metadata || !canAccessSession(req.identity, metadata.identity)) {
+    res.status(404).json({
+      error: {
+        message: `Gravação não encontrada: ${sessionId}`,
+        code: "recording_not_found",
+      },
+    });
+    return null;
+  }
+
+  return metadata;
+}
+
+/**
+ * Responde a um erro inesperado ao acessar gravações
+ * @param {Object} res - Response Express
+ * @param {string} sessionId - ID da sessão
+ * @param {Error} error - Erro ocorrido
+ */
+function sendRecordingError(res, sessionId, error) {
+  logger.error(`Erro ao obter gravação: ${error.message}`, {
+    sessionId,
+    error,
+  });
+  res.status(500).json({
+    error: {
+      message: "Erro ao obter gravação",
+      code: "internal_error",
+    },
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,280 @@
+/**
+ * Serviço de autenticação de clientes
+ *
+ * Verifica as credenciais apresentadas no handshake WebSocket
+ * (header, subprotocolo ou query string) antes que a sessão com
+ * a OpenAI seja criada. As estratégias são plugáveis: por padrão
+ * existem tokens estáticos e JWTs assinados.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+/**
+ * Erro de autenticação com o status HTTP a ser devolvido no handshake
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} message - Descrição do erro
+   * @param {number} statusCode - Status HTTP (401 ou 403)
+   * @param {string} code - Código do erro
+   */
+  constructor(message, statusCode = 401, code = "unauthorized") {
+    super(message);
+    this.name = "AuthError";
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+class AuthService {
+  constructor() {
+    this.strategies = new Map(); // Estratégias de autenticação registradas
+
+    if (config.auth.tokens.length > 0) {
+      this.use("token", this.verifyStaticToken.bind(this));
+    }
+
+    if (config.auth.jwt.secret || config.auth.jwt.publicKeyFile) {
+      this.use("jwt", this.verifyJwt.bind(this));
+    }
+  }
+
+  /**
+   * Registra uma estratégia de autenticação
+   *
+   * A estratégia recebe a credencial extraída do handshake e deve
+   * retornar a identidade, `null` se a credencial não for dela, ou
+   * lançar um AuthError se a credencial for inválida.
+   * @param {string} name - Nome da estratégia
+   * @param {Function} verify - (credential, req) => Promise<Object|null>
+   */
+  use(name, verify) {
+    this.strategies.set(name, verify);
+    logger.info(`Estratégia de autenticação registrada: ${name}`);
+  }
+
+  /**
+   * Indica se a autenticação está ativa
+   *
+   * Só AUTH_REQUIRED=false desativa a exigência de credencial; sem
+   * estratégias registradas, os handshakes são recusados.
+   * @returns {boolean} - true se a autenticação é exigida
+   */
+  isEnabled() {
+    return config.auth.required;
+  }
+
+  /**
+   * Indica se há alguma estratégia de autenticação registrada
+   * @returns {boolean}
+   */
+  hasStrategies() {
+    return this.strategies.size > 0;
+  }
+
+  /**
+   * Extrai a credencial do handshake
+   *
+   * Ordem de busca: header Authorization (Bearer), subprotocolo
+   * `<prefixo><token>` e parâmetro `token`/`access_token` da query.
+   * @param {Object} req - Request HTTP do upgrade
+   * @returns {{token: string, source: string}|null} - Credencial encontrada
+   */
+  extractCredential(req) {
+    const authorization = req.headers["authorization"];
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+      return {
+        token: authorization.replace(/^Bearer\s+/i, "").trim(),
+        source: "header",
+      };
+    }
+
+    const protocolToken = this.getProtocolToken(req);
+    if (protocolToken) {
+      return { token: protocolToken, source: "subprotocol" };
+    }
+
+    if (config.auth.allowQueryToken) {
+      const url = new URL(req.url, "http://localhost");
+      const token =
+        url.searchParams.get("token") || url.searchParams.get("access_token");
+      if (token) {
+        return { token, source: "query" };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Obtém o token enviado como subprotocolo WebSocket
+   * @param {Object} req - Request HTTP do upgrade
+   * @returns {string|null} - Token ou null se ausente
+   */
+  getProtocolToken(req) {
+    const header = req.headers["sec-websocket-protocol"];
+    if (!header) {
+      return null;
+    }
+
+    const prefix = config.auth.protocolPrefix;
+    const protocol = header
+      .split(",")
+      .map((value) => value.trim())
+      .find((value) => value.startsWith(prefix));
+
+    return protocol ? protocol.slice(prefix.length) : null;
+  }
+
+  /**
+   * Escolhe o subprotocolo a ser devolvido ao cliente
+   *
+   * Evita ecoar o subprotocolo que carrega o token quando o cliente
+   * oferece outro; navegadores exigem que algum seja selecionado.
+   * @param {Set<string>} protocols - Subprotocolos oferecidos
+   * @returns {string|false} - Subprotocolo selecionado
+   */
+  selectProtocol(protocols) {
+    const offered = Array.from(protocols);
+    const preferred = offered.find(
+      (protocol) => !protocol.startsWith(config.auth.protocolPrefix)
+    );
+    return preferred || offered[0] || false;
+  }
+
+  /**
+   * Autentica o handshake de um cliente
+   * @param {Object} req - Request HTTP do upgrade
+   * @returns {Promise<Object>} - Identidade autenticada
+   * @throws {AuthError} - Se a credencial estiver ausente ou for inválida
+   */
+  async authenticate(req) {
+    if (!this.isEnabled()) {
+      return { id: "anonymous", type: "anonymous", scopes: [] };
+    }
+
+    if (!this.hasStrategies()) {
+      throw new AuthError(
+        "Nenhuma estratégia de autenticação configurada",
+        401
+      );
+    }
+
+    const credential = this.extractCredential(req);
+    if (!credential || !credential.token) {
+      throw new AuthError("Credencial de autenticação ausente", 401);
+    }
+
+    let lastError = null;
+    for (const [name, verify] of this.strategies) {
+      try {
+        const identity = await verify(credential.token, req);
+        if (identity) {
+          this.checkScope(identity);
+          return { ...identity, strategy: name, source: credential.source };
+        }
+      } catch (error) {
+        // Um 403 significa credencial válida porém sem permissão
+        if (error instanceof AuthError && error.statusCode === 403) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError instanceof AuthError
+      ? lastError
+      : new AuthError("Credencial de autenticação inválida", 401);
+  }
+
+  /**
+   * Verifica se a identidade possui o escopo exigido
+   * @param {Object} identity - Identidade autenticada
+   * @throws {AuthError} - Se o escopo exigido não estiver presente
+   */
+  checkScope(identity) {
+    const requiredScope = config.auth.requiredScope;
+    if (requiredScope && !(identity.scopes || []).includes(requiredScope)) {
+      throw new AuthError(
+        `Escopo necessário ausente: ${requiredScope}`,
+        403,
+        "forbidden"
+      );
+    }
+  }
+
+  /**
+   * Estratégia de tokens estáticos (AUTH_TOKENS)
+   * @param {string} token - Token apresentado
+   * @returns {Object|null} - Identidade associada ao token
+   */
+  verifyStaticToken(token) {
+    const presented = Buffer.from(token);
+
+    const entry = config.auth.tokens.find((candidate) => {
+      const expected = Buffer.from(candidate.token);
+      return (
+        expected.length === presented.length &&
+        crypto.timingSafeEqual(expected, presented)
+      );
+    });
+
+    if (!entry) {
+      return null;
+    }
+
+    return { id: entry.identity, type: "token", scopes: entry.scopes };
+  }
+
+  /**
+   * Estratégia de JWT assinado (HMAC com segredo ou RSA/ECDSA com chave pública)
+   * @param {string} token - JWT apresentado
+   * @returns {Object|null} - Identidade extraída das claims
+   */
+  verifyJwt(token) {
+    // Tokens que não têm formato de JWT ficam para outras estratégias
+    if (token.split(".").length !== 3) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.getJwtKey(), {
+        algorithms: config.auth.jwt.algorithms,
+        issuer: config.auth.jwt.issuer || undefined,
+        audience: config.auth.jwt.audience || undefined,
+      });
+    } catch (error) {
+      throw new AuthError(`JWT inválido: ${error.message}`, 401);
+    }
+
+    const scopes =
+      typeof claims.scope === "string"
+        ? claims.scope.split(" ").filter(Boolean)
+        : claims.scopes || [];
+
+    return { id: claims.sub || "jwt", type: "jwt", scopes, claims };
+  }
+
+  /**
+   * Obtém a chave de verificação de JWT
+   * @returns {string|Buffer} - Segredo ou chave pública
+   */
+  getJwtKey() {
+    if (config.auth.jwt.publicKeyFile) {
+      if (!this.jwtPublicKey) {
+        this.jwtPublicKey = fs.readFileSync(config.auth.jwt.publicKeyFile);
+      }
+      return this.jwtPublicKey;
+    }
+    return config.auth.jwt.secret;
+  }
+}
+
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.AuthError = AuthError;
@@ -0,0 +1,200 @@
+/**
+ * Serviço de recarga e consulta da configuração
+ *
+ * Recarrega as camadas de configuração no SIGHUP ou quando o arquivo de
+ * configuração (ou o de presets) muda. Só os campos seguros são
+ * aplicados, no próprio objeto de configuração, sem derrubar as sessões
+ * em andamento; os demais são informados como pendentes de reinício.
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const { SCHEMA, HOT_RELOAD_PATHS } = require("../config/schema");
+const { loadConfig, getValue, setValue } = require("../config/configLoader");
+const presetService = require("./presetService");
+const logger = require("../utils/logger");
+
+// Espera (ms) para agrupar as notificações de uma mesma alteração
+const WATCH_DEBOUNCE = 100;
+
+/**
+ * Lista os campos do schema, tratando mapas livres como um só campo
+ * @param {Object} schema - Schema do nível atual
+ * @param {string} [param] - Caminho do nível atual
+ * @returns {Array<string>} - Caminhos dos campos
+ */
+function listFields(schema, param = "") {
+  return Object.entries(schema.properties).flatMap(([key, property]) => {
+    const field = param ? `${param}.${key}` : key;
+    return property.properties ? listFields(property, field) : [field];
+  });
+}
+
+/**
+ * Indica se um campo pode ser aplicado sem reinício
+ * @param {string} field - Caminho do campo
+ * @returns {boolean}
+ */
+function isHotReloadable(field) {
+  return HOT_RELOAD_PATHS.some(
+    (hot) => field === hot || field.startsWith(`${hot}.`)
+  );
+}
+
+/**
+ * Copia um valor omitindo os segredos marcados no schema
+ * @param {*} value - Valor
+ * @param {Object} schema - Schema do valor
+ * @returns {*} - Cópia sem segredos
+ */
+function redact(value, schema) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (schema.secret) {
+    return "[redacted]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, schema.items || {}));
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        redact(
+          item,
+          (schema.properties && schema.properties[key]) ||
+            schema.additionalProperties ||
+            {}
+        ),
+      ])
+    );
+  }
+  return value;
+}
+
+class ConfigService {
+  constructor() {
+    const { file, sources } = loadConfig();
+    this.file = file;
+    this.sources = sources;
+    this.loadedAt = Date.now();
+    this.reloadedAt = null;
+    this.pendingRestart = []; // Campos alterados que exigem reinício
+    this.watchers = [];
+    this.watchTimer = null;
+  }
+
+  /**
+   * Recarrega a configuração e aplica os campos seguros
+   * @param {string} trigger - Motivo da recarga (SIGHUP, arquivo...)
+   * @returns {Object} - { applied, pendingRestart } ou { error }
+   */
+  reload(trigger) {
+    let loaded;
+    try {
+      loaded = loadConfig();
+    } catch (error) {
+      logger.error(`Recarga da configuração rejeitada: ${error.message}`, {
+        trigger,
+      });
+      return { error: error.message };
+    }
+
+    const changed = listFields(SCHEMA).filter(
+      (field) =>
+        JSON.stringify(getValue(config, field)) !==
+        JSON.stringify(getValue(loaded.config, field))
+    );
+    const applied = changed.filter(isHotReloadable);
+    applied.forEach((field) =>
+      setValue(config, field, getValue(loaded.config, field))
+    );
+    this.pendingRestart = changed.filter((field) => !isHotReloadable(field));
+
+    this.file = loaded.file;
+    this.sources = loaded.sources;
+    this.reloadedAt = Date.now();
+
+    // Efeitos dos campos recarregados
+    logger.level = config.logging.level;
+    presetService.reload();
+
+    logger.info(`Configuração recarregada`, { trigger, applied });
+    if (this.pendingRestart.length > 0) {
+      logger.warn(`Alterações da configuração exigem reinício`, {
+        fields: this.pendingRestart,
+      });
+    }
+
+    return { applied, pendingRestart: this.pendingRestart };
+  }
+
+  /**
+   * Observa o arquivo de configuração e o de presets
+   *
+   * O diretório é observado, e não o arquivo, para acompanhar editores
+   * que substituem o arquivo ao salvar.
+   */
+  watch() {
+    this.unwatch();
+
+    [this.file, config.presets.file].filter(Boolean).forEach((file) => {
+      const name = path.basename(file);
+      try {
+        const watcher = fs.watch(
+          path.dirname(path.resolve(file)),
+          (_, changed) => {
+            if (changed === name) {
+              this.scheduleReload(name);
+            }
+          }
+        );
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        logger.error(`Erro ao observar ${file}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Agenda a recarga após uma alteração de arquivo
+   * @param {string} name - Arquivo alterado
+   */
+  scheduleReload(name) {
+    clearTimeout(this.watchTimer);
+    this.watchTimer = setTimeout(() => {
+      this.reload(`arquivo ${name}`);
+      // O arquivo de presets pode ter mudado
+      this.watch();
+    }, WATCH_DEBOUNCE);
+    this.watchTimer.unref();
+  }
+
+  /**
+   * Para de observar os arquivos
+   */
+  unwatch() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+  }
+
+  /**
+   * Configuração efetiva para consulta administrativa, sem segredos
+   * @returns {Object} - Configuração, origem dos valores e estado da recarga
+   */
+  getView() {
+    return {
+      file: this.file,
+      loadedAt: this.loadedAt,
+      reloadedAt: this.reloadedAt,
+      hotReload: HOT_RELOAD_PATHS,
+      pendingRestart: this.pendingRestart,
+      sources: this.sources,
+      config: redact(config, SCHEMA),
+    };
+  }
+}
+
+module.exports = new ConfigService();
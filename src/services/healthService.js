@@ -0,0 +1,218 @@
+/**
+ * Serviço de verificações de saúde
+ *
+ * Reúne as verificações de /livez e /readyz: servidor escutando,
+ * drenagem, limite global de sessões e uma sonda periódica da conexão
+ * com a OpenAI. Cada verificação guarda o último erro, que continua
+ * visível depois que ela volta ao normal.
+ */
+const config = require("../config/config");
+const wsServer = require("../websocket/wsServer");
+const openaiService = require("./openaiService");
+const rateLimiter = require("./rateLimiter");
+const metricsService = require("./metricsService");
+const logger = require("../utils/logger");
+
+/**
+ * Indica se o resultado de uma verificação permite receber sessões
+ * @param {Object} result - Resultado da verificação
+ * @returns {boolean}
+ */
+function isPassing(result) {
+  return ["ok", "disabled"].includes(result.status);
+}
+
+class HealthService {
+  constructor() {
+    this.lastErrors = new Map(); // verificação -> { message, at }
+    this.upstream = {
+      status: "pending", // Até a primeira sonda
+      checkedAt: null,
+      durationMs: null,
+    };
+    this.probeTimer = null;
+    this.probing = null; // Sonda em andamento
+
+    metricsService.addCollector(() => {
+      const { checks } = this.getReadiness();
+      Object.entries(checks).forEach(([check, result]) =>
+        metricsService.healthChecks.set({ check }, isPassing(result) ? 1 : 0)
+      );
+    });
+  }
+
+  /**
+   * Inicia a sonda periódica da OpenAI (HEALTH_PROBE_INTERVAL_MS)
+   */
+  start() {
+    this.stop();
+
+    const { probeInterval } = config.health;
+    if (probeInterval === 0) {
+      this.upstream.status = "disabled";
+      return;
+    }
+
+    this.probeUpstream();
+    this.probeTimer = setInterval(() => this.probeUpstream(), probeInterval);
+    this.probeTimer.unref();
+  }
+
+  /**
+   * Para a sonda periódica
+   */
+  stop() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Executa a sonda da OpenAI e atualiza a verificação upstream
+   * @returns {Promise<Object>} - Resultado da verificação
+   */
+  probeUpstream() {
+    if (!this.probing) {
+      this.probing = openaiService
+        .probe()
+        .then(
+          (durationMs) => this.recordProbe(null, durationMs),
+          (error) => this.recordProbe(error, null)
+        )
+        .finally(() => {
+          this.probing = null;
+        });
+    }
+    return this.probing;
+  }
+
+  /**
+   * Registra o resultado de uma sonda, logando só as mudanças de estado
+   * @param {Error|null} error - Falha da sonda
+   * @param {number|null} durationMs - Duração da sonda bem-sucedida
+   * @returns {Object} - Resultado da verificação
+   */
+  recordProbe(error, durationMs) {
+    const previous = this.upstream.status;
+    this.upstream = {
+      status: error ? "fail" : "ok",
+      checkedAt: new Date().toISOString(),
+      durationMs,
+    };
+
+    if (error) {
+      this.recordError("upstream", error.message);
+      if (previous !== "fail") {
+        logger.warn(`Sonda da OpenAI falhou: ${error.message}`, {
+          code: error.code,
+        });
+      }
+    } else if (previous === "fail") {
+      logger.info("Sonda da OpenAI voltou a responder", { durationMs });
+    }
+
+    return this.check("upstream", this.upstream);
+  }
+
+  /**
+   * Guarda o último erro de uma verificação
+   * @param {string} name - Verificação
+   * @param {string} message - Descrição do erro
+   */
+  recordError(name, message) {
+    this.lastErrors.set(name, { message, at: new Date().toISOString() });
+  }
+
+  /**
+   * Monta o resultado de uma verificação com o último erro
+   * @param {string} name - Verificação
+   * @param {Object} result - { status, ...detalhes }
+   * @returns {Object} - Resultado com lastError
+   */
+  check(name, result) {
+    return { ...result, lastError: this.lastErrors.get(name) || null };
+  }
+
+  /**
+   * Avalia uma verificação local, guardando o erro quando falha
+   * @param {string} name - Verificação
+   * @param {string|null} failure - Descrição da falha, se houver
+   * @param {Object} [details] - Dados adicionais do resultado
+   * @returns {Object} - Resultado da verificação
+   */
+  evaluate(name, failure, details = {}) {
+    if (failure) {
+      this.recordError(name, failure);
+    }
+    return this.check(name, { status: failure ? "fail" : "ok", ...details });
+  }
+
+  /**
+   * Verificação do servidor HTTP/WebSocket
+   * @returns {Object} - Resultado da verificação
+   */
+  checkServer() {
+    const listening = wsServer.isListening();
+    return this.evaluate(
+      "server",
+      listening ? null : "Servidor não está escutando",
+      { listening }
+    );
+  }
+
+  /**
+   * Estado de liveness: o processo responde e o servidor está escutando
+   * @returns {Object} - { status, timestamp, uptime, checks }
+   */
+  getLiveness() {
+    const checks = { server: this.checkServer() };
+
+    return {
+      status: checks.server.status === "ok" ? "ok" : "fail",
+      timestamp: new Date().toISOString(),
+      uptime: Math.round(process.uptime()),
+      checks,
+    };
+  }
+
+  /**
+   * Estado de readiness: pronto para receber novas sessões
+   *
+   * Falha se o servidor não está escutando, está drenando, atingiu o
+   * limite global de sessões ou se a última sonda da OpenAI falhou.
+   * Antes da primeira sonda, a verificação upstream fica pendente.
+   * @returns {Object} - { status, timestamp, checks }
+   */
+  getReadiness() {
+    const draining = wsServer.isDraining();
+    const atCapacity = rateLimiter.isAtCapacity();
+
+    const checks = {
+      server: this.checkServer(),
+      draining: this.evaluate(
+        "draining",
+        draining ? "Servidor em encerramento" : null,
+        { draining }
+      ),
+      capacity: this.evaluate(
+        "capacity",
+        atCapacity ? "Limite de sessões simultâneas atingido" : null,
+        {
+          sessions: rateLimiter.totalSessions,
+          maxSessions: config.limits.maxSessions,
+        }
+      ),
+      upstream: this.check("upstream", this.upstream),
+    };
+
+    const ready = Object.values(checks).every(isPassing);
+    return {
+      status: ready ? "ready" : "not_ready",
+      timestamp: new Date().toISOString(),
+      checks,
+    };
+  }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,203 @@
+/**
+ * Serviço de diário de eventos das sessões
+ *
+ * Registra em JSONL, por sessão, todos os eventos do cliente para o
+ * servidor, do servidor para a OpenAI e da OpenAI para o servidor, além
+ * dos eventos gerados pelo próprio servidor para o cliente, com o tempo
+ * monotônico desde o início da sessão. O diário pode ser
+ * reproduzido com `npm run replay` para repetir uma conversa.
+ */
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { performance } = require("perf_hooks");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// Campo com o áudio em Base64 de cada tipo de evento
+const AUDIO_FIELDS = {
+  "input_audio_buffer.append": "audio",
+  "response.audio.delta": "delta",
+};
+
+/**
+ * Diário de uma sessão
+ *
+ * Cada linha é { t, dir, event }, com `t` em ms desde a abertura. A
+ * primeira linha (dir "meta") descreve a sessão; com áudio omitido, a
+ * entrada traz `elided` com o tamanho do áudio em bytes.
+ */
+class SessionJournal {
+  /**
+   * @param {Object} session - Objeto de sessão
+   * @param {string} filePath - Caminho do arquivo JSONL
+   * @param {boolean} elideAudio - Omitir o áudio dos eventos
+   */
+  constructor(session, filePath, elideAudio) {
+    this.sessionId = session.id;
+    this.filePath = filePath;
+    this.elideAudio = elideAudio;
+    this.startedAt = performance.now();
+    this.closed = false;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath);
+    this.stream.on("error", (error) => {
+      logger.error(`Erro ao gravar diário: ${error.message}`, {
+        sessionId: this.sessionId,
+        error,
+      });
+    });
+
+    this.writeLine({
+      t: 0,
+      dir: "meta",
+      session: {
+        id: session.id,
+        created: session.created,
+        identity: session.identity ? session.identity.id : null,
+        model: session.state.model,
+        preset: session.preset && session.preset.name,
+        binaryAudio: session.binaryAudio,
+        inputSampleRate: session.audio.clientInputRate,
+        outputSampleRate: session.audio.clientOutputRate,
+        elideAudio,
+      },
+    });
+  }
+
+  /**
+   * Registra um evento
+   *
+   * O evento é serializado na hora, antes de ser alterado pelo servidor.
+   * @param {string} direction - client_to_server, server_to_upstream,
+   *   upstream_to_server ou server_to_client (gerado pelo servidor)
+   * @param {Object} event - Evento
+   */
+  record(direction, event) {
+    if (this.closed) {
+      return;
+    }
+
+    const entry = {
+      t: Math.round((performance.now() - this.startedAt) * 1000) / 1000,
+      dir: direction,
+      event,
+    };
+
+    const field = AUDIO_FIELDS[event.type];
+    if (this.elideAudio && field && event[field]) {
+      entry.event = { ...event, [field]: "" };
+      entry.elided = Buffer.byteLength(event[field], "base64");
+    }
+
+    this.writeLine(entry);
+  }
+
+  /**
+   * Escreve uma linha no arquivo
+   * @param {Object} entry - Entrada do diário
+   */
+  writeLine(entry) {
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Fecha o diário
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (this.closed) {
+      return Promise.resolve();
+    }
+    this.closed = true;
+
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+class JournalService {
+  /**
+   * Cria o diário de uma sessão, se habilitado
+   * @param {Object} session - Objeto de sessão
+   * @returns {SessionJournal|null} - Diário ou null
+   */
+  createJournal(session) {
+    if (!config.journal.enabled) {
+      return null;
+    }
+
+    try {
+      const journal = new SessionJournal(
+        session,
+        this.getPath(session.id),
+        config.journal.elideAudio
+      );
+      logger.info(`Diário de eventos iniciado`, {
+        sessionId: session.id,
+        file: journal.filePath,
+      });
+      return journal;
+    } catch (error) {
+      logger.error(`Erro ao iniciar diário: ${error.message}`, {
+        sessionId: session.id,
+        error,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Caminho do diário de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {string} - Caminho do arquivo JSONL
+   */
+  getPath(sessionId) {
+    return path.join(
+      path.resolve(config.journal.directory),
+      `${path.basename(sessionId)}.jsonl`
+    );
+  }
+
+  /**
+   * Lê um diário, restaurando o áudio omitido como zeros do mesmo tamanho
+   * @param {string} filePath - Caminho do arquivo JSONL
+   * @returns {Promise<Object>} - { session, entries }
+   * @throws {Error} - Se o arquivo não for um diário
+   */
+  async readJournal(filePath) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity,
+    });
+
+    let session = null;
+    const entries = [];
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      const entry = JSON.parse(line);
+      if (entry.dir === "meta") {
+        session = entry.session;
+        continue;
+      }
+
+      if (entry.elided !== undefined) {
+        const field = AUDIO_FIELDS[entry.event.type];
+        entry.event[field] = Buffer.alloc(entry.elided).toString("base64");
+        delete entry.elided;
+      }
+      entries.push(entry);
+    }
+
+    if (!session) {
+      throw new Error(`Arquivo não é um diário de sessão: ${filePath}`);
+    }
+
+    return { session, entries };
+  }
+}
+
+module.exports = new JournalService();
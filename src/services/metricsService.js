@@ -0,0 +1,174 @@
+/**
+ * Serviço de métricas
+ *
+ * Expõe contadores, gauges e histogramas no formato de texto do
+ * Prometheus para acompanhar carga, tráfego e falhas do servidor.
+ */
+const client = require("prom-client");
+
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    this.collectors = []; // Funções executadas antes de cada coleta
+
+    client.collectDefaultMetrics({
+      register: this.registry,
+      prefix: "realtime_process_",
+    });
+
+    const registers = [this.registry];
+
+    this.activeSessions = new client.Gauge({
+      name: "realtime_active_sessions",
+      help: "Sessões ativas, por estado",
+      labelNames: ["state"],
+      registers,
+    });
+
+    this.activeClients = new client.Gauge({
+      name: "realtime_active_clients",
+      help: "Clientes WebSocket conectados",
+      registers,
+    });
+
+    this.sessionDuration = new client.Histogram({
+      name: "realtime_session_duration_seconds",
+      help: "Duração das sessões encerradas",
+      buckets: [10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200],
+      registers,
+    });
+
+    this.events = new client.Counter({
+      name: "realtime_events_total",
+      help: "Eventos repassados, por direção e tipo",
+      labelNames: ["direction", "type"],
+      registers,
+    });
+
+    this.audioBytes = new client.Counter({
+      name: "realtime_audio_bytes_total",
+      help: "Bytes de áudio repassados, por direção",
+      labelNames: ["direction"],
+      registers,
+    });
+
+    this.upstreamConnectDuration = new client.Histogram({
+      name: "realtime_upstream_connect_duration_seconds",
+      help: "Latência para abrir a conexão com a OpenAI",
+      buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10],
+      registers,
+    });
+
+    this.upstreamConnectFailures = new client.Counter({
+      name: "realtime_upstream_connect_failures_total",
+      help: "Falhas ao abrir a conexão com a OpenAI",
+      registers,
+    });
+
+    this.healthChecks = new client.Gauge({
+      name: "realtime_health_check_ok",
+      help: "Verificações de readiness (1 = ok), por verificação",
+      labelNames: ["check"],
+      registers,
+    });
+
+    this.errors = new client.Counter({
+      name: "realtime_errors_total",
+      help: "Erros enviados aos clientes, por código",
+      labelNames: ["code"],
+      registers,
+    });
+
+    this.pingTimeouts = new client.Counter({
+      name: "realtime_ping_timeouts_total",
+      help: "Clientes desconectados por não responder ao ping",
+      registers,
+    });
+
+    this.backpressure = new client.Counter({
+      name: "realtime_backpressure_events_total",
+      help: "Episódios de backpressure, por direção e estado",
+      labelNames: ["direction", "state"],
+      registers,
+    });
+
+    this.backpressureDropped = new client.Counter({
+      name: "realtime_backpressure_dropped_events_total",
+      help: "Eventos descartados pela política de backpressure, por direção",
+      labelNames: ["direction"],
+      registers,
+    });
+  }
+
+  /**
+   * Registra uma função que atualiza gauges antes de cada coleta
+   * @param {Function} collector - Função sem argumentos
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Conta um evento repassado
+   * @param {string} direction - client_to_upstream ou upstream_to_client
+   * @param {string} type - Tipo do evento
+   */
+  recordEvent(direction, type) {
+    this.events.inc({ direction, type: type || "unknown" });
+  }
+
+  /**
+   * Conta bytes de áudio em base64 repassados
+   * @param {string} direction - client_to_upstream ou upstream_to_client
+   * @param {string} base64Audio - Áudio em base64
+   */
+  recordAudio(direction, base64Audio) {
+    if (base64Audio) {
+      this.audioBytes.inc(
+        { direction },
+        Buffer.byteLength(base64Audio, "base64")
+      );
+    }
+  }
+
+  /**
+   * Conta um erro enviado ao cliente
+   * @param {string} code - Código do erro
+   */
+  recordError(code) {
+    this.errors.inc({ code: code || "unknown" });
+  }
+
+  /**
+   * Conta um evento server.backpressure e os descartes informados nele
+   * @param {Object} event - Evento server.backpressure
+   */
+  recordBackpressure(event) {
+    this.backpressure.inc({ direction: event.direction, state: event.state });
+    if (event.state !== "started" && event.dropped_events > 0) {
+      this.backpressureDropped.inc(
+        { direction: event.direction },
+        event.dropped_events
+      );
+    }
+  }
+
+  /**
+   * Content-Type do formato de exposição
+   * @returns {string} - Content-Type
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Serializa as métricas no formato de texto do Prometheus
+   * @returns {Promise<string>} - Métricas
+   */
+  async getMetrics() {
+    this.collectors.forEach((collector) => collector());
+    return this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
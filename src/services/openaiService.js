@@ -7,7 +7,9 @@
 const WebSocket = require("ws");
 const { v4: uuidv4 } = require("uuid");
 const config = require("../config/config");
+const metricsService = require("./metricsService");
 const logger = require("../utils/logger");
+const { SendQueue } = require("../utils/sendQueue");
 
 class OpenAIService {
   constructor() {
@@ -21,14 +23,45 @@ class OpenAIService {
       throw new Error(`Conexão não encontrada: ${connectionId}`);
     }
 
+    if (connection.reconnecting || connection.failed) {
+      // Áudio do microfone chega a cada ~20 ms: descartar em silêncio em vez
+      // de devolver um erro por trecho. A queda já foi informada ao cliente
+      // (upstream.reconnecting ou o erro upstream_unavailable).
+      if (event.type === "input_audio_buffer.append") {
+        if (connection.reconnecting) {
+          connection.droppedAudioEvents++;
+        }
+        return null;
+      }
+
+      const error = new Error(
+        connection.failed
+          ? "Conexão com a OpenAI indisponível"
+          : "Conexão com a OpenAI em reconexão"
+      );
+      error.code = connection.failed
+        ? "upstream_unavailable"
+        : "upstream_reconnecting";
+      throw error;
+    }
+
     try {
       // Adicionar ID ao evento se não existir
       if (!event.event_id) {
         event.event_id = `evt_${Date.now()}_${uuidv4().slice(0, 8)}`;
       }
 
-      // Enviar evento como string JSON
-      connection.ws.send(JSON.stringify(event));
+      // Acumular a configuração para reaplicar após reconexão
+      if (event.type === "session.update") {
+        const previous = connection.lastSessionUpdate;
+        connection.lastSessionUpdate = {
+          type: "session.update",
+          session: { ...(previous && previous.session), ...event.session },
+        };
+      }
+
+      // Enviar evento como string JSON (ou enfileirar se o socket não escoa)
+      connection.sendQueue.send(event);
       logger.debug(`Evento enviado para OpenAI`, {
         connectionId,
         eventType: event.type,
@@ -48,66 +81,435 @@ class OpenAIService {
   /**
    * Cria uma nova conexão com a API OpenAI Realtime
    * @param {string} clientId - ID do cliente que solicitou a conexão
+   * @param {string} [model] - Modelo da conexão (padrão: o configurado)
    * @returns {Promise<string>} - ID da conexão criada
    */
-  async createConnection(clientId) {
-    try {
-      const connectionId = uuidv4();
+  async createConnection(clientId, model = config.openai.model) {
+    const connectionId = uuidv4();
+    const endTimer = metricsService.upstreamConnectDuration.startTimer();
 
+    try {
       logger.info(`Criando nova conexão com OpenAI para cliente ${clientId}`, {
         clientId,
         connectionId,
       });
 
-      // Construir URL com o modelo configurado
-      const url = `${config.openai.apiUrl}?model=${config.openai.model}`;
+      // Armazenar a conexão
+      const connection = {
+        ws: null,
+        clientId,
+        model,
+        created: Date.now(),
+        messageHandler: null,
+        pendingMessages: [], // Mensagens recebidas antes do handler
+        lastSessionUpdate: null,
+        conversationItems: new Map(), // item_id -> { role, text }
+        closing: false,
+        reconnecting: false,
+        failed: false,
+        droppedAudioEvents: 0, // Trechos de áudio descartados na reconexão
+        failureHandler: null, // Chamado quando a reconexão se esgota
+        reconnectTimer: null,
+        replayPending: 0,
+      };
+      connection.sendQueue = this.createSendQueue(connectionId, connection);
+      this.connections.set(connectionId, connection);
+
+      await this.openSocket(connectionId);
+      endTimer();
 
-      // Criar conexão WebSocket
-      const ws = new WebSocket(url, {
-        headers: {
-          Authorization: `Bearer ${config.openai.apiKey}`,
-          "OpenAI-Beta": "realtime=v1",
-        },
+      return connectionId;
+    } catch (error) {
+      metricsService.upstreamConnectFailures.inc();
+      logger.error(`Falha ao criar conexão com OpenAI: ${error.message}`, {
+        clientId,
+        error,
       });
+      this.connections.delete(connectionId);
+      throw error;
+    }
+  }
 
-      // Configurar handlers
-      ws.on("open", () => {
-        logger.info(`Conexão estabelecida com OpenAI`, { connectionId });
+  /**
+   * Cria a fila de envio à OpenAI de uma conexão
+   *
+   * Os avisos de backpressure chegam ao cliente pelo handler da conexão.
+   * Um socket que fica acima do limite é considerado travado e é
+   * derrubado, o que dispara a reconexão.
+   * @param {string} connectionId - ID da conexão
+   * @param {Object} connection - Conexão com a OpenAI
+   * @returns {SendQueue} - Fila de envio
+   */
+  createSendQueue(connectionId, connection) {
+    const { policies, ...limits } = config.backpressure;
+
+    const queue = new SendQueue({
+      ...limits,
+      direction: "upstream",
+      policy: policies.upstream,
+      write: (event) => connection.ws.send(JSON.stringify(event)),
+      getBufferedAmount: () =>
+        connection.ws ? connection.ws.bufferedAmount : 0,
+    });
+
+    queue.on("backpressure", (event) => {
+      const log = event.state === "started" ? logger.warn : logger.info;
+      log.call(logger, `Backpressure no envio à OpenAI: ${event.state}`, {
+        connectionId,
+        bufferedBytes: event.buffered_bytes,
+        queuedEvents: event.queued_events,
+        droppedEvents: event.dropped_events,
       });
+      metricsService.recordBackpressure(event);
+      this.notify(connectionId, event);
+    });
 
-      ws.on("error", (error) => {
-        logger.error(`Erro na conexão OpenAI: ${error.message}`, {
-          connectionId,
-          error,
-        });
+    queue.on("overflow", (event) => {
+      logger.warn(`Conexão com OpenAI não escoa os eventos, derrubando`, {
+        connectionId,
+        bufferedBytes: event.buffered_bytes,
+        queuedBytes: event.queued_bytes,
       });
+      metricsService.recordBackpressure(event);
+      this.notify(connectionId, event);
+      connection.ws.terminate();
+    });
 
-      // Armazenar a conexão
-      this.connections.set(connectionId, {
-        ws,
-        clientId,
-        created: Date.now(),
+    return queue;
+  }
+
+  /**
+   * Abre o WebSocket com a OpenAI para uma conexão registrada
+   * @param {string} connectionId - ID da conexão
+   * @returns {Promise<void>} - Resolvida quando o socket estiver aberto
+   */
+  async openSocket(connectionId) {
+    const connection = this.connections.get(connectionId);
+
+    // Construir URL com o modelo da conexão
+    const url = `${config.openai.apiUrl}?model=${encodeURIComponent(
+      connection.model
+    )}`;
+
+    // Criar conexão WebSocket
+    const ws = new WebSocket(url, { headers: this.getHeaders() });
+    connection.ws = ws;
+
+    // Configurar handlers
+    ws.on("open", () => {
+      logger.info(`Conexão estabelecida com OpenAI`, { connectionId });
+    });
+
+    ws.on("error", (error) => {
+      logger.error(`Erro na conexão OpenAI: ${error.message}`, {
+        connectionId,
+        error,
       });
+    });
 
-      // Aguardar a conexão ser estabelecida
-      await new Promise((resolve, reject) => {
-        ws.on("open", resolve);
-        ws.on("error", reject);
+    ws.on("message", (data) => this.handleMessage(connectionId, ws, data));
 
-        // Timeout para estabelecer conexão
-        setTimeout(
-          () => reject(new Error("Timeout ao conectar com OpenAI")),
-          10000
-        );
+    // Aguardar a conexão ser estabelecida
+    await new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        ws.terminate();
+        reject(new Error("Timeout ao conectar com OpenAI"));
+      }, config.openai.connectTimeout);
+
+      ws.once("open", () => {
+        clearTimeout(timeoutId);
+        resolve();
       });
+      ws.once("error", (error) => {
+        clearTimeout(timeoutId);
+        reject(error);
+      });
+    });
 
-      return connectionId;
-    } catch (error) {
-      logger.error(`Falha ao criar conexão com OpenAI: ${error.message}`, {
-        clientId,
-        error,
+    // Só monitorar quedas depois que o socket abriu
+    ws.on("close", (code, reason) =>
+      this.handleUnexpectedClose(connectionId, ws, code, reason.toString())
+    );
+  }
+
+  /**
+   * Headers do handshake com a API Realtime
+   * @returns {Object} - Headers
+   */
+  getHeaders() {
+    return {
+      Authorization: `Bearer ${config.openai.apiKey}`,
+      "OpenAI-Beta": "realtime=v1",
+    };
+  }
+
+  /**
+   * Verifica se a API Realtime aceita conexões com a chave configurada
+   *
+   * Abre um socket avulso, fora do mapa de conexões, e o fecha ao
+   * receber session.created. Nenhum evento é enviado, então a sonda não
+   * gera respostas nem consumo.
+   * @param {number} [timeout] - Tempo máximo em ms
+   * @returns {Promise<number>} - Duração da sonda em ms
+   * @throws {Error} - Com code upstream_rejected (handshake recusado),
+   *   upstream_error (erro enviado pela API) ou upstream_unreachable
+   */
+  probe(timeout = config.health.probeTimeout) {
+    const startedAt = Date.now();
+    const url = `${config.openai.apiUrl}?model=${encodeURIComponent(
+      config.openai.model
+    )}`;
+    const ws = new WebSocket(url, { headers: this.getHeaders() });
+
+    return new Promise((resolve, reject) => {
+      const finish = (error) => {
+        clearTimeout(timeoutId);
+        ws.removeAllListeners();
+        ws.on("error", () => {}); // Erros do próprio encerramento
+        ws.terminate();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(Date.now() - startedAt);
+        }
+      };
+      const fail = (message, code) => {
+        const error = new Error(message);
+        error.code = code;
+        finish(error);
+      };
+
+      const timeoutId = setTimeout(
+        () => fail("Timeout na sonda da OpenAI", "upstream_unreachable"),
+        timeout
+      );
+
+      ws.on("unexpected-response", (req, res) =>
+        fail(
+          `Handshake recusado pela OpenAI: HTTP ${res.statusCode}`,
+          "upstream_rejected"
+        )
+      );
+      ws.on("error", (error) => fail(error.message, "upstream_unreachable"));
+      ws.on("message", (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          return;
+        }
+
+        if (message.type === "session.created") {
+          finish();
+        } else if (message.type === "error") {
+          fail(
+            `Erro da OpenAI: ${(message.error && message.error.message) || ""}`,
+            "upstream_error"
+          );
+        }
       });
-      throw error;
+    });
+  }
+
+  /**
+   * Trata o fechamento de um socket que não foi solicitado
+   * @param {string} connectionId - ID da conexão
+   * @param {WebSocket} ws - Socket que foi fechado
+   * @param {number} code - Código de fechamento
+   * @param {string} reason - Motivo do fechamento
+   */
+  handleUnexpectedClose(connectionId, ws, code, reason) {
+    const connection = this.connections.get(connectionId);
+    if (!connection || connection.closing || connection.ws !== ws) {
+      return;
+    }
+
+    logger.warn(`Conexão com OpenAI caiu inesperadamente`, {
+      connectionId,
+      code,
+      reason,
+      discardedEvents: connection.sendQueue.clear().length,
+    });
+
+    connection.reconnecting = true;
+    this.scheduleReconnect(connectionId, 1);
+  }
+
+  /**
+   * Agenda uma tentativa de reconexão com backoff exponencial
+   * @param {string} connectionId - ID da conexão
+   * @param {number} attempt - Número da tentativa (a partir de 1)
+   */
+  scheduleReconnect(connectionId, attempt) {
+    const connection = this.connections.get(connectionId);
+    if (!connection || connection.closing) {
+      return;
+    }
+
+    const { maxAttempts, initialDelay, maxDelay } = config.openai.reconnect;
+    if (attempt > maxAttempts) {
+      logger.error(
+        `Reconexão com OpenAI falhou após ${maxAttempts} tentativas`,
+        { connectionId }
+      );
+      connection.reconnecting = false;
+      connection.failed = true;
+      this.notify(connectionId, {
+        type: "error",
+        error: {
+          message: "Não foi possível restabelecer a conexão com a OpenAI",
+          code: "upstream_unavailable",
+        },
+      });
+      if (connection.failureHandler) {
+        connection.failureHandler();
+      }
+      return;
+    }
+
+    const delay = Math.min(initialDelay * 2 ** (attempt - 1), maxDelay);
+    this.notify(connectionId, {
+      type: "upstream.reconnecting",
+      attempt,
+      max_attempts: maxAttempts,
+      delay_ms: delay,
+    });
+
+    connection.reconnectTimer = setTimeout(async () => {
+      connection.reconnectTimer = null;
+      try {
+        await this.openSocket(connectionId);
+        if (connection.closing) {
+          connection.ws.close();
+          return;
+        }
+        this.restoreConversation(connectionId);
+      } catch (error) {
+        logger.warn(`Tentativa de reconexão com OpenAI falhou`, {
+          connectionId,
+          attempt,
+          error: error.message,
+        });
+        this.scheduleReconnect(connectionId, attempt + 1);
+      }
+    }, delay);
+  }
+
+  /**
+   * Reaplica a configuração e o histórico da conversa na nova conexão
+   * @param {string} connectionId - ID da conexão
+   */
+  restoreConversation(connectionId) {
+    const connection = this.connections.get(connectionId);
+
+    // Itens com texto conhecido, na ordem em que foram criados
+    const items = Array.from(connection.conversationItems.values()).filter(
+      (item) => item.text
+    );
+    connection.conversationItems = new Map();
+    connection.replayPending = items.length;
+
+    if (connection.lastSessionUpdate) {
+      connection.ws.send(JSON.stringify(connection.lastSessionUpdate));
+    }
+
+    items.forEach((item) => {
+      connection.ws.send(
+        JSON.stringify({
+          type: "conversation.item.create",
+          item: {
+            type: "message",
+            role: item.role,
+            content: [
+              {
+                type: item.role === "assistant" ? "text" : "input_text",
+                text: item.text,
+              },
+            ],
+          },
+        })
+      );
+    });
+
+    connection.reconnecting = false;
+    const droppedAudioEvents = connection.droppedAudioEvents;
+    connection.droppedAudioEvents = 0;
+
+    logger.info(`Conversa restaurada na nova conexão com OpenAI`, {
+      connectionId,
+      replayedItems: items.length,
+      droppedAudioEvents,
+    });
+
+    this.notify(connectionId, {
+      type: "upstream.restored",
+      replayed_items: items.length,
+      session_restored: Boolean(connection.lastSessionUpdate),
+      dropped_audio_events: droppedAudioEvents,
+    });
+  }
+
+  /**
+   * Atualiza o histórico da conversa usado na reconstrução
+   * @param {Object} connection - Conexão com a OpenAI
+   * @param {Object} message - Mensagem recebida da OpenAI
+   */
+  trackConversation(connection, message) {
+    const items = connection.conversationItems;
+
+    switch (message.type) {
+      case "conversation.item.created": {
+        const item = message.item;
+        if (item && item.type === "message") {
+          const text = (item.content || [])
+            .map((part) => part.text || part.transcript || "")
+            .join("");
+          items.set(item.id, { role: item.role, text });
+        }
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.completed":
+      case "response.audio_transcript.done":
+      case "response.text.done": {
+        const item = items.get(message.item_id);
+        if (item) {
+          item.text = message.transcript || message.text || item.text;
+        }
+        break;
+      }
+
+      case "conversation.item.deleted":
+        items.delete(message.item_id);
+        break;
+    }
+  }
+
+  /**
+   * Entrega ao handler da conexão um evento gerado pelo próprio servidor
+   * @param {string} connectionId - ID da conexão
+   * @param {Object} event - Evento a ser entregue
+   */
+  notify(connectionId, event) {
+    this.dispatch(this.connections.get(connectionId), event, true);
+  }
+
+  /**
+   * Entrega uma mensagem ao handler ou a guarda até ele ser configurado
+   * @param {Object} connection - Conexão com a OpenAI
+   * @param {Object} message - Mensagem a ser entregue
+   * @param {boolean} [generated=false] - Evento gerado pelo servidor, e
+   *   não recebido da OpenAI
+   */
+  dispatch(connection, message, generated = false) {
+    if (!connection) {
+      return;
+    }
+
+    if (connection.messageHandler) {
+      connection.messageHandler(message, generated);
+    } else {
+      connection.pendingMessages.push({ message, generated });
     }
   }
 
@@ -119,79 +521,153 @@ class OpenAIService {
     const connection = this.connections.get(connectionId);
     if (connection) {
       logger.info(`Fechando conexão com OpenAI`, { connectionId });
+      connection.closing = true;
+      connection.sendQueue.clear();
+      if (connection.reconnectTimer) {
+        clearTimeout(connection.reconnectTimer);
+        connection.reconnectTimer = null;
+      }
       connection.ws.close();
       this.connections.delete(connectionId);
     }
   }
 
+  /**
+   * Fecha todas as conexões com a API OpenAI
+   */
+  closeAllConnections() {
+    Array.from(this.connections.keys()).forEach((connectionId) =>
+      this.closeConnection(connectionId)
+    );
+  }
+
+  /**
+   * Obtém o estado de uma conexão com a OpenAI
+   * @param {string} connectionId - ID da conexão
+   * @returns {string} - open, connecting, reconnecting, failed ou closed
+   */
+  getConnectionState(connectionId) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return "closed";
+    }
+    if (connection.failed) {
+      return "failed";
+    }
+    if (connection.reconnecting) {
+      return "reconnecting";
+    }
+    return connection.ws && connection.ws.readyState === WebSocket.OPEN
+      ? "open"
+      : "connecting";
+  }
+
   /**
    * Configura um callback para processar mensagens da OpenAI
+   *
+   * O handler continua valendo após reconexões; mensagens recebidas
+   * antes da configuração são entregues imediatamente.
    * @param {string} connectionId - ID da conexão
-   * @param {Function} messageHandler - Função para processar as mensagens
+   * @param {Function} messageHandler - (mensagem, gerada pelo servidor) => void
    */
   setMessageHandler(connectionId, messageHandler) {
     const connection = this.connections.get(connectionId);
     if (connection) {
-      connection.ws.on("message", (data) => {
-        try {
-          const message = JSON.parse(data.toString());
+      connection.messageHandler = messageHandler;
 
-          // Log detalhado da mensagem recebida
-          logger.info(`RECEBIDO DA OPENAI: ${message.type}`, {
-            connectionId,
-          });
-
-          // Tratamento especial para diferentes tipos de mensagens
-          if (message.type === "response.text.delta") {
-            logger.info(`Delta de texto recebido: "${message.delta}"`, {
-              connectionId,
-            });
-          } else if (message.type === "response.audio.delta") {
-            logger.info(
-              `Delta de áudio recebido: ${
-                message.delta ? "dados presentes" : "sem dados"
-              }`,
-              {
-                connectionId,
-              }
-            );
-          } else if (message.type === "error") {
-            logger.error(
-              `Erro recebido da OpenAI: ${JSON.stringify(message.error)}`,
-              {
-                connectionId,
-              }
-            );
-          } else {
-            // Para outros tipos de mensagem, logar o conteúdo completo
-            const messageStr = JSON.stringify(message);
-            // Limitar o tamanho do log para evitar poluir os logs
-            const truncatedStr =
-              messageStr.length > 1000
-                ? messageStr.substring(0, 1000) + "..."
-                : messageStr;
-
-            logger.info(`Mensagem completa da OpenAI: ${truncatedStr}`, {
-              connectionId,
-            });
-          }
+      const pending = connection.pendingMessages;
+      connection.pendingMessages = [];
+      pending.forEach(({ message, generated }) =>
+        messageHandler(message, generated)
+      );
+    }
+  }
 
-          // Chamar o handler original
-          messageHandler(message);
-        } catch (error) {
-          logger.error(
-            `Erro ao processar mensagem da OpenAI: ${error.message}`,
-            { connectionId, error }
-          );
-        }
+  /**
+   * Configura um callback chamado quando todas as tentativas de
+   * reconexão falharem
+   * @param {string} connectionId - ID da conexão
+   * @param {Function} failureHandler - Função chamada após o erro upstream_unavailable
+   */
+  setFailureHandler(connectionId, failureHandler) {
+    const connection = this.connections.get(connectionId);
+    if (connection) {
+      connection.failureHandler = failureHandler;
+    }
+  }
+
+  /**
+   * Processa uma mensagem recebida da OpenAI
+   * @param {string} connectionId - ID da conexão
+   * @param {WebSocket} ws - Socket que recebeu a mensagem
+   * @param {Buffer} data - Dados recebidos
+   */
+  handleMessage(connectionId, ws, data) {
+    const connection = this.connections.get(connectionId);
+    if (!connection || connection.ws !== ws) {
+      return;
+    }
+
+    try {
+      const message = JSON.parse(data.toString());
+
+      // Log detalhado da mensagem recebida
+      logger.info(`RECEBIDO DA OPENAI: ${message.type}`, {
+        connectionId,
       });
 
-      // Adicionar handler para eventos de erro no WebSocket
-      connection.ws.on("error", (error) => {
-        logger.error(`Erro no WebSocket com OpenAI: ${error.message}`, {
+      // Tratamento especial para diferentes tipos de mensagens
+      if (message.type === "response.text.delta") {
+        logger.info(`Delta de texto recebido: "${message.delta}"`, {
           connectionId,
-          error,
         });
+      } else if (message.type === "response.audio.delta") {
+        logger.info(
+          `Delta de áudio recebido: ${
+            message.delta ? "dados presentes" : "sem dados"
+          }`,
+          {
+            connectionId,
+          }
+        );
+      } else if (message.type === "error") {
+        logger.error(
+          `Erro recebido da OpenAI: ${JSON.stringify(message.error)}`,
+          {
+            connectionId,
+          }
+        );
+      } else {
+        // Para outros tipos de mensagem, logar o conteúdo completo
+        const messageStr = JSON.stringify(message);
+        // Limitar o tamanho do log para evitar poluir os logs
+        const truncatedStr =
+          messageStr.length > 1000
+            ? messageStr.substring(0, 1000) + "..."
+            : messageStr;
+
+        logger.info(`Mensagem completa da OpenAI: ${truncatedStr}`, {
+          connectionId,
+        });
+      }
+
+      this.trackConversation(connection, message);
+
+      // Itens recriados na restauração já são conhecidos pelo cliente
+      if (
+        message.type === "conversation.item.created" &&
+        connection.replayPending > 0
+      ) {
+        connection.replayPending--;
+        return;
+      }
+
+      // Chamar o handler original
+      this.dispatch(connection, message);
+    } catch (error) {
+      logger.error(`Erro ao processar mensagem da OpenAI: ${error.message}`, {
+        connectionId,
+        error,
       });
     }
   }
@@ -0,0 +1,114 @@
+/**
+ * Serviço de presets de sessão
+ *
+ * Presets são configurações de sessão nomeadas (instruções, voz,
+ * modalidades, ferramentas, detecção de turno, temperatura) definidas
+ * no servidor, para que os frontends não precisem carregar o prompt.
+ * Campos marcados como travados não podem ser alterados pelo cliente.
+ */
+const fs = require("fs");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// Chaves do preset que não fazem parte da configuração da sessão
+const PRESET_METADATA = ["description", "locked"];
+
+class PresetService {
+  constructor() {
+    this.presets = new Map(); // nome -> preset
+
+    if (config.presets.file) {
+      this.load(config.presets.file);
+    }
+  }
+
+  /**
+   * Carrega os presets de um arquivo JSON ({ nome: { instructions, ... } })
+   * @param {string} filePath - Caminho do arquivo
+   */
+  load(filePath) {
+    try {
+      const presets = JSON.parse(fs.readFileSync(filePath).toString());
+      this.presets = new Map(Object.entries(presets));
+      logger.info(`Presets de sessão carregados`, {
+        filePath,
+        presets: Array.from(this.presets.keys()),
+      });
+    } catch (error) {
+      logger.error(`Erro ao carregar presets: ${error.message}`, {
+        filePath,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Recarrega os presets do arquivo configurado
+   *
+   * Sessões em andamento mantêm o preset com que foram criadas.
+   */
+  reload() {
+    if (config.presets.file) {
+      this.load(config.presets.file);
+    } else {
+      this.presets = new Map();
+    }
+  }
+
+  /**
+   * Obtém o preset a ser usado por uma sessão
+   * @param {string|null} name - Nome pedido no handshake (ou o padrão)
+   * @returns {Object|null} - Preset com o nome, ou null se nenhum
+   * @throws {Error} - Se o preset pedido não existir
+   */
+  resolve(name) {
+    const presetName = name || config.presets.default;
+    if (!presetName) {
+      return null;
+    }
+
+    const preset = this.presets.get(presetName);
+    if (!preset) {
+      const error = new Error(`Preset de sessão desconhecido: ${presetName}`);
+      error.code = "unknown_preset";
+      throw error;
+    }
+
+    return { name: presetName, ...preset };
+  }
+
+  /**
+   * Extrai a configuração de sessão de um preset
+   * @param {Object} preset - Preset resolvido
+   * @returns {Object} - Campos para session.update
+   */
+  getSessionConfig(preset) {
+    const sessionConfig = { ...preset };
+    delete sessionConfig.name;
+    PRESET_METADATA.forEach((key) => delete sessionConfig[key]);
+    return sessionConfig;
+  }
+
+  /**
+   * Campos travados de um preset
+   * @param {Object|null} preset - Preset resolvido
+   * @returns {Array<string>} - Campos que o cliente não pode alterar
+   */
+  getLockedFields(preset) {
+    return (preset && preset.locked) || [];
+  }
+
+  /**
+   * Lista os presets disponíveis
+   * @returns {Array<Object>} - Nome, descrição e campos travados
+   */
+  list() {
+    return Array.from(this.presets.entries()).map(([name, preset]) => ({
+      name,
+      description: preset.description || null,
+      locked: preset.locked || [],
+    }));
+  }
+}
+
+module.exports = new PresetService();
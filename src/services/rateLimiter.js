@@ -0,0 +1,306 @@
+/**
+ * Limites de uso por cliente
+ *
+ * Controla quantas sessões simultâneas cada IP e identidade podem
+ * manter (cada sessão abre uma conexão com a OpenAI) e a taxa de
+ * eventos, de áudio e de respostas de cada sessão.
+ */
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const audioUtils = require("../utils/audioUtils");
+
+// Sugestão de espera quando um limite de sessões simultâneas é atingido
+const SESSION_LIMIT_RETRY_AFTER = 30000;
+
+/**
+ * Erro de limite excedido, com a sugestão de espera para o cliente
+ */
+class RateLimitError extends Error {
+  /**
+   * @param {string} message - Descrição do erro
+   * @param {string} code - Código do erro
+   * @param {string} limit - Limite excedido
+   * @param {number} retryAfter - Espera sugerida em ms
+   */
+  constructor(message, code, limit, retryAfter) {
+    super(message);
+    this.name = "RateLimitError";
+    this.code = code;
+    this.limit = limit;
+    this.retryAfter = Math.ceil(retryAfter);
+  }
+}
+
+/**
+ * Balde de fichas com reposição contínua
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Máximo de fichas acumuladas
+   * @param {number} interval - Tempo (ms) para repor a capacidade inteira
+   */
+  constructor(capacity, interval) {
+    this.capacity = capacity;
+    this.interval = interval;
+    this.refillRate = capacity / interval; // fichas por ms
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Altera a capacidade mantendo as fichas já consumidas
+   * @param {number} capacity - Nova capacidade
+   */
+  resize(capacity) {
+    this.tokens = Math.max(
+      0,
+      Math.min(capacity, this.tokens + capacity - this.capacity)
+    );
+    this.capacity = capacity;
+    this.refillRate = capacity / this.interval;
+  }
+
+  /**
+   * Consome fichas se houver saldo
+   * @param {number} [amount=1] - Fichas a consumir
+   * @returns {number} - 0 se consumiu, senão a espera (ms) até haver saldo
+   */
+  take(amount = 1) {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (now - this.updatedAt) * this.refillRate
+    );
+    this.updatedAt = now;
+
+    if (this.tokens >= amount) {
+      this.tokens -= amount;
+      return 0;
+    }
+
+    // Pedidos maiores que a capacidade esperam o balde encher
+    const needed = Math.min(amount, this.capacity) - this.tokens;
+    return Math.max(1, needed / this.refillRate);
+  }
+}
+
+// Limites de taxa de cada sessão: campo em config.limits e janela (ms)
+const SESSION_RATES = {
+  events: ["eventsPerSecond", 1000],
+  audio: ["audioSecondsPerMinute", 60000],
+  responses: ["responsesPerMinute", 60000],
+};
+
+/**
+ * Limites de taxa de uma sessão
+ *
+ * Os limites podem ser recarregados sem reinício: a cada verificação
+ * os baldes acompanham os valores atuais de config.limits.
+ */
+class SessionLimits {
+  constructor() {
+    this.events = null;
+    this.audio = null;
+    this.responses = null;
+    this.sync();
+    this.violations = []; // Horários das violações recentes
+  }
+
+  /**
+   * Cria, redimensiona ou remove os baldes conforme a configuração atual
+   */
+  sync() {
+    Object.entries(SESSION_RATES).forEach(([name, [field, interval]]) => {
+      const capacity = config.limits[field];
+      const bucket = this[name];
+      if (capacity <= 0) {
+        this[name] = null;
+      } else if (!bucket) {
+        this[name] = new TokenBucket(capacity, interval);
+      } else if (bucket.capacity !== capacity) {
+        bucket.resize(capacity);
+      }
+    });
+  }
+
+  /**
+   * Verifica se um evento do cliente está dentro dos limites
+   * @param {Object} message - Evento recebido do cliente
+   * @param {Object} audioFormat - Formato do áudio do cliente
+   * @param {string} audioFormat.format - Formato de áudio
+   * @param {number} [audioFormat.sampleRate] - Taxa de amostragem
+   * @throws {RateLimitError} - Se algum limite foi excedido
+   */
+  check(message, audioFormat) {
+    this.sync();
+    const isAudio = message.type === "input_audio_buffer.append";
+
+    // Trechos de áudio são medidos pelo limite de segundos de áudio: um
+    // cliente com quadros de 10 ms envia 100 eventos por segundo
+    let retryAfter = this.events && !isAudio ? this.events.take() : 0;
+    if (retryAfter) {
+      throw new RateLimitError(
+        `Limite de ${config.limits.eventsPerSecond} eventos por segundo excedido`,
+        "rate_limit_exceeded",
+        "events_per_second",
+        retryAfter
+      );
+    }
+
+    if (this.audio && isAudio && message.audio) {
+      const seconds = audioUtils.getAudioDuration(
+        Buffer.byteLength(message.audio, "base64"),
+        audioFormat.format,
+        audioFormat.sampleRate
+      );
+      retryAfter = this.audio.take(seconds);
+      if (retryAfter) {
+        throw new RateLimitError(
+          `Limite de ${config.limits.audioSecondsPerMinute} segundos de áudio por minuto excedido`,
+          "rate_limit_exceeded",
+          "audio_seconds_per_minute",
+          retryAfter
+        );
+      }
+    }
+
+    if (this.responses && message.type === "response.create") {
+      retryAfter = this.responses.take();
+      if (retryAfter) {
+        throw new RateLimitError(
+          `Limite de ${config.limits.responsesPerMinute} respostas por minuto excedido`,
+          "rate_limit_exceeded",
+          "responses_per_minute",
+          retryAfter
+        );
+      }
+    }
+  }
+
+  /**
+   * Registra uma violação
+   * @returns {boolean} - true se o cliente excedeu as violações toleradas
+   */
+  recordViolation() {
+    const now = Date.now();
+    const windowStart = now - config.limits.violationWindow;
+    this.violations = this.violations.filter((time) => time > windowStart);
+    this.violations.push(now);
+
+    return (
+      config.limits.maxViolations > 0 &&
+      this.violations.length > config.limits.maxViolations
+    );
+  }
+}
+
+class RateLimiter {
+  constructor() {
+    this.sessionsByIp = new Map(); // IP -> sessões abertas
+    this.sessionsByIdentity = new Map(); // identidade -> sessões abertas
+    this.totalSessions = 0;
+  }
+
+  /**
+   * Reserva uma vaga para uma nova sessão
+   * @param {Object} owner - Dono da sessão
+   * @param {string} [owner.ip] - IP do cliente
+   * @param {Object} [owner.identity] - Identidade autenticada
+   * @returns {Object} - Reserva a ser devolvida com release()
+   * @throws {RateLimitError} - Se algum limite de sessões foi atingido
+   */
+  acquireSession({ ip, identity }) {
+    const limits = config.limits;
+    // Clientes anônimos são limitados apenas pelo IP
+    const identityId =
+      identity && identity.type !== "anonymous" ? identity.id : null;
+
+    let limit = null;
+    if (limits.maxSessions > 0 && this.totalSessions >= limits.maxSessions) {
+      limit = "max_sessions";
+    } else if (
+      ip &&
+      limits.maxSessionsPerIp > 0 &&
+      (this.sessionsByIp.get(ip) || 0) >= limits.maxSessionsPerIp
+    ) {
+      limit = "sessions_per_ip";
+    } else if (
+      identityId &&
+      limits.maxSessionsPerIdentity > 0 &&
+      (this.sessionsByIdentity.get(identityId) || 0) >=
+        limits.maxSessionsPerIdentity
+    ) {
+      limit = "sessions_per_identity";
+    }
+
+    if (limit) {
+      logger.warn(`Limite de sessões atingido: ${limit}`, {
+        ip,
+        identity: identityId,
+      });
+      throw new RateLimitError(
+        "Limite de sessões simultâneas atingido",
+        "session_limit_exceeded",
+        limit,
+        SESSION_LIMIT_RETRY_AFTER
+      );
+    }
+
+    this.totalSessions++;
+    increment(this.sessionsByIp, ip, 1);
+    increment(this.sessionsByIdentity, identityId, 1);
+
+    let released = false;
+    return {
+      release: () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        this.totalSessions--;
+        increment(this.sessionsByIp, ip, -1);
+        increment(this.sessionsByIdentity, identityId, -1);
+      },
+    };
+  }
+
+  /**
+   * Indica se o limite global de sessões simultâneas foi atingido
+   * @returns {boolean}
+   */
+  isAtCapacity() {
+    const { maxSessions } = config.limits;
+    return maxSessions > 0 && this.totalSessions >= maxSessions;
+  }
+
+  /**
+   * Cria os limites de taxa de uma sessão
+   * @returns {SessionLimits} - Limites da sessão
+   */
+  createSessionLimits() {
+    return new SessionLimits();
+  }
+}
+
+/**
+ * Soma um valor ao contador de uma chave, removendo-a ao chegar a zero
+ * @param {Map} counters - Contadores
+ * @param {string|null} key - Chave (ignorada se vazia)
+ * @param {number} delta - Valor a somar
+ */
+function increment(counters, key, delta) {
+  if (!key) {
+    return;
+  }
+  const value = (counters.get(key) || 0) + delta;
+  if (value > 0) {
+    counters.set(key, value);
+  } else {
+    counters.delete(key);
+  }
+}
+
+const rateLimiter = new RateLimiter();
+
+module.exports = rateLimiter;
+module.exports.RateLimitError = RateLimitError;
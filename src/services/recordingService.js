@@ -0,0 +1,504 @@
+/**
+ * Serviço de gravação de áudio das sessões
+ *
+ * Grava o áudio do usuário (input_audio_buffer.append) e do modelo
+ * (response.audio.delta) em faixas WAV separadas, alinhadas no tempo,
+ * e gera uma mixagem estéreo (usuário à esquerda, assistente à direita)
+ * ao encerrar a sessão.
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const audioUtils = require("../utils/audioUtils");
+const { AudioTranscoder } = require("../utils/audioTranscoder");
+
+// Faixas gravadas e o canal de cada uma na mixagem
+const TRACKS = ["user", "assistant"];
+
+// Tamanho dos blocos lidos na mixagem (em segundos de áudio)
+const MIX_BLOCK_SECONDS = 1;
+
+// Tamanho do bloco de silêncio que preenche os intervalos (em segundos)
+const SILENCE_BLOCK_SECONDS = 1;
+
+/**
+ * Faixa mono gravada em streaming
+ *
+ * O cabeçalho WAV é escrito com tamanho zero e corrigido ao finalizar.
+ */
+class TrackWriter {
+  /**
+   * @param {string} filePath - Caminho do arquivo WAV
+   * @param {string} format - Formato do áudio (pcm16, g711_ulaw, g711_alaw)
+   * @param {number} startedAt - Início da gravação (ms)
+   */
+  constructor(filePath, format, startedAt) {
+    this.filePath = filePath;
+    this.format = format;
+    this.sampleRate = audioUtils.getFormatSampleRate(format);
+    this.bytesPerSample = audioUtils.getBytesPerSample(format);
+    this.startedAt = startedAt;
+    this.dataLength = 0;
+    this.error = null; // Falha de escrita: a faixa deixa de ser gravada
+    this.stream = fs.createWriteStream(filePath);
+    this.stream.on("error", (error) => {
+      this.error = error;
+      logger.error(`Erro ao gravar faixa de áudio: ${error.message}`, {
+        filePath,
+        error,
+      });
+    });
+    this.stream.write(
+      audioUtils.createWavHeader({
+        format,
+        sampleRate: this.sampleRate,
+        dataLength: 0,
+      })
+    );
+  }
+
+  /**
+   * Posição atual da faixa em amostras
+   * @returns {number} - Amostras escritas
+   */
+  get position() {
+    return this.dataLength / this.bytesPerSample;
+  }
+
+  /**
+   * Escreve um chunk no instante em que foi recebido
+   *
+   * Se a faixa estiver atrasada em relação ao relógio, o intervalo é
+   * preenchido com silêncio; áudio recebido mais rápido que o tempo
+   * real (como o do modelo) é enfileirado logo após o anterior.
+   * @param {Buffer} audio - Áudio no formato da faixa
+   * @param {number} receivedAt - Instante de recebimento (ms)
+   */
+  write(audio, receivedAt) {
+    const elapsed = Math.floor(
+      ((receivedAt - this.startedAt) * this.sampleRate) / 1000
+    );
+    const gap = elapsed - this.position;
+    if (gap > 0) {
+      this.appendSilence(gap);
+    }
+
+    this.append(audio);
+  }
+
+  /**
+   * Preenche a faixa com silêncio
+   *
+   * Após uma longa pausa o intervalo pode ter horas de áudio: o mesmo
+   * bloco de silêncio é escrito várias vezes, sem alocar o intervalo todo.
+   * @param {number} samples - Amostras de silêncio
+   */
+  appendSilence(samples) {
+    const blockSamples = Math.min(
+      samples,
+      this.sampleRate * SILENCE_BLOCK_SECONDS
+    );
+    const block = audioUtils.encodeFromPcm16(
+      Buffer.alloc(blockSamples * 2),
+      this.format
+    );
+
+    for (let left = samples; left > 0; left -= blockSamples) {
+      this.append(
+        block.subarray(0, Math.min(left, blockSamples) * this.bytesPerSample)
+      );
+    }
+  }
+
+  /**
+   * Acrescenta bytes ao arquivo
+   * @param {Buffer} data - Dados de áudio
+   */
+  append(data) {
+    if (this.error) {
+      return;
+    }
+    this.stream.write(data);
+    this.dataLength += data.length;
+  }
+
+  /**
+   * Fecha o arquivo e corrige o cabeçalho
+   * @returns {Promise<void>}
+   */
+  async finalize() {
+    await new Promise((resolve, reject) =>
+      this.stream.end((error) => (error ? reject(error) : resolve()))
+    );
+
+    const header = audioUtils.createWavHeader({
+      format: this.format,
+      sampleRate: this.sampleRate,
+      dataLength: this.dataLength,
+    });
+    const handle = await fs.promises.open(this.filePath, "r+");
+    try {
+      await handle.write(header, 0, header.length, 0);
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Gravação de uma sessão
+ */
+class SessionRecorder {
+  /**
+   * @param {Object} session - Objeto de sessão
+   * @param {string} directory - Diretório da gravação
+   */
+  constructor(session, directory) {
+    this.sessionId = session.id;
+    this.identity = session.identity ? session.identity.id : null;
+    this.directory = directory;
+    this.startedAt = Date.now();
+    this.tracks = {}; // faixa -> TrackWriter (criado no primeiro chunk)
+    this.finalized = false;
+
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Grava um chunk de áudio em uma faixa
+   * @param {string} track - "user" ou "assistant"
+   * @param {string} audio - Áudio em Base64
+   * @param {string} format - Formato do áudio recebido
+   */
+  write(track, audio, format) {
+    if (this.finalized || !audio) {
+      return;
+    }
+
+    try {
+      let writer = this.tracks[track];
+      if (!writer) {
+        writer = new TrackWriter(
+          path.join(this.directory, `${track}.wav`),
+          format,
+          this.startedAt
+        );
+        this.tracks[track] = writer;
+      }
+
+      let buffer = Buffer.from(audio, "base64");
+      // A faixa mantém o formato do primeiro chunk
+      if (format !== writer.format) {
+        buffer = audioUtils.transcodeAudio(buffer, format, writer.format);
+      }
+
+      writer.write(buffer, Date.now());
+    } catch (error) {
+      logger.error(`Erro ao gravar áudio: ${error.message}`, {
+        sessionId: this.sessionId,
+        track,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Finaliza as faixas, gera a mixagem estéreo e os metadados
+   * @returns {Promise<void>}
+   */
+  async finalize() {
+    if (this.finalized) {
+      return;
+    }
+    this.finalized = true;
+
+    try {
+      // Faixas que falharam ficam fora da mixagem e dos metadados
+      const entries = Object.entries(this.tracks);
+      const results = await Promise.allSettled(
+        entries.map(([, writer]) => writer.finalize())
+      );
+      results.forEach((result, index) => {
+        if (result.status === "rejected") {
+          const [track] = entries[index];
+          logger.error(`Faixa descartada: ${result.reason.message}`, {
+            sessionId: this.sessionId,
+            track,
+          });
+          delete this.tracks[track];
+        }
+      });
+
+      const files = Object.keys(this.tracks).map((track) => `${track}.wav`);
+      if (files.length > 0) {
+        try {
+          await this.writeMix();
+          files.push("mix.wav");
+        } catch (error) {
+          logger.error(`Erro ao gerar a mixagem: ${error.message}`, {
+            sessionId: this.sessionId,
+            error,
+          });
+        }
+      }
+
+      const metadata = {
+        sessionId: this.sessionId,
+        identity: this.identity,
+        startedAt: this.startedAt,
+        finishedAt: Date.now(),
+        tracks: Object.fromEntries(
+          Object.entries(this.tracks).map(([track, writer]) => [
+            track,
+            {
+              format: writer.format,
+              sampleRate: writer.sampleRate,
+              durationMs: Math.round(
+                (writer.position / writer.sampleRate) * 1000
+              ),
+            },
+          ])
+        ),
+        files,
+      };
+      await fs.promises.writeFile(
+        path.join(this.directory, "metadata.json"),
+        JSON.stringify(metadata, null, 2)
+      );
+
+      logger.info(`Gravação finalizada`, {
+        sessionId: this.sessionId,
+        files,
+      });
+    } catch (error) {
+      logger.error(`Erro ao finalizar gravação: ${error.message}`, {
+        sessionId: this.sessionId,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Gera mix.wav em PCM16 estéreo na taxa padrão, lendo as faixas em blocos
+   * @returns {Promise<void>}
+   */
+  async writeMix() {
+    const sampleRate = config.audio.defaultSampleRate;
+    const readers = TRACKS.map((track) => this.openTrackReader(track));
+    const mixPath = path.join(this.directory, "mix.wav");
+    const output = fs.createWriteStream(mixPath);
+    // O erro de escrita é devolvido ao fechar o arquivo (output.end)
+    output.on("error", () => {});
+    let dataLength = 0;
+
+    output.write(
+      audioUtils.createWavHeader({
+        format: "pcm16",
+        sampleRate,
+        channels: 2,
+        dataLength: 0,
+      })
+    );
+
+    // Amostras já lidas de cada faixa e ainda não mixadas
+    const pending = readers.map(() => Buffer.alloc(0));
+    const exhausted = readers.map(() => false);
+
+    try {
+      while (!exhausted.every(Boolean) || pending.some((p) => p.length > 0)) {
+        const blocks = await Promise.all(
+          readers.map((reader, channel) =>
+            exhausted[channel] ? null : reader.read()
+          )
+        );
+        blocks.forEach((block, channel) => {
+          if (block === null) {
+            exhausted[channel] = true;
+          } else {
+            pending[channel] = Buffer.concat([pending[channel], block]);
+          }
+        });
+
+        // Mixar só o trecho disponível em todas as faixas ainda ativas
+        const active = pending.filter((_, channel) => !exhausted[channel]);
+        const samples =
+          (active.length > 0
+            ? Math.min(...active.map((buffer) => buffer.length))
+            : Math.max(...pending.map((buffer) => buffer.length))) / 2;
+
+        const stereo = Buffer.alloc(samples * 4);
+        pending.forEach((buffer, channel) => {
+          const length = Math.min(samples, buffer.length / 2);
+          for (let i = 0; i < length; i++) {
+            stereo.writeInt16LE(buffer.readInt16LE(i * 2), i * 4 + channel * 2);
+          }
+          pending[channel] = buffer.subarray(length * 2);
+        });
+
+        output.write(stereo);
+        dataLength += stereo.length;
+      }
+    } finally {
+      await Promise.all(readers.map((reader) => reader.close()));
+      await new Promise((resolve, reject) =>
+        output.end((error) => (error ? reject(error) : resolve()))
+      );
+    }
+
+    const header = audioUtils.createWavHeader({
+      format: "pcm16",
+      sampleRate,
+      channels: 2,
+      dataLength,
+    });
+    const handle = await fs.promises.open(mixPath, "r+");
+    try {
+      await handle.write(header, 0, header.length, 0);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Abre uma faixa para leitura em blocos convertidos para PCM16
+   * @param {string} track - Nome da faixa
+   * @returns {Object} - Leitor com read() e close()
+   */
+  openTrackReader(track) {
+    const writer = this.tracks[track];
+    if (!writer) {
+      return { read: async () => null, close: async () => {} };
+    }
+
+    const transcoder = new AudioTranscoder(
+      { format: writer.format, sampleRate: writer.sampleRate },
+      { format: "pcm16", sampleRate: config.audio.defaultSampleRate }
+    );
+    const blockLength =
+      writer.sampleRate * writer.bytesPerSample * MIX_BLOCK_SECONDS;
+    let position = audioUtils.getWavHeaderLength(writer.format);
+    const end = position + writer.dataLength;
+    const handlePromise = fs.promises.open(writer.filePath, "r");
+
+    let flushed = false;
+
+    return {
+      read: async () => {
+        if (position >= end) {
+          // Amostras retidas pelo atraso do reamostrador
+          if (flushed) {
+            return null;
+          }
+          flushed = true;
+          const tail = transcoder.flush();
+          return tail.length > 0 ? tail : null;
+        }
+        const handle = await handlePromise;
+        const buffer = Buffer.alloc(Math.min(blockLength, end - position));
+        const { bytesRead } = await handle.read(
+          buffer,
+          0,
+          buffer.length,
+          position
+        );
+        position += bytesRead;
+        return transcoder.process(buffer.subarray(0, bytesRead));
+      },
+      close: async () => (await handlePromise).close(),
+    };
+  }
+}
+
+class RecordingService {
+  constructor() {
+    this.directory = path.resolve(config.recording.directory);
+  }
+
+  /**
+   * Decide se a sessão deve ser gravada
+   *
+   * Modos: "off", "always" ou "policy" (grava quando a identidade tem o
+   * escopo configurado ou a claim `recording: true` no JWT).
+   * @param {Object|null} identity - Identidade autenticada
+   * @returns {boolean} - true se a sessão deve ser gravada
+   */
+  shouldRecord(identity) {
+    switch (config.recording.mode) {
+      case "always":
+        return true;
+      case "policy":
+        return Boolean(
+          identity &&
+            ((identity.scopes || []).includes(config.recording.scope) ||
+              (identity.claims && identity.claims.recording === true))
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Cria o gravador de uma sessão
+   * @param {Object} session - Objeto de sessão
+   * @returns {SessionRecorder|null} - Gravador ou null em caso de erro
+   */
+  createRecorder(session) {
+    try {
+      const recorder = new SessionRecorder(
+        session,
+        this.getDirectory(session.id)
+      );
+      logger.info(`Gravação iniciada`, { sessionId: session.id });
+      return recorder;
+    } catch (error) {
+      logger.error(`Erro ao iniciar gravação: ${error.message}`, {
+        sessionId: session.id,
+        error,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Carrega os metadados de uma gravação finalizada
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<Object|null>} - Metadados ou null se inexistente
+   */
+  async loadMetadata(sessionId) {
+    try {
+      const data = await fs.promises.readFile(
+        path.join(this.getDirectory(sessionId), "metadata.json")
+      );
+      return JSON.parse(data.toString());
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Caminho de um arquivo de gravação
+   * @param {string} sessionId - ID da sessão
+   * @param {string} file - Nome do arquivo (user.wav, assistant.wav, mix.wav)
+   * @returns {string} - Caminho absoluto
+   */
+  getFilePath(sessionId, file) {
+    return path.join(this.getDirectory(sessionId), path.basename(file));
+  }
+
+  /**
+   * Diretório das gravações de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {string} - Caminho absoluto
+   */
+  getDirectory(sessionId) {
+    // IDs de sessão são UUIDs; qualquer outro caractere é descartado
+    const safeId = String(sessionId).replace(/[^a-zA-Z0-9-]/g, "");
+    return path.join(this.directory, safeId);
+  }
+}
+
+module.exports = new RecordingService();
@@ -0,0 +1,231 @@
+/**
+ * Registro de ferramentas executadas no servidor
+ *
+ * Mantém as ferramentas (function calling) que o modelo pode chamar
+ * e que são executadas pelo servidor, com acesso a segredos e bancos
+ * de dados que não devem chegar ao navegador.
+ */
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+/**
+ * Indica se um valor é do tipo JSON Schema informado
+ * @param {*} value - Valor
+ * @param {string} type - Tipo (string, number, integer, boolean, object, array, null)
+ * @returns {boolean}
+ */
+function isType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Valida argumentos contra o JSON Schema da ferramenta
+ *
+ * Cobre o subconjunto usado nas definições de function calling: type,
+ * enum, properties, required, additionalProperties e items.
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - JSON Schema do valor
+ * @param {string} param - Caminho do valor (para a mensagem de erro)
+ * @returns {string|null} - Primeiro problema encontrado ou null
+ */
+function findSchemaProblem(value, schema, param) {
+  if (!schema) {
+    return null;
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => isType(value, type))) {
+    return `${param} deve ser do tipo ${types.join(" ou ")}`;
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some(
+      (option) => JSON.stringify(option) === JSON.stringify(value)
+    )
+  ) {
+    return `${param} deve ser um de: ${schema.enum.join(", ")}`;
+  }
+
+  if (isType(value, "object")) {
+    const properties = schema.properties || {};
+    const missing = (schema.required || []).find((key) => !(key in value));
+    if (missing) {
+      return `${param}.${missing} é obrigatório`;
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (!properties[key]) {
+        if (schema.additionalProperties === false) {
+          return `${param}.${key} não é permitido`;
+        }
+        continue;
+      }
+      const problem = findSchemaProblem(
+        item,
+        properties[key],
+        `${param}.${key}`
+      );
+      if (problem) {
+        return problem;
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const problem = findSchemaProblem(
+        value[i],
+        schema.items,
+        `${param}[${i}]`
+      );
+      if (problem) {
+        return problem;
+      }
+    }
+  }
+
+  return null;
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // Mapa nome -> ferramenta
+  }
+
+  /**
+   * Registra uma ferramenta
+   * @param {Object} tool - Definição da ferramenta
+   * @param {string} tool.name - Nome exposto ao modelo
+   * @param {string} [tool.description] - Descrição para o modelo
+   * @param {Object} [tool.parameters] - JSON Schema dos argumentos
+   * @param {Function} tool.handler - async (args, context) => resultado
+   * @param {number} [tool.timeout] - Tempo máximo de execução em ms
+   */
+  register(tool) {
+    if (!tool || !tool.name || typeof tool.handler !== "function") {
+      throw new Error("Ferramenta inválida: nome e handler são obrigatórios");
+    }
+
+    if (this.tools.has(tool.name)) {
+      logger.warn(`Ferramenta substituída: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      description: "",
+      parameters: { type: "object", properties: {} },
+      timeout: config.tools.timeout,
+      ...tool,
+    });
+
+    logger.info(`Ferramenta registrada: ${tool.name}`);
+  }
+
+  /**
+   * Remove uma ferramenta
+   * @param {string} name - Nome da ferramenta
+   */
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * Verifica se uma ferramenta é executada no servidor
+   * @param {string} name - Nome da ferramenta
+   * @returns {boolean} - true se registrada
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Obtém as definições no formato esperado por session.update
+   * @returns {Array<Object>} - Lista de definições de ferramentas
+   */
+  getDefinitions() {
+    return Array.from(this.tools.values()).map((tool) => ({
+      type: "function",
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    }));
+  }
+
+  /**
+   * Combina as ferramentas do servidor com as enviadas pelo cliente
+   *
+   * Ferramentas do cliente com o mesmo nome de uma do servidor são
+   * descartadas para que a execução não seja ambígua.
+   * @param {Array<Object>} [clientTools] - Ferramentas enviadas pelo cliente
+   * @returns {Array<Object>} - Lista combinada
+   */
+  mergeDefinitions(clientTools = []) {
+    const clientOnly = clientTools.filter((tool) => !this.has(tool.name));
+    return [...clientOnly, ...this.getDefinitions()];
+  }
+
+  /**
+   * Valida os argumentos e executa uma ferramenta com timeout
+   * @param {string} name - Nome da ferramenta
+   * @param {string} rawArguments - Argumentos em JSON enviados pelo modelo
+   * @param {Object} context - Contexto da chamada (sessão, cliente, identidade)
+   * @returns {Promise<*>} - Resultado do handler
+   */
+  async execute(name, rawArguments, context) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Ferramenta não encontrada: ${name}`);
+    }
+
+    let args;
+    try {
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch (error) {
+      const parseError = new Error(`Argumentos inválidos: ${error.message}`);
+      parseError.code = "tool_invalid_arguments";
+      throw parseError;
+    }
+
+    // O modelo pode gerar argumentos fora do schema declarado
+    const problem = findSchemaProblem(args, tool.parameters, "arguments");
+    if (problem) {
+      const schemaError = new Error(`Argumentos inválidos: ${problem}`);
+      schemaError.code = "tool_invalid_arguments";
+      throw schemaError;
+    }
+
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = new Error(
+          `Ferramenta ${name} excedeu o tempo limite de ${tool.timeout}ms`
+        );
+        error.code = "tool_timeout";
+        reject(error);
+      }, tool.timeout);
+    });
+
+    try {
+      return await Promise.race([tool.handler(args, context), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+module.exports = new ToolRegistry();
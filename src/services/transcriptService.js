@@ -0,0 +1,249 @@
+/**
+ * Serviço de transcrições de sessões
+ *
+ * Monta a transcrição estruturada de cada sessão a partir dos eventos
+ * da OpenAI, persiste em disco quando a sessão é encerrada e permite
+ * consultá-la depois do fim da chamada.
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// Rótulos usados na versão em texto simples
+const SPEAKER_LABELS = {
+  user: "Usuário",
+  assistant: "Assistente",
+  system: "Sistema",
+};
+
+/**
+ * Transcrição de uma sessão
+ */
+class Transcript {
+  constructor() {
+    this.entries = new Map(); // item_id -> entrada (na ordem de criação)
+  }
+
+  /**
+   * Obtém a entrada de um item, criando-a se necessário
+   * @param {string} itemId - ID do item da conversa
+   * @param {string} speaker - Quem fala (user, assistant, system)
+   * @returns {Object} - Entrada da transcrição
+   */
+  getEntry(itemId, speaker) {
+    let entry = this.entries.get(itemId);
+    if (!entry) {
+      entry = {
+        itemId,
+        speaker,
+        text: "",
+        status: "in_progress",
+        createdAt: Date.now(),
+        startedAt: null,
+        completedAt: null,
+      };
+      this.entries.set(itemId, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Atualiza a transcrição com um evento da OpenAI
+   * @param {Object} message - Mensagem recebida da OpenAI
+   */
+  handleEvent(message) {
+    switch (message.type) {
+      case "conversation.item.created": {
+        const item = message.item;
+        if (!item || item.type !== "message") {
+          break;
+        }
+
+        const entry = this.getEntry(item.id, item.role);
+        const text = (item.content || [])
+          .map((part) => part.text || part.transcript || "")
+          .join("");
+        // Itens de texto já chegam completos
+        if (text) {
+          entry.text = text;
+          entry.status = "completed";
+          entry.startedAt = entry.startedAt || entry.createdAt;
+          entry.completedAt = Date.now();
+        }
+        break;
+      }
+
+      case "input_audio_buffer.speech_started":
+        this.getEntry(message.item_id, "user").startedAt = Date.now();
+        break;
+
+      case "response.text.delta":
+      case "response.audio_transcript.delta": {
+        const entry = this.getEntry(message.item_id, "assistant");
+        entry.startedAt = entry.startedAt || Date.now();
+        entry.text += message.delta || "";
+        break;
+      }
+
+      case "response.text.done":
+      case "response.audio_transcript.done":
+        this.complete(
+          this.getEntry(message.item_id, "assistant"),
+          message.text !== undefined ? message.text : message.transcript
+        );
+        break;
+
+      case "conversation.item.input_audio_transcription.completed":
+        this.complete(
+          this.getEntry(message.item_id, "user"),
+          message.transcript
+        );
+        break;
+
+      case "conversation.item.input_audio_transcription.failed": {
+        const entry = this.getEntry(message.item_id, "user");
+        entry.status = "failed";
+        entry.completedAt = Date.now();
+        break;
+      }
+
+      case "conversation.item.deleted":
+        this.entries.delete(message.item_id);
+        break;
+    }
+  }
+
+  /**
+   * Finaliza uma entrada com o texto definitivo
+   * @param {Object} entry - Entrada da transcrição
+   * @param {string} text - Texto final
+   */
+  complete(entry, text) {
+    entry.text = (text || entry.text).trim();
+    entry.status = "completed";
+    entry.startedAt = entry.startedAt || entry.createdAt;
+    entry.completedAt = Date.now();
+  }
+
+  /**
+   * Converte as entradas para JSON, omitindo itens sem texto
+   * @returns {Array<Object>} - Entradas da transcrição
+   */
+  toJSON() {
+    return Array.from(this.entries.values()).filter(
+      (entry) => entry.text || entry.status === "failed"
+    );
+  }
+}
+
+class TranscriptService {
+  constructor() {
+    this.directory = path.resolve(config.transcripts.directory);
+  }
+
+  /**
+   * Cria a transcrição de uma nova sessão
+   * @returns {Transcript} - Transcrição vazia
+   */
+  createTranscript() {
+    return new Transcript();
+  }
+
+  /**
+   * Monta o documento da transcrição de uma sessão
+   * @param {Object} session - Objeto de sessão
+   * @returns {Object} - Documento com metadados e entradas
+   */
+  buildDocument(session) {
+    return {
+      sessionId: session.id,
+      identity: session.identity ? session.identity.id : null,
+      openaiSessionId: session.state.sessionId,
+      conversationId: session.state.conversationId,
+      created: session.created,
+      closed: session.closed || null,
+      entries: session.transcript.toJSON(),
+    };
+  }
+
+  /**
+   * Persiste a transcrição de uma sessão encerrada
+   * @param {Object} session - Objeto de sessão
+   * @returns {Promise<void>}
+   */
+  async persist(session) {
+    if (!config.transcripts.enabled) {
+      return;
+    }
+
+    const document = this.buildDocument(session);
+    const filePath = this.getFilePath(session.id);
+
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(filePath, JSON.stringify(document, null, 2));
+      logger.info(`Transcrição salva`, {
+        sessionId: session.id,
+        entries: document.entries.length,
+      });
+    } catch (error) {
+      logger.error(`Erro ao salvar transcrição: ${error.message}`, {
+        sessionId: session.id,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Carrega a transcrição persistida de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise<Object|null>} - Documento ou null se inexistente
+   */
+  async load(sessionId) {
+    try {
+      const data = await fs.promises.readFile(this.getFilePath(sessionId));
+      return JSON.parse(data.toString());
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Formata a transcrição em texto simples
+   * @param {Object} document - Documento da transcrição
+   * @returns {string} - Uma linha por fala
+   */
+  formatText(document) {
+    return document.entries
+      .map((entry) => {
+        const timestamp = new Date(
+          entry.startedAt || entry.createdAt
+        ).toISOString();
+        const speaker = SPEAKER_LABELS[entry.speaker] || entry.speaker;
+        const text =
+          entry.status === "failed" ? "[transcrição indisponível]" : entry.text;
+        return `[${timestamp}] ${speaker}: ${text}`;
+      })
+      .join("\n");
+  }
+
+  /**
+   * Caminho do arquivo de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @returns {string} - Caminho absoluto
+   */
+  getFilePath(sessionId) {
+    // IDs de sessão são UUIDs; qualquer outro caractere é descartado
+    const safeId = String(sessionId).replace(/[^a-zA-Z0-9-]/g, "");
+    return path.join(this.directory, `${safeId}.json`);
+  }
+}
+
+const transcriptService = new TranscriptService();
+
+module.exports = transcriptService;
+module.exports.Transcript = Transcript;
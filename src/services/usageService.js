@@ -0,0 +1,226 @@
+/**
+ * Serviço de contabilização de uso
+ *
+ * Soma os tokens informados em cada response.done por sessão, por
+ * identidade e no servidor inteiro, estima o custo pela tabela de
+ * preços do modelo e registra o consumo das sessões encerradas.
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// Campos de tokens acumulados e o preço correspondente na tabela
+const TOKEN_FIELDS = {
+  textInputTokens: "textInput",
+  textCachedInputTokens: "textCachedInput",
+  textOutputTokens: "textOutput",
+  audioInputTokens: "audioInput",
+  audioCachedInputTokens: "audioCachedInput",
+  audioOutputTokens: "audioOutput",
+};
+
+/**
+ * Cria um acumulador de uso vazio
+ * @returns {Object} - Totais zerados
+ */
+function createTotals() {
+  const totals = { responses: 0, totalTokens: 0, cost: 0 };
+  Object.keys(TOKEN_FIELDS).forEach((field) => (totals[field] = 0));
+  return totals;
+}
+
+/**
+ * Soma um uso a um acumulador
+ * @param {Object} totals - Acumulador
+ * @param {Object} usage - Uso normalizado de uma resposta
+ */
+function addTotals(totals, usage) {
+  totals.responses += usage.responses;
+  totals.totalTokens += usage.totalTokens;
+  totals.cost += usage.cost;
+  Object.keys(TOKEN_FIELDS).forEach((field) => (totals[field] += usage[field]));
+}
+
+class UsageService {
+  constructor() {
+    this.prices = { ...config.usage.prices };
+    this.global = createTotals();
+    this.identities = new Map(); // identidade -> totais
+
+    if (config.usage.pricesFile) {
+      this.loadPrices(config.usage.pricesFile);
+    }
+  }
+
+  /**
+   * Carrega preços de um arquivo JSON ({ modelo: { textInput, ... } })
+   * @param {string} filePath - Caminho do arquivo
+   */
+  loadPrices(filePath) {
+    try {
+      const prices = JSON.parse(fs.readFileSync(filePath).toString());
+      Object.assign(this.prices, prices);
+      logger.info(`Tabela de preços carregada`, {
+        filePath,
+        models: Object.keys(prices),
+      });
+    } catch (error) {
+      logger.error(`Erro ao carregar tabela de preços: ${error.message}`, {
+        filePath,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Obtém os preços de um modelo pelo prefixo mais longo do nome
+   *
+   * Permite que "gpt-4o-realtime-preview-2024-12-17" use os preços de
+   * "gpt-4o-realtime-preview".
+   * @param {string} model - Nome do modelo
+   * @returns {Object|null} - Preços por 1 milhão de tokens
+   */
+  getPrices(model) {
+    const match = Object.keys(this.prices)
+      .filter((prefix) => model && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.prices[match] : null;
+  }
+
+  /**
+   * Cria o acumulador de uso de uma sessão
+   * @returns {Object} - Totais zerados
+   */
+  createSessionUsage() {
+    return createTotals();
+  }
+
+  /**
+   * Contabiliza o uso informado em um response.done
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} usage - Bloco usage da resposta
+   * @returns {Object} - Uso normalizado da resposta
+   */
+  record(session, usage) {
+    const input = usage.input_token_details || {};
+    const output = usage.output_token_details || {};
+    const cached = input.cached_tokens_details || {};
+
+    // Tokens em cache também são contados em text_tokens/audio_tokens
+    const entry = {
+      responses: 1,
+      totalTokens: usage.total_tokens || 0,
+      textInputTokens: (input.text_tokens || 0) - (cached.text_tokens || 0),
+      textCachedInputTokens: cached.text_tokens || 0,
+      textOutputTokens: output.text_tokens || 0,
+      audioInputTokens: (input.audio_tokens || 0) - (cached.audio_tokens || 0),
+      audioCachedInputTokens: cached.audio_tokens || 0,
+      audioOutputTokens: output.audio_tokens || 0,
+      cost: 0,
+    };
+
+    const prices = this.getPrices(session.state.model);
+    if (prices) {
+      Object.entries(TOKEN_FIELDS).forEach(([field, price]) => {
+        entry.cost += (entry[field] * (prices[price] || 0)) / 1e6;
+      });
+    } else {
+      logger.warn(`Modelo sem preço configurado: ${session.state.model}`, {
+        sessionId: session.id,
+      });
+    }
+
+    addTotals(session.usage, entry);
+    addTotals(this.global, entry);
+
+    const identityId = session.identity ? session.identity.id : "anonymous";
+    if (!this.identities.has(identityId)) {
+      this.identities.set(identityId, createTotals());
+    }
+    addTotals(this.identities.get(identityId), entry);
+
+    return entry;
+  }
+
+  /**
+   * Monta o evento session.usage enviado ao cliente
+   * @param {Object} totals - Totais da sessão
+   * @returns {Object} - Evento com os campos em snake_case
+   */
+  buildEvent(totals) {
+    return {
+      type: "session.usage",
+      usage: {
+        responses: totals.responses,
+        total_tokens: totals.totalTokens,
+        text_input_tokens: totals.textInputTokens,
+        text_cached_input_tokens: totals.textCachedInputTokens,
+        text_output_tokens: totals.textOutputTokens,
+        audio_input_tokens: totals.audioInputTokens,
+        audio_cached_input_tokens: totals.audioCachedInputTokens,
+        audio_output_tokens: totals.audioOutputTokens,
+        estimated_cost_usd: Number(totals.cost.toFixed(6)),
+      },
+      timestamp: Date.now(),
+    };
+  }
+
+  /**
+   * Obtém os totais de uma identidade
+   * @param {string} identityId - ID da identidade
+   * @returns {Object|null} - Totais ou null se não houver uso
+   */
+  getIdentityUsage(identityId) {
+    return this.identities.get(identityId) || null;
+  }
+
+  /**
+   * Resume o uso global e por identidade
+   * @returns {Object} - Totais
+   */
+  getSummary() {
+    return {
+      global: this.global,
+      identities: Object.fromEntries(this.identities),
+    };
+  }
+
+  /**
+   * Acrescenta o consumo de uma sessão encerrada ao registro
+   * @param {Object} session - Objeto de sessão
+   * @returns {Promise<void>}
+   */
+  async appendLedger(session) {
+    if (!config.usage.ledgerFile || session.usage.responses === 0) {
+      return;
+    }
+
+    const record = {
+      sessionId: session.id,
+      identity: session.identity ? session.identity.id : null,
+      model: session.state.model,
+      openaiSessionId: session.state.sessionId,
+      created: session.created,
+      closed: session.closed,
+      usage: session.usage,
+    };
+
+    try {
+      await fs.promises.mkdir(path.dirname(config.usage.ledgerFile), {
+        recursive: true,
+      });
+      await fs.promises.appendFile(
+        config.usage.ledgerFile,
+        JSON.stringify(record) + "\n"
+      );
+    } catch (error) {
+      logger.error(`Erro ao registrar consumo: ${error.message}`, {
+        sessionId: session.id,
+        error,
+      });
+    }
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,22 @@
+/**
+ * Ferramenta de exemplo: data e hora atuais do servidor
+ */
+module.exports = {
+  name: "get_current_time",
+  description: "Retorna a data e hora atuais em um fuso horário",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description: "Fuso horário IANA, por exemplo America/Sao_Paulo",
+      },
+    },
+  },
+  async handler({ timezone = "UTC" }) {
+    return {
+      timezone,
+      datetime: new Date().toLocaleString("pt-BR", { timeZone: timezone }),
+    };
+  },
+};
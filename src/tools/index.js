@@ -0,0 +1,28 @@
+/**
+ * Ferramentas executadas no servidor
+ *
+ * Registra no toolRegistry as ferramentas disponíveis ao modelo.
+ * Para adicionar uma ferramenta, crie um módulo neste diretório
+ * exportando { name, description, parameters, handler } e inclua-o
+ * na lista abaixo.
+ */
+const config = require("../config/config");
+const toolRegistry = require("../services/toolRegistry");
+
+const tools = [require("./getCurrentTime")];
+
+/**
+ * Registra as ferramentas habilitadas na configuração
+ *
+ * Só as ferramentas listadas em TOOLS_ENABLED são expostas ao modelo;
+ * a lista vazia não registra nenhuma.
+ */
+function registerTools() {
+  tools
+    .filter((tool) => config.tools.enabled.includes(tool.name))
+    .forEach((tool) => toolRegistry.register(tool));
+}
+
+module.exports = {
+  registerTools,
+};
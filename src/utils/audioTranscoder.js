@@ -0,0 +1,97 @@
+/**
+ * Conversor de áudio em streaming
+ *
+ * Converte um fluxo contínuo de chunks entre formato/taxa de origem e
+ * de destino, mantendo o estado do reamostrador entre os chunks.
+ */
+const audioUtils = require("./audioUtils");
+const { StreamingResampler } = require("./resampler");
+
+class AudioTranscoder {
+  /**
+   * @param {Object} from - Origem
+   * @param {string} from.format - Formato de origem
+   * @param {number} from.sampleRate - Taxa de amostragem de origem
+   * @param {Object} to - Destino
+   * @param {string} to.format - Formato de destino
+   * @param {number} to.sampleRate - Taxa de amostragem de destino
+   */
+  constructor(from, to) {
+    this.from = from;
+    this.to = to;
+    this.resampler =
+      from.sampleRate !== to.sampleRate
+        ? new StreamingResampler(from.sampleRate, to.sampleRate)
+        : null;
+    // Byte ímpar de PCM16 que ficou para o próximo chunk
+    this.remainder = null;
+  }
+
+  /**
+   * Indica se a conversão não altera o áudio
+   * @returns {boolean} - true se origem e destino são iguais
+   */
+  isPassthrough() {
+    return this.from.format === this.to.format && !this.resampler;
+  }
+
+  /**
+   * Converte um chunk de áudio
+   * @param {Buffer} buffer - Chunk no formato de origem
+   * @returns {Buffer} - Chunk no formato de destino
+   */
+  process(buffer) {
+    if (this.isPassthrough()) {
+      return buffer;
+    }
+
+    if (this.remainder) {
+      buffer = Buffer.concat([this.remainder, buffer]);
+      this.remainder = null;
+    }
+
+    let pcm16 = audioUtils.decodeToPcm16(buffer, this.from.format);
+    if (pcm16.length % 2 !== 0) {
+      this.remainder = pcm16.subarray(pcm16.length - 1);
+      pcm16 = pcm16.subarray(0, pcm16.length - 1);
+    }
+
+    if (this.resampler) {
+      pcm16 = audioUtils.float32ToPcm16(
+        this.resampler.process(audioUtils.pcm16ToFloat32(pcm16))
+      );
+    }
+
+    return audioUtils.encodeFromPcm16(pcm16, this.to.format);
+  }
+
+  /**
+   * Encerra o fluxo, devolvendo o áudio retido no reamostrador
+   * @returns {Buffer} - Último chunk no formato de destino (pode ser vazio)
+   */
+  flush() {
+    this.remainder = null;
+    if (!this.resampler) {
+      return Buffer.alloc(0);
+    }
+
+    return audioUtils.encodeFromPcm16(
+      audioUtils.float32ToPcm16(this.resampler.flush()),
+      this.to.format
+    );
+  }
+
+  /**
+   * Descarta o estado acumulado
+   */
+  reset() {
+    this.remainder = null;
+    if (this.resampler) {
+      this.resampler.reset();
+    }
+  }
+}
+
+module.exports = {
+  AudioTranscoder,
+};
@@ -6,6 +6,7 @@
  */
 const config = require("../config/config");
 const logger = require("./logger");
+const { StreamingResampler } = require("./resampler");
 
 /**
  * Verifica se o formato de áudio é suportado
@@ -16,6 +17,15 @@ function isAudioFormatSupported(format) {
   return config.audio.supportedFormats.includes(format);
 }
 
+/**
+ * Verifica se a taxa de amostragem é suportada pelo reamostrador
+ * @param {number} sampleRate - Taxa de amostragem em Hz
+ * @returns {boolean} - true se a taxa é suportada
+ */
+function isSampleRateSupported(sampleRate) {
+  return config.audio.supportedSampleRates.includes(sampleRate);
+}
+
 /**
  * Converte um buffer base64 para Uint8Array
  * @param {string} base64 - String em Base64
@@ -46,10 +56,11 @@ function uint8ArrayToBase64(buffer) {
  * @returns {Float32Array} - Dados de áudio em formato Float32
  */
 function pcm16ToFloat32(pcm16Buffer) {
-  // Garantir que temos um buffer do Node.js
-  const buffer = Buffer.isBuffer(pcm16Buffer)
-    ? pcm16Buffer
-    : Buffer.from(pcm16Buffer);
+  // Garantir que temos um buffer do Node.js alinhado para Int16Array
+  const buffer =
+    Buffer.isBuffer(pcm16Buffer) && pcm16Buffer.byteOffset % 2 === 0
+      ? pcm16Buffer
+      : Buffer.from(pcm16Buffer);
 
   // Criar um array de Int16 a partir do buffer
   const int16Array = new Int16Array(
@@ -88,8 +99,11 @@ function float32ToPcm16(float32Array) {
 }
 
 /**
- * Ajusta a taxa de amostragem do áudio (downsampling/upsampling)
- * Nota: Esta é uma implementação simplificada - ajuste conforme necessário
+ * Ajusta a taxa de amostragem de um buffer isolado
+ *
+ * Usa o reamostrador polifásico com filtro anti-aliasing. Para áudio
+ * em chunks, prefira um StreamingResampler por fluxo, que mantém o
+ * estado do filtro entre chamadas.
  * @param {Float32Array} audioData - Dados de áudio em Float32
  * @param {number} originalSampleRate - Taxa de amostragem original
  * @param {number} targetSampleRate - Taxa de amostragem desejada
@@ -101,32 +115,353 @@ function resampleAudio(audioData, originalSampleRate, targetSampleRate) {
     return audioData;
   }
 
-  const ratio = originalSampleRate / targetSampleRate;
-  const newLength = Math.round(audioData.length / ratio);
-  const result = new Float32Array(newLength);
+  return new StreamingResampler(
+    originalSampleRate,
+    targetSampleRate
+  ).processComplete(audioData);
+}
+
+// Constantes do G.711 (ITU-T)
+const G711_BIAS = 0x84;
+const G711_CLIP = 32635;
+
+/**
+ * Codifica uma amostra PCM16 em μ-law
+ * @param {number} sample - Amostra de 16 bits com sinal
+ * @returns {number} - Byte μ-law
+ */
+function linearToMuLaw(sample) {
+  const sign = (sample >> 8) & 0x80;
+  if (sign) {
+    sample = -sample;
+  }
+  sample = Math.min(sample, G711_CLIP) + G711_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (sample >> (exponent + 3)) & 0x0f;
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decodifica um byte μ-law em amostra PCM16
+ * @param {number} byte - Byte μ-law
+ * @returns {number} - Amostra de 16 bits com sinal
+ */
+function muLawToLinear(byte) {
+  byte = ~byte & 0xff;
+  const sign = byte & 0x80;
+  const exponent = (byte >> 4) & 0x07;
+  const mantissa = byte & 0x0f;
+  const sample = (((mantissa << 3) + G711_BIAS) << exponent) - G711_BIAS;
+
+  return sign ? -sample : sample;
+}
 
-  for (let i = 0; i < newLength; i++) {
-    // Interpolação linear simples
-    const indexOriginal = i * ratio;
-    const index = Math.floor(indexOriginal);
-    const fraction = indexOriginal - index;
+/**
+ * Codifica uma amostra PCM16 em A-law
+ * @param {number} sample - Amostra de 16 bits com sinal
+ * @returns {number} - Byte A-law
+ */
+function linearToALaw(sample) {
+  // No A-law o bit de sinal ligado indica amostra positiva
+  const sign = (~sample >> 8) & 0x80;
+  if (!sign) {
+    sample = -sample;
+  }
+  sample = Math.min(sample, G711_CLIP);
 
-    if (index + 1 < audioData.length) {
-      result[i] =
-        audioData[index] * (1 - fraction) + audioData[index + 1] * fraction;
-    } else {
-      result[i] = audioData[index];
+  let compressed;
+  if (sample >= 256) {
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0; mask >>= 1) {
+      exponent--;
     }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    compressed = (exponent << 4) | mantissa;
+  } else {
+    compressed = sample >> 4;
+  }
+
+  return (compressed ^ (sign ^ 0x55)) & 0xff;
+}
+
+/**
+ * Decodifica um byte A-law em amostra PCM16
+ * @param {number} byte - Byte A-law
+ * @returns {number} - Amostra de 16 bits com sinal
+ */
+function aLawToLinear(byte) {
+  byte ^= 0x55;
+  const sign = byte & 0x80;
+  const exponent = (byte >> 4) & 0x07;
+  const mantissa = byte & 0x0f;
+
+  let sample = (mantissa << 4) + 8;
+  if (exponent !== 0) {
+    sample = (sample + 0x100) << (exponent - 1);
+  }
+
+  return sign ? sample : -sample;
+}
+
+// Tabelas de decodificação (256 valores possíveis por byte)
+const MU_LAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) =>
+  muLawToLinear(byte)
+);
+const A_LAW_DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) =>
+  aLawToLinear(byte)
+);
+
+/**
+ * Codifica PCM16 (little-endian) em G.711
+ * @param {Buffer|Uint8Array} pcm16Buffer - Buffer PCM16
+ * @param {Function} encodeSample - Codificador de uma amostra
+ * @returns {Buffer} - Buffer G.711 (1 byte por amostra)
+ */
+function encodeG711(pcm16Buffer, encodeSample) {
+  const buffer = Buffer.isBuffer(pcm16Buffer)
+    ? pcm16Buffer
+    : Buffer.from(pcm16Buffer);
+  const output = Buffer.alloc(Math.floor(buffer.length / 2));
+
+  for (let i = 0; i < output.length; i++) {
+    output[i] = encodeSample(buffer.readInt16LE(i * 2));
+  }
+
+  return output;
+}
+
+/**
+ * Decodifica G.711 em PCM16 (little-endian)
+ * @param {Buffer|Uint8Array} g711Buffer - Buffer G.711
+ * @param {Int16Array} table - Tabela de decodificação
+ * @returns {Buffer} - Buffer PCM16
+ */
+function decodeG711(g711Buffer, table) {
+  const output = Buffer.alloc(g711Buffer.length * 2);
+
+  for (let i = 0; i < g711Buffer.length; i++) {
+    output.writeInt16LE(table[g711Buffer[i]], i * 2);
   }
 
-  return result;
+  return output;
+}
+
+/**
+ * Converte PCM16 para G.711 μ-law
+ * @param {Buffer|Uint8Array} pcm16Buffer - Buffer PCM16
+ * @returns {Buffer} - Buffer μ-law
+ */
+function pcm16ToMuLaw(pcm16Buffer) {
+  return encodeG711(pcm16Buffer, linearToMuLaw);
+}
+
+/**
+ * Converte G.711 μ-law para PCM16
+ * @param {Buffer|Uint8Array} muLawBuffer - Buffer μ-law
+ * @returns {Buffer} - Buffer PCM16
+ */
+function muLawToPcm16(muLawBuffer) {
+  return decodeG711(muLawBuffer, MU_LAW_DECODE_TABLE);
+}
+
+/**
+ * Converte PCM16 para G.711 A-law
+ * @param {Buffer|Uint8Array} pcm16Buffer - Buffer PCM16
+ * @returns {Buffer} - Buffer A-law
+ */
+function pcm16ToALaw(pcm16Buffer) {
+  return encodeG711(pcm16Buffer, linearToALaw);
+}
+
+/**
+ * Converte G.711 A-law para PCM16
+ * @param {Buffer|Uint8Array} aLawBuffer - Buffer A-law
+ * @returns {Buffer} - Buffer PCM16
+ */
+function aLawToPcm16(aLawBuffer) {
+  return decodeG711(aLawBuffer, A_LAW_DECODE_TABLE);
+}
+
+/**
+ * Obtém a taxa de amostragem de um formato
+ * @param {string} format - Formato de áudio
+ * @returns {number} - Taxa de amostragem em Hz
+ */
+function getFormatSampleRate(format) {
+  return format === "g711_ulaw" || format === "g711_alaw"
+    ? 8000
+    : config.audio.defaultSampleRate;
+}
+
+/**
+ * Decodifica áudio de um formato suportado para PCM16
+ * @param {Buffer} buffer - Áudio no formato de origem
+ * @param {string} format - Formato de origem
+ * @returns {Buffer} - Buffer PCM16
+ */
+function decodeToPcm16(buffer, format) {
+  switch (format) {
+    case "g711_ulaw":
+      return muLawToPcm16(buffer);
+    case "g711_alaw":
+      return aLawToPcm16(buffer);
+    default:
+      return buffer;
+  }
+}
+
+/**
+ * Codifica PCM16 em um formato suportado
+ * @param {Buffer} pcm16Buffer - Buffer PCM16
+ * @param {string} format - Formato de destino
+ * @returns {Buffer} - Áudio no formato de destino
+ */
+function encodeFromPcm16(pcm16Buffer, format) {
+  switch (format) {
+    case "g711_ulaw":
+      return pcm16ToMuLaw(pcm16Buffer);
+    case "g711_alaw":
+      return pcm16ToALaw(pcm16Buffer);
+    default:
+      return pcm16Buffer;
+  }
+}
+
+/**
+ * Converte áudio entre formatos, ajustando a taxa de amostragem
+ * @param {Buffer} buffer - Áudio no formato de origem
+ * @param {string} fromFormat - Formato de origem
+ * @param {string} toFormat - Formato de destino
+ * @returns {Buffer} - Áudio no formato de destino
+ */
+function transcodeAudio(buffer, fromFormat, toFormat) {
+  if (fromFormat === toFormat) {
+    return buffer;
+  }
+
+  let pcm16 = decodeToPcm16(buffer, fromFormat);
+
+  const fromRate = getFormatSampleRate(fromFormat);
+  const toRate = getFormatSampleRate(toFormat);
+  if (fromRate !== toRate) {
+    pcm16 = float32ToPcm16(
+      resampleAudio(pcm16ToFloat32(pcm16), fromRate, toRate)
+    );
+  }
+
+  return encodeFromPcm16(pcm16, toFormat);
+}
+
+// Códigos de formato WAV (campo wFormatTag)
+const WAV_FORMATS = {
+  pcm16: { tag: 1, bitsPerSample: 16 },
+  g711_alaw: { tag: 6, bitsPerSample: 8 },
+  g711_ulaw: { tag: 7, bitsPerSample: 8 },
+};
+
+/**
+ * Cria o cabeçalho de um arquivo WAV
+ *
+ * Formatos G.711 usam o chunk fmt estendido e o chunk fact, exigidos
+ * para formatos não-PCM.
+ * @param {Object} options - Descrição do áudio
+ * @param {string} options.format - Formato (pcm16, g711_ulaw, g711_alaw)
+ * @param {number} options.sampleRate - Taxa de amostragem
+ * @param {number} [options.channels=1] - Número de canais
+ * @param {number} options.dataLength - Tamanho dos dados em bytes
+ * @returns {Buffer} - Cabeçalho WAV
+ */
+function createWavHeader({ format, sampleRate, channels = 1, dataLength }) {
+  const { tag, bitsPerSample } = WAV_FORMATS[format] || WAV_FORMATS.pcm16;
+  const isPcm = tag === 1;
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const fmtLength = isPcm ? 16 : 18;
+  const headerLength = getWavHeaderLength(format);
+
+  const header = Buffer.alloc(headerLength);
+  let offset = 0;
+
+  header.write("RIFF", offset);
+  header.writeUInt32LE(headerLength - 8 + dataLength, offset + 4);
+  header.write("WAVE", offset + 8);
+  offset += 12;
+
+  header.write("fmt ", offset);
+  header.writeUInt32LE(fmtLength, offset + 4);
+  header.writeUInt16LE(tag, offset + 8);
+  header.writeUInt16LE(channels, offset + 10);
+  header.writeUInt32LE(sampleRate, offset + 12);
+  header.writeUInt32LE(sampleRate * blockAlign, offset + 16);
+  header.writeUInt16LE(blockAlign, offset + 20);
+  header.writeUInt16LE(bitsPerSample, offset + 22);
+  offset += 8 + fmtLength; // cbSize (0) já está zerado no formato estendido
+
+  if (!isPcm) {
+    header.write("fact", offset);
+    header.writeUInt32LE(4, offset + 4);
+    header.writeUInt32LE(dataLength / blockAlign, offset + 8);
+    offset += 12;
+  }
+
+  header.write("data", offset);
+  header.writeUInt32LE(dataLength, offset + 4);
+
+  return header;
+}
+
+/**
+ * Tamanho do cabeçalho WAV gerado para um formato
+ * @param {string} format - Formato de áudio
+ * @returns {number} - Tamanho em bytes
+ */
+function getWavHeaderLength(format) {
+  return format === "g711_ulaw" || format === "g711_alaw" ? 58 : 44;
+}
+
+/**
+ * Bytes por amostra de um formato (mono)
+ * @param {string} format - Formato de áudio
+ * @returns {number} - Bytes por amostra
+ */
+function getBytesPerSample(format) {
+  return (WAV_FORMATS[format] || WAV_FORMATS.pcm16).bitsPerSample / 8;
+}
+
+/**
+ * Duração de um trecho de áudio mono
+ * @param {number} byteLength - Tamanho do áudio em bytes
+ * @param {string} format - Formato de áudio
+ * @param {number} [sampleRate] - Taxa de amostragem (padrão: a do formato)
+ * @returns {number} - Duração em segundos
+ */
+function getAudioDuration(byteLength, format, sampleRate) {
+  const rate = sampleRate || getFormatSampleRate(format);
+  return byteLength / getBytesPerSample(format) / rate;
 }
 
 module.exports = {
   isAudioFormatSupported,
+  isSampleRateSupported,
   base64ToUint8Array,
   uint8ArrayToBase64,
   pcm16ToFloat32,
   float32ToPcm16,
   resampleAudio,
+  pcm16ToMuLaw,
+  muLawToPcm16,
+  pcm16ToALaw,
+  aLawToPcm16,
+  getFormatSampleRate,
+  decodeToPcm16,
+  encodeFromPcm16,
+  transcodeAudio,
+  createWavHeader,
+  getWavHeaderLength,
+  getBytesPerSample,
+  getAudioDuration,
 };
@@ -6,6 +6,7 @@
 const winston = require("winston");
 const path = require("path");
 const fs = require("fs");
+const config = require("../config/config");
 
 // Garantir que o diretório de logs existe
 const logDir = path.join(__dirname, "../../logs");
@@ -23,7 +24,7 @@ const logFormat = winston.format.combine(
 
 // Criar o logger
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || "info",
+  level: config.logging.level,
   format: logFormat,
   defaultMeta: { service: "openai-realtime-server" },
   transports: [
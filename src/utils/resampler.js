@@ -0,0 +1,192 @@
+/**
+ * Reamostragem de áudio em streaming
+ *
+ * Implementa um reamostrador polifásico com razão racional L/M e
+ * filtro passa-baixa FIR (sinc janelado), mantendo o histórico do
+ * filtro entre chamadas para que chunks consecutivos não gerem cliques.
+ */
+
+/**
+ * Máximo divisor comum
+ * @param {number} a - Primeiro inteiro
+ * @param {number} b - Segundo inteiro
+ * @returns {number} - MDC de a e b
+ */
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Projeta os coeficientes polifásicos do filtro passa-baixa
+ * @param {number} upFactor - Fator de interpolação (L)
+ * @param {number} downFactor - Fator de decimação (M)
+ * @param {number} tapsPerPhase - Coeficientes por fase
+ * @param {number} rolloff - Fração da frequência de Nyquist preservada
+ * @returns {Array<Float32Array>} - Coeficientes de cada fase
+ */
+function designPolyphaseFilter(upFactor, downFactor, tapsPerPhase, rolloff) {
+  const length = upFactor * tapsPerPhase;
+  const center = (length - 1) / 2;
+  // Frequência de corte normalizada na taxa interpolada (ciclos/amostra)
+  const cutoff = (0.5 * rolloff) / Math.max(upFactor, downFactor);
+
+  const prototype = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const x = i - center;
+    const sinc =
+      x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    // Janela de Blackman
+    const window =
+      0.42 -
+      0.5 * Math.cos((2 * Math.PI * i) / (length - 1)) +
+      0.08 * Math.cos((4 * Math.PI * i) / (length - 1));
+    prototype[i] = sinc * window;
+  }
+
+  // Separar em fases, normalizando o ganho DC de cada uma para 1
+  const phases = [];
+  for (let phase = 0; phase < upFactor; phase++) {
+    const coefficients = new Float32Array(tapsPerPhase);
+    let sum = 0;
+    for (let k = 0; k < tapsPerPhase; k++) {
+      coefficients[k] = prototype[phase + k * upFactor];
+      sum += coefficients[k];
+    }
+    for (let k = 0; k < tapsPerPhase; k++) {
+      coefficients[k] /= sum;
+    }
+    phases.push(coefficients);
+  }
+
+  return phases;
+}
+
+class StreamingResampler {
+  /**
+   * @param {number} inputRate - Taxa de amostragem de entrada (Hz)
+   * @param {number} outputRate - Taxa de amostragem de saída (Hz)
+   * @param {Object} [options] - Opções do filtro
+   * @param {number} [options.tapsPerPhase] - Coeficientes por fase (padrão:
+   *   32, multiplicado pelo fator de decimação para manter a transição estreita)
+   * @param {number} [options.rolloff=0.9] - Fração de Nyquist preservada
+   */
+  constructor(inputRate, outputRate, options = {}) {
+    const divisor = gcd(inputRate, outputRate);
+    const {
+      tapsPerPhase = 32 * Math.max(1, Math.ceil(inputRate / outputRate)),
+      rolloff = 0.9,
+    } = options;
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+    this.upFactor = outputRate / divisor;
+    this.downFactor = inputRate / divisor;
+    this.tapsPerPhase = tapsPerPhase;
+    this.phases = designPolyphaseFilter(
+      this.upFactor,
+      this.downFactor,
+      tapsPerPhase,
+      rolloff
+    );
+    // Atraso do filtro, em amostras de saída
+    this.delay = (this.upFactor * tapsPerPhase - 1) / 2 / this.downFactor;
+    this.reset();
+  }
+
+  /**
+   * Descarta o histórico do filtro
+   */
+  reset() {
+    this.history = new Float32Array(this.tapsPerPhase - 1);
+    // Posição da próxima saída, em amostras interpoladas, relativa ao chunk
+    this.position = 0;
+  }
+
+  /**
+   * Reamostra um chunk de áudio, continuando o chunk anterior
+   * @param {Float32Array} input - Amostras de entrada
+   * @returns {Float32Array} - Amostras de saída
+   */
+  process(input) {
+    if (this.inputRate === this.outputRate) {
+      return input;
+    }
+
+    const historyLength = this.history.length;
+    const samples = new Float32Array(historyLength + input.length);
+    samples.set(this.history);
+    samples.set(input, historyLength);
+
+    const output = [];
+    const { upFactor, downFactor, tapsPerPhase, phases } = this;
+    let position = this.position;
+
+    while (Math.floor(position / upFactor) < input.length) {
+      const index = historyLength + Math.floor(position / upFactor);
+      const coefficients = phases[position % upFactor];
+
+      let sum = 0;
+      for (let k = 0; k < tapsPerPhase; k++) {
+        sum += coefficients[k] * samples[index - k];
+      }
+      output.push(sum);
+
+      position += downFactor;
+    }
+
+    this.position = position - input.length * upFactor;
+    this.history = samples.slice(samples.length - historyLength);
+
+    return Float32Array.from(output);
+  }
+
+  /**
+   * Encerra o fluxo, emitindo as amostras retidas pelo atraso do filtro
+   *
+   * O estado é descartado em seguida, como em reset().
+   * @returns {Float32Array} - Amostras restantes
+   */
+  flush() {
+    if (this.inputRate === this.outputRate) {
+      return new Float32Array(0);
+    }
+
+    const tail = this.process(new Float32Array(this.tapsPerPhase)).slice(
+      0,
+      Math.round(this.delay)
+    );
+    this.reset();
+    return tail;
+  }
+
+  /**
+   * Reamostra um buffer isolado, compensando o atraso do filtro
+   * @param {Float32Array} input - Amostras de entrada
+   * @returns {Float32Array} - Amostras de saída
+   */
+  processComplete(input) {
+    if (this.inputRate === this.outputRate) {
+      return input;
+    }
+
+    const expectedLength = Math.round(
+      (input.length * this.outputRate) / this.inputRate
+    );
+    const head = this.process(input);
+    const tail = this.process(new Float32Array(this.tapsPerPhase));
+
+    const combined = new Float32Array(head.length + tail.length);
+    combined.set(head);
+    combined.set(tail, head.length);
+
+    const start = Math.round(this.delay);
+    return combined.slice(start, start + expectedLength);
+  }
+}
+
+module.exports = {
+  StreamingResampler,
+};
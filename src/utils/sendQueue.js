@@ -0,0 +1,272 @@
+/**
+ * Fila de envio com controle de fluxo (backpressure)
+ *
+ * Enquanto o socket tem menos que `highWatermark` bytes pendentes, os
+ * eventos são escritos direto. Acima disso, passam a ser enfileirados
+ * até o socket baixar de `lowWatermark`. A política define o que fazer
+ * com a fila enquanto o socket não escoa:
+ *
+ * - pause: apenas enfileira
+ * - drop_audio: descarta os deltas de áudio mais antigos ao exceder o limite
+ * - coalesce_text: junta deltas de texto consecutivos do mesmo conteúdo
+ *
+ * Se a fila continuar acima de `maxQueueBytes` por `maxOverLimitMs`, o
+ * evento "overflow" é emitido para que o dono encerre a conexão.
+ */
+const EventEmitter = require("events");
+
+const POLICIES = ["pause", "drop_audio", "coalesce_text"];
+
+// Eventos que podem ser descartados ou combinados
+const AUDIO_EVENTS = new Set([
+  "response.audio.delta",
+  "input_audio_buffer.append",
+]);
+const TEXT_EVENTS = new Set([
+  "response.text.delta",
+  "response.audio_transcript.delta",
+  "response.function_call_arguments.delta",
+  "conversation.item.input_audio_transcription.delta",
+]);
+
+// Intervalo (ms) de verificação do socket enquanto a fila está ativa
+const CHECK_INTERVAL = 20;
+
+class SendQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Opções da fila
+   * @param {string} options.direction - downstream (ao cliente) ou upstream (à OpenAI)
+   * @param {Function} options.write - Escreve um evento no socket
+   * @param {Function} options.getBufferedAmount - Bytes pendentes no socket
+   * @param {string} options.policy - pause, drop_audio ou coalesce_text
+   * @param {number} options.highWatermark - Bytes pendentes que ativam a fila
+   * @param {number} options.lowWatermark - Bytes pendentes que liberam a fila
+   * @param {number} options.maxQueueBytes - Limite de bytes pendentes e enfileirados
+   * @param {number} options.maxOverLimitMs - Tempo tolerado acima do limite
+   * @throws {Error} - Se a política for desconhecida
+   */
+  constructor(options) {
+    super();
+
+    if (!POLICIES.includes(options.policy)) {
+      throw new Error(
+        `Política de backpressure desconhecida: ${options.policy}`
+      );
+    }
+
+    this.options = options;
+    this.direction = options.direction;
+    this.items = []; // { event, size }
+    this.queuedBytes = 0;
+    this.paused = false;
+    this.pausedAt = null;
+    this.overLimitSince = null;
+    this.overflowed = false;
+    this.timer = null;
+    // Contadores do episódio de backpressure atual
+    this.dropped = 0;
+    this.coalesced = 0;
+  }
+
+  /**
+   * Envia um evento ou o enfileira se o socket estiver congestionado
+   * @param {Object} event - Evento a ser enviado
+   */
+  send(event) {
+    if (!this.paused) {
+      this.options.write(event);
+      if (this.options.getBufferedAmount() >= this.options.highWatermark) {
+        this.pause();
+      }
+      return;
+    }
+
+    this.enqueue(event);
+    this.checkLimit();
+  }
+
+  /**
+   * Adiciona um evento à fila aplicando a política
+   * @param {Object} event - Evento a ser enfileirado
+   */
+  enqueue(event) {
+    const last = this.items[this.items.length - 1];
+    if (
+      this.options.policy === "coalesce_text" &&
+      last &&
+      TEXT_EVENTS.has(event.type) &&
+      isSameContent(last.event, event)
+    ) {
+      last.event.delta += event.delta;
+      last.size += event.delta.length;
+      this.queuedBytes += event.delta.length;
+      this.coalesced++;
+      return;
+    }
+
+    const size = JSON.stringify(event).length;
+    this.items.push({ event, size });
+    this.queuedBytes += size;
+
+    if (this.options.policy === "drop_audio") {
+      this.dropOldAudio();
+    }
+  }
+
+  /**
+   * Descarta os deltas de áudio mais antigos até voltar ao limite
+   */
+  dropOldAudio() {
+    while (this.isOverLimit()) {
+      const index = this.items.findIndex((item) =>
+        AUDIO_EVENTS.has(item.event.type)
+      );
+      if (index === -1) {
+        return;
+      }
+
+      const [item] = this.items.splice(index, 1);
+      this.queuedBytes -= item.size;
+      this.dropped++;
+    }
+  }
+
+  /**
+   * Indica se os bytes pendentes e enfileirados excedem o limite
+   * @returns {boolean}
+   */
+  isOverLimit() {
+    return (
+      this.options.getBufferedAmount() + this.queuedBytes >
+      this.options.maxQueueBytes
+    );
+  }
+
+  /**
+   * Acompanha o tempo acima do limite e emite "overflow" ao exceder a tolerância
+   */
+  checkLimit() {
+    if (!this.isOverLimit()) {
+      this.overLimitSince = null;
+      return;
+    }
+
+    const now = Date.now();
+    this.overLimitSince = this.overLimitSince || now;
+    if (
+      !this.overflowed &&
+      now - this.overLimitSince >= this.options.maxOverLimitMs
+    ) {
+      this.overflowed = true;
+      this.emit("overflow", this.buildEvent("overflow"));
+    }
+  }
+
+  /**
+   * Passa a enfileirar os eventos
+   */
+  pause() {
+    this.paused = true;
+    this.pausedAt = Date.now();
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+    this.emit("backpressure", this.buildEvent("started"));
+  }
+
+  /**
+   * Escoa a fila quando o socket baixa da marca inferior
+   */
+  tick() {
+    if (this.options.getBufferedAmount() > this.options.lowWatermark) {
+      this.checkLimit();
+      return;
+    }
+
+    while (
+      this.items.length > 0 &&
+      this.options.getBufferedAmount() < this.options.highWatermark
+    ) {
+      const item = this.items.shift();
+      this.queuedBytes -= item.size;
+      this.options.write(item.event);
+    }
+
+    if (this.items.length > 0) {
+      this.checkLimit();
+      return;
+    }
+
+    const event = this.buildEvent("relieved");
+    this.stop();
+    this.emit("backpressure", event);
+  }
+
+  /**
+   * Monta o evento server.backpressure enviado ao cliente
+   * @param {string} state - started, relieved ou overflow
+   * @returns {Object} - Evento
+   */
+  buildEvent(state) {
+    return {
+      type: "server.backpressure",
+      direction: this.direction,
+      state,
+      policy: this.options.policy,
+      buffered_bytes: this.options.getBufferedAmount(),
+      queued_events: this.items.length,
+      queued_bytes: this.queuedBytes,
+      dropped_events: this.dropped,
+      coalesced_events: this.coalesced,
+      duration_ms: this.pausedAt ? Date.now() - this.pausedAt : 0,
+    };
+  }
+
+  /**
+   * Encerra o episódio de backpressure
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.paused = false;
+    this.pausedAt = null;
+    this.overLimitSince = null;
+    this.overflowed = false;
+    this.dropped = 0;
+    this.coalesced = 0;
+  }
+
+  /**
+   * Esvazia a fila (socket fechado ou substituído)
+   * @returns {Array<Object>} - Eventos que não foram enviados
+   */
+  clear() {
+    const events = this.items.map((item) => item.event);
+    this.items = [];
+    this.queuedBytes = 0;
+    this.stop();
+    return events;
+  }
+}
+
+/**
+ * Indica se dois deltas de texto pertencem ao mesmo conteúdo
+ * @param {Object} a - Evento enfileirado
+ * @param {Object} b - Novo evento
+ * @returns {boolean}
+ */
+function isSameContent(a, b) {
+  return (
+    a.type === b.type &&
+    a.response_id === b.response_id &&
+    a.item_id === b.item_id &&
+    a.output_index === b.output_index &&
+    a.content_index === b.content_index &&
+    a.call_id === b.call_id
+  );
+}
+
+module.exports = {
+  SendQueue,
+  POLICIES,
+};
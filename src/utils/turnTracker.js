@@ -0,0 +1,165 @@
+/**
+ * Medição de latência por turno da conversa
+ *
+ * Um turno começa no fim da fala do usuário, no commit do buffer de
+ * áudio ou no response.create (o que vier primeiro) e termina no
+ * response.done. Os tempos de cada etapa são medidos a partir do início
+ * do turno com um relógio monotônico, e as últimas medições são
+ * mantidas para o cálculo de percentis.
+ */
+const { performance } = require("perf_hooks");
+
+// Etapas medidas a partir do início do turno
+const STAGES = [
+  "response_created_ms",
+  "first_text_ms",
+  "first_audio_ms",
+  "response_done_ms",
+];
+// Tempo médio gasto no servidor ao repassar cada evento
+const RELAY = ["client_to_upstream", "upstream_to_client"];
+const PERCENTILES = [50, 90, 99];
+
+class TurnTracker {
+  /**
+   * @param {number} windowSize - Quantidade de turnos usados nos percentis
+   */
+  constructor(windowSize) {
+    this.windowSize = windowSize;
+    this.turns = 0;
+    this.samples = {}; // Últimas medições por etapa
+    [...STAGES, ...RELAY].forEach((key) => (this.samples[key] = []));
+    this.resetTurn();
+  }
+
+  /**
+   * Prepara a medição do próximo turno
+   */
+  resetTurn() {
+    this.start = null;
+    this.startSource = null;
+    this.marks = {};
+    this.relay = {};
+    RELAY.forEach((direction) => (this.relay[direction] = [0, 0]));
+  }
+
+  /**
+   * Marca o início do turno, se ainda não marcado
+   * @param {string} source - speech_stopped, commit ou response_create
+   */
+  markStart(source) {
+    if (this.start === null) {
+      this.start = performance.now();
+      this.startSource = source;
+    }
+  }
+
+  /**
+   * Marca uma etapa da resposta, se ainda não marcada
+   * @param {string} stage - Etapa (ex: first_audio_ms)
+   */
+  mark(stage) {
+    if (this.marks[stage] === undefined) {
+      this.markStart("response_created");
+      this.marks[stage] = performance.now() - this.start;
+    }
+  }
+
+  /**
+   * Acumula o tempo gasto no servidor ao repassar um evento
+   * @param {string} direction - client_to_upstream ou upstream_to_client
+   * @param {number} startedAt - performance.now() no recebimento do evento
+   */
+  recordRelay(direction, startedAt) {
+    const totals = this.relay[direction];
+    totals[0] += performance.now() - startedAt;
+    totals[1]++;
+  }
+
+  /**
+   * Encerra o turno no response.done
+   * @param {Object} response - Objeto response do response.done
+   * @returns {Object} - Evento turn.timing
+   */
+  finish(response) {
+    this.mark("response_done_ms");
+
+    const event = {
+      type: "turn.timing",
+      response_id: response.id,
+      status: response.status,
+      turn_start: this.startSource,
+      relay_overhead_ms: {},
+    };
+
+    STAGES.forEach((stage) => {
+      const value = this.marks[stage];
+      event[stage] = value === undefined ? null : Math.round(value);
+      if (value !== undefined) {
+        this.addSample(stage, value);
+      }
+    });
+
+    RELAY.forEach((direction) => {
+      const [total, count] = this.relay[direction];
+      const average = count > 0 ? total / count : null;
+      event.relay_overhead_ms[direction] =
+        average === null ? null : Math.round(average * 1000) / 1000;
+      if (average !== null) {
+        this.addSample(direction, average);
+      }
+    });
+
+    this.turns++;
+    this.resetTurn();
+    return event;
+  }
+
+  /**
+   * Adiciona uma medição à janela da etapa
+   * @param {string} key - Etapa
+   * @param {number} value - Medição em ms
+   */
+  addSample(key, value) {
+    const samples = this.samples[key];
+    samples.push(value);
+    if (samples.length > this.windowSize) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Percentis das últimas medições de cada etapa
+   * @returns {Object} - { turns, stages: { etapa: { p50, p90, p99 } } }
+   */
+  getSummary() {
+    const stages = {};
+    Object.entries(this.samples).forEach(([key, samples]) => {
+      stages[key] = percentiles(samples);
+    });
+    return { turns: this.turns, stages };
+  }
+}
+
+/**
+ * Calcula os percentis de uma lista de medições (nearest-rank)
+ * @param {Array<number>} samples - Medições
+ * @returns {Object|null} - { p50, p90, p99 } ou null sem medições
+ */
+function percentiles(samples) {
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const result = {};
+  PERCENTILES.forEach((p) => {
+    const index = Math.ceil((p / 100) * sorted.length) - 1;
+    result[`p${p}`] = Math.round(sorted[Math.max(index, 0)] * 1000) / 1000;
+  });
+  return result;
+}
+
+module.exports = {
+  TurnTracker,
+};
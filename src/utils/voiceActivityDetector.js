@@ -0,0 +1,151 @@
+/**
+ * Detector de atividade de voz por energia e cruzamentos por zero
+ *
+ * Analisa o áudio de entrada em quadros curtos. Um quadro é considerado
+ * fala quando a energia (RMS) atinge o limiar e a taxa de cruzamentos
+ * por zero fica abaixo do máximo, o que descarta chiados e ruído de
+ * alta frequência. O silêncio fora da fala é retido (apenas o trecho
+ * inicial é mantido como preenchimento) em vez de ser encaminhado.
+ */
+const audioUtils = require("./audioUtils");
+
+const FRAME_MS = 20;
+
+class VoiceActivityDetector {
+  /**
+   * @param {Object} options - Opções do detector
+   * @param {string} options.format - Formato do áudio analisado
+   * @param {number} options.threshold - Energia RMS mínima da fala (0 a 1)
+   * @param {number} options.zeroCrossingMax - Taxa máxima de cruzamentos por zero (0 a 1)
+   * @param {number} options.minSpeechMs - Fala contínua necessária para iniciar um turno
+   * @param {number} options.silenceDurationMs - Silêncio que encerra a fala (hangover)
+   * @param {number} options.prefixPaddingMs - Áudio anterior à fala encaminhado junto
+   */
+  constructor(options) {
+    this.options = options;
+    this.format = options.format;
+
+    const sampleRate = audioUtils.getFormatSampleRate(this.format);
+    this.frameBytes =
+      ((sampleRate * FRAME_MS) / 1000) *
+      audioUtils.getBytesPerSample(this.format);
+    this.maxPrerollFrames = Math.ceil(
+      (options.prefixPaddingMs + options.minSpeechMs) / FRAME_MS
+    );
+
+    this.positionMs = 0; // Áudio analisado desde a criação do detector
+    this.reset();
+  }
+
+  /**
+   * Descarta o estado acumulado (após commit ou clear do buffer)
+   */
+  reset() {
+    this.pending = Buffer.alloc(0); // Bytes de um quadro incompleto
+    this.preroll = []; // Quadros retidos antes do início da fala
+    this.speaking = false;
+    this.speechMs = 0; // Fala contínua antes do início do turno
+    this.silenceMs = 0; // Silêncio contínuo durante a fala
+  }
+
+  /**
+   * Analisa um chunk de áudio
+   *
+   * Devolve, em ordem, os trechos a encaminhar e as transições de fala:
+   * { type: "audio", audio }, { type: "speech_started", audioStartMs } e
+   * { type: "speech_stopped", audioEndMs }.
+   * @param {Buffer} buffer - Chunk no formato do detector
+   * @returns {Array<Object>} - Trechos e eventos
+   */
+  process(buffer) {
+    const data = Buffer.concat([this.pending, buffer]);
+    const frameCount = Math.floor(data.length / this.frameBytes);
+    this.pending = data.subarray(frameCount * this.frameBytes);
+
+    const results = [];
+    let forward = [];
+    const flush = () => {
+      if (forward.length > 0) {
+        results.push({ type: "audio", audio: Buffer.concat(forward) });
+        forward = [];
+      }
+    };
+
+    for (let i = 0; i < frameCount; i++) {
+      const frame = data.subarray(
+        i * this.frameBytes,
+        (i + 1) * this.frameBytes
+      );
+      const voiced = this.isVoiced(frame);
+      this.positionMs += FRAME_MS;
+
+      if (!this.speaking) {
+        this.speechMs = voiced ? this.speechMs + FRAME_MS : 0;
+        this.preroll.push(frame);
+        if (this.preroll.length > this.maxPrerollFrames) {
+          this.preroll.shift();
+        }
+
+        if (this.speechMs >= this.options.minSpeechMs) {
+          this.speaking = true;
+          this.silenceMs = 0;
+          results.push({
+            type: "speech_started",
+            audioStartMs: this.positionMs - this.speechMs,
+          });
+          forward = this.preroll;
+          this.preroll = [];
+        }
+        continue;
+      }
+
+      forward.push(frame);
+      this.silenceMs = voiced ? 0 : this.silenceMs + FRAME_MS;
+
+      if (this.silenceMs >= this.options.silenceDurationMs) {
+        this.speaking = false;
+        this.speechMs = 0;
+        flush();
+        results.push({
+          type: "speech_stopped",
+          audioEndMs: this.positionMs - this.silenceMs,
+        });
+      }
+    }
+
+    flush();
+    return results;
+  }
+
+  /**
+   * Classifica um quadro como fala ou silêncio
+   * @param {Buffer} frame - Quadro no formato do detector
+   * @returns {boolean} - true se o quadro contém fala
+   */
+  isVoiced(frame) {
+    const samples = audioUtils.pcm16ToFloat32(
+      audioUtils.decodeToPcm16(frame, this.format)
+    );
+
+    let energy = 0;
+    let crossings = 0;
+    for (let i = 0; i < samples.length; i++) {
+      energy += samples[i] * samples[i];
+      if (i > 0 && samples[i] >= 0 !== samples[i - 1] >= 0) {
+        crossings++;
+      }
+    }
+
+    const rms = Math.sqrt(energy / samples.length);
+    const zeroCrossingRate = crossings / (samples.length - 1);
+
+    return (
+      rms >= this.options.threshold &&
+      zeroCrossingRate <= this.options.zeroCrossingMax
+    );
+  }
+}
+
+module.exports = {
+  VoiceActivityDetector,
+};
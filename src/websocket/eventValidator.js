@@ -0,0 +1,435 @@
+/**
+ * Validação de eventos dos clientes
+ *
+ * Cada tipo de evento aceito pelo servidor tem um schema simplificado
+ * (tipos, campos obrigatórios, valores permitidos e limites). Eventos
+ * inválidos são rejeitados antes de chegar à OpenAI, com um código
+ * preciso e o caminho do campo problemático.
+ */
+const config = require("../config/config");
+
+/**
+ * Erro de validação de um evento do cliente
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Descrição do erro
+   * @param {string} code - Código do erro
+   * @param {string} [param] - Caminho do campo inválido (ex: session.voice)
+   */
+  constructor(message, code, param) {
+    super(message);
+    this.name = "ValidationError";
+    this.code = code;
+    this.param = param;
+  }
+}
+
+const NULLABLE_OBJECT = { type: "object", nullable: true };
+const TOOLS = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["type", "name"],
+    properties: {
+      type: { type: "string", enum: ["function"] },
+      name: { type: "string", maxLength: 64 },
+      description: { type: "string" },
+      parameters: { type: "object" },
+    },
+  },
+};
+const MODALITIES = {
+  type: "array",
+  items: { type: "string", enum: ["text", "audio"] },
+};
+const MAX_OUTPUT_TOKENS = {
+  anyOf: [
+    { type: "integer", minimum: 1, maximum: 4096 },
+    { type: "string", enum: ["inf"] },
+  ],
+};
+const TURN_DETECTION = {
+  type: "object",
+  nullable: true,
+  properties: {
+    type: { type: "string", enum: ["server_vad", "semantic_vad"] },
+    threshold: { type: "number", minimum: 0, maximum: 1 },
+    prefix_padding_ms: { type: "integer", minimum: 0 },
+    silence_duration_ms: { type: "integer", minimum: 0 },
+    eagerness: { type: "string", enum: ["low", "medium", "high", "auto"] },
+    create_response: { type: "boolean" },
+    interrupt_response: { type: "boolean" },
+  },
+};
+const CONTENT_PART = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: {
+      type: "string",
+      enum: ["input_text", "input_audio", "item_reference", "text"],
+    },
+    text: { type: "string" },
+    audio: { type: "string" },
+    transcript: { type: "string" },
+    id: { type: "string" },
+  },
+};
+
+// Schemas dos eventos aceitos, por tipo
+const EVENT_SCHEMAS = {
+  "session.update": {
+    required: ["session"],
+    properties: {
+      session: {
+        type: "object",
+        properties: {
+          modalities: MODALITIES,
+          instructions: { type: "string" },
+          voice: { type: "string" },
+          input_audio_format: { type: "string" },
+          output_audio_format: { type: "string" },
+          input_audio_transcription: NULLABLE_OBJECT,
+          turn_detection: TURN_DETECTION,
+          input_audio_noise_reduction: NULLABLE_OBJECT,
+          tools: TOOLS,
+          tool_choice: {
+            anyOf: [{ type: "string" }, { type: "object" }],
+          },
+          temperature: { type: "number", minimum: 0.6, maximum: 1.2 },
+          max_response_output_tokens: MAX_OUTPUT_TOKENS,
+          client_input_audio_format: { type: "string" },
+          client_output_audio_format: { type: "string" },
+          client_input_sample_rate: { type: "integer" },
+          client_output_sample_rate: { type: "integer" },
+          client_vad: {
+            type: "object",
+            nullable: true,
+            properties: {
+              threshold: { type: "number", minimum: 0, maximum: 1 },
+              zero_crossing_max: { type: "number", minimum: 0, maximum: 1 },
+              min_speech_ms: { type: "integer", minimum: 20, maximum: 2000 },
+              silence_duration_ms: {
+                type: "integer",
+                minimum: 100,
+                maximum: 10000,
+              },
+              prefix_padding_ms: { type: "integer", minimum: 0, maximum: 2000 },
+              create_response: { type: "boolean" },
+            },
+          },
+          client_barge_in: { type: "boolean" },
+        },
+      },
+    },
+  },
+  "input_audio_buffer.append": {
+    required: ["audio"],
+    properties: {
+      audio: { type: "string", format: "base64" },
+    },
+  },
+  "input_audio_buffer.commit": {},
+  "input_audio_buffer.clear": {},
+  "response.create": {
+    properties: {
+      response: {
+        type: "object",
+        properties: {
+          modalities: MODALITIES,
+          instructions: { type: "string" },
+          voice: { type: "string" },
+          output_audio_format: { type: "string" },
+          tools: TOOLS,
+          tool_choice: {
+            anyOf: [{ type: "string" }, { type: "object" }],
+          },
+          temperature: { type: "number", minimum: 0.6, maximum: 1.2 },
+          max_output_tokens: MAX_OUTPUT_TOKENS,
+          conversation: { type: "string", enum: ["auto", "none"] },
+          metadata: NULLABLE_OBJECT,
+          input: { type: "array", items: { type: "object" } },
+        },
+      },
+    },
+  },
+  "response.cancel": {
+    properties: {
+      response_id: { type: "string" },
+    },
+  },
+  "conversation.item.create": {
+    required: ["item"],
+    properties: {
+      previous_item_id: { type: "string", nullable: true },
+      item: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          id: { type: "string", maxLength: 32 },
+          type: {
+            type: "string",
+            enum: ["message", "function_call", "function_call_output"],
+          },
+          role: { type: "string", enum: ["user", "assistant", "system"] },
+          content: { type: "array", items: CONTENT_PART },
+          call_id: { type: "string" },
+          name: { type: "string" },
+          arguments: { type: "string" },
+          output: { type: "string" },
+        },
+      },
+    },
+  },
+  "conversation.item.delete": {
+    required: ["item_id"],
+    properties: {
+      item_id: { type: "string" },
+    },
+  },
+  "conversation.item.retrieve": {
+    required: ["item_id"],
+    properties: {
+      item_id: { type: "string" },
+    },
+  },
+  "conversation.item.truncate": {
+    required: ["item_id", "content_index", "audio_end_ms"],
+    properties: {
+      item_id: { type: "string" },
+      content_index: { type: "integer", minimum: 0 },
+      audio_end_ms: { type: "integer", minimum: 0 },
+    },
+  },
+  "output_audio_buffer.clear": {},
+  "transcription_session.update": {
+    required: ["session"],
+    properties: {
+      session: {
+        type: "object",
+        properties: {
+          input_audio_format: { type: "string" },
+          input_audio_transcription: {
+            type: "object",
+            nullable: true,
+            properties: {
+              model: { type: "string" },
+              prompt: { type: "string" },
+              language: { type: "string", maxLength: 8 },
+            },
+          },
+          turn_detection: TURN_DETECTION,
+          input_audio_noise_reduction: NULLABLE_OBJECT,
+          include: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+  },
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Verifica o tipo JSON de um valor
+ * @param {*} value - Valor
+ * @param {string} type - Tipo do schema
+ * @returns {boolean} - true se o valor é do tipo
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Monta o caminho de um campo
+ * @param {string} param - Caminho do objeto ("" na raiz do evento)
+ * @param {string} key - Nome do campo
+ * @returns {string} - Caminho do campo
+ */
+function joinParam(param, key) {
+  return param ? `${param}.${key}` : key;
+}
+
+/**
+ * Valida um valor contra um schema
+ * @param {*} value - Valor
+ * @param {Object} schema - Schema
+ * @param {string} param - Caminho do valor no evento
+ * @throws {ValidationError} - No primeiro problema encontrado
+ */
+function validateValue(value, schema, param) {
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some((option) => {
+      try {
+        validateValue(value, option, param);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+    if (!valid) {
+      throw new ValidationError(
+        `Valor inválido para ${param}`,
+        "invalid_value",
+        param
+      );
+    }
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    throw new ValidationError(
+      `${param} deve ser do tipo ${schema.type}`,
+      "invalid_type",
+      param
+    );
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new ValidationError(
+      `${param} deve ser um de: ${schema.enum.join(", ")}`,
+      "invalid_value",
+      param
+    );
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    throw new ValidationError(
+      `${param} deve ser no mínimo ${schema.minimum}`,
+      "value_out_of_range",
+      param
+    );
+  }
+
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    throw new ValidationError(
+      `${param} deve ser no máximo ${schema.maximum}`,
+      "value_out_of_range",
+      param
+    );
+  }
+
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    throw new ValidationError(
+      `${param} excede ${schema.maxLength} caracteres`,
+      "value_too_long",
+      param
+    );
+  }
+
+  if (schema.format === "base64" && !BASE64_PATTERN.test(value)) {
+    throw new ValidationError(
+      `${param} não é base64 válido`,
+      "invalid_audio",
+      param
+    );
+  }
+
+  (schema.required || []).forEach((key) => {
+    if (value[key] === undefined) {
+      throw new ValidationError(
+        `Campo obrigatório ausente: ${joinParam(param, key)}`,
+        "missing_required_parameter",
+        joinParam(param, key)
+      );
+    }
+  });
+
+  Object.entries(schema.properties || {}).forEach(([key, property]) => {
+    if (value[key] !== undefined) {
+      validateValue(value[key], property, joinParam(param, key));
+    }
+  });
+
+  if (schema.items) {
+    value.forEach((item, index) =>
+      validateValue(item, schema.items, `${param}[${index}]`)
+    );
+  }
+}
+
+/**
+ * Valida um evento recebido do cliente
+ * @param {Object} message - Evento
+ * @throws {ValidationError} - Se o evento for inválido ou não permitido
+ */
+function validateClientEvent(message) {
+  if (!matchesType(message, "object") || typeof message.type !== "string") {
+    throw new ValidationError(
+      "O evento deve ser um objeto com o campo type",
+      "invalid_event",
+      "type"
+    );
+  }
+
+  if (message.event_id !== undefined && typeof message.event_id !== "string") {
+    throw new ValidationError(
+      "event_id deve ser do tipo string",
+      "invalid_type",
+      "event_id"
+    );
+  }
+
+  const schema = EVENT_SCHEMAS[message.type];
+  if (!schema) {
+    throw new ValidationError(
+      `Tipo de evento não suportado: ${message.type}`,
+      "unsupported_event_type",
+      "type"
+    );
+  }
+
+  // Campos de sessão fora da lista permitida são rejeitados
+  if (
+    message.type === "session.update" &&
+    matchesType(message.session, "object")
+  ) {
+    const allowed = config.validation.sessionUpdateFields;
+    const field = Object.keys(message.session).find(
+      (key) => !allowed.includes(key)
+    );
+    if (field) {
+      throw new ValidationError(
+        `Campo de sessão não permitido: ${field}`,
+        "session_field_not_allowed",
+        `session.${field}`
+      );
+    }
+  }
+
+  validateValue(message, schema, "");
+
+  if (message.type === "input_audio_buffer.append") {
+    const size = Buffer.byteLength(message.audio, "base64");
+    if (size > config.validation.maxAudioChunkSize) {
+      throw new ValidationError(
+        `Chunk de áudio com ${size} bytes excede o máximo de ${config.validation.maxAudioChunkSize}`,
+        "audio_chunk_too_large",
+        "audio"
+      );
+    }
+  }
+}
+
+module.exports = {
+  validateClientEvent,
+  ValidationError,
+  EVENT_SCHEMAS,
+};
@@ -4,23 +4,63 @@
  * Mantém o controle das sessões ativas de clientes e suas
  * conexões com a API OpenAI Realtime.
  */
+const crypto = require("crypto");
+const { performance } = require("perf_hooks");
 const { v4: uuidv4 } = require("uuid");
 const openaiService = require("../services/openaiService");
+const toolRegistry = require("../services/toolRegistry");
+const transcriptService = require("../services/transcriptService");
+const recordingService = require("../services/recordingService");
+const journalService = require("../services/journalService");
+const metricsService = require("../services/metricsService");
+const rateLimiter = require("../services/rateLimiter");
+const usageService = require("../services/usageService");
+const presetService = require("../services/presetService");
+const config = require("../config/config");
 const logger = require("../utils/logger");
+const audioUtils = require("../utils/audioUtils");
+const { AudioTranscoder } = require("../utils/audioTranscoder");
+const { VoiceActivityDetector } = require("../utils/voiceActivityDetector");
+const { SendQueue } = require("../utils/sendQueue");
+const { TurnTracker } = require("../utils/turnTracker");
+const { ValidationError } = require("./eventValidator");
+
+// Código de fechamento quando a reconexão com a OpenAI se esgota
+const UPSTREAM_UNAVAILABLE_CLOSE_CODE = 4002;
 
 class SessionManager {
   constructor() {
     this.sessions = new Map(); // Mapa de sessões ativas
     this.clientToSession = new Map(); // Mapeamento cliente -> sessão
+    this.resumeTokens = new Map(); // Mapeamento token de retomada -> sessão
+    this.draining = false; // Encerramento gradual em andamento
+    this.drainWaiters = []; // Resolvidos quando a última sessão fechar
+
+    metricsService.addCollector(() => {
+      let detached = 0;
+      this.sessions.forEach((session) => session.detachedAt && detached++);
+      metricsService.activeSessions.set(
+        { state: "attached" },
+        this.sessions.size - detached
+      );
+      metricsService.activeSessions.set({ state: "detached" }, detached);
+    });
   }
 
   /**
    * Cria uma nova sessão
    * @param {string} clientId - ID do cliente WebSocket
    * @param {Object} ws - Conexão WebSocket do cliente
+   * @param {Object} [options] - Opções da sessão
+   * @param {Object} [options.identity] - Identidade autenticada do cliente
+   * @param {string} [options.ip] - IP do cliente
+   * @param {Object} [options.preset] - Preset de sessão resolvido
+   * @param {boolean} [options.binaryAudio] - Enviar áudio em frames binários
+   * @param {number} [options.inputSampleRate] - Taxa do áudio enviado pelo cliente
+   * @param {number} [options.outputSampleRate] - Taxa do áudio esperado pelo cliente
    * @returns {Promise<Object>} - Objeto de sessão criado
    */
-  async createSession(clientId, ws) {
+  async createSession(clientId, ws, options = {}) {
     try {
       // Verificar se o cliente já tem uma sessão
       if (this.clientToSession.has(clientId)) {
@@ -36,35 +76,151 @@ class SessionManager {
 
       // Criar nova sessão
       const sessionId = uuidv4();
-      logger.info(`Criando nova sessão`, { clientId, sessionId });
+      const identity = options.identity || null;
+      logger.info(`Criando nova sessão`, {
+        clientId,
+        sessionId,
+        identity: identity && identity.id,
+      });
 
-      // Estabelecer conexão com OpenAI
-      const openaiConnectionId = await openaiService.createConnection(clientId);
+      // Reservar uma vaga nos limites de sessões simultâneas
+      const lease = rateLimiter.acquireSession({ ip: options.ip, identity });
 
-      // Criar objeto de sessão
-      const session = {
-        id: sessionId,
-        clientId,
-        openaiConnectionId,
-        ws,
-        created: Date.now(),
-        state: {
-          // Estado da conversa
-          sessionId: null,
-          conversationId: null,
-          isRecording: false,
-          isConnected: true,
-        },
-      };
+      // Da conexão com a OpenAI até o registro da sessão, qualquer falha
+      // libera a vaga e fecha a conexão já aberta
+      let openaiConnectionId = null;
+      let session;
+      try {
+        // Estabelecer conexão com OpenAI
+        openaiConnectionId = await openaiService.createConnection(
+          clientId,
+          options.model || config.openai.model
+        );
+
+        // Criar objeto de sessão
+        session = {
+          id: sessionId,
+          clientId,
+          openaiConnectionId,
+          ws,
+          identity,
+          ip: options.ip || null,
+          lease,
+          limits: rateLimiter.createSessionLimits(),
+          binaryAudio: Boolean(options.binaryAudio),
+          preset: options.preset || null,
+          defaultsApplied: false, // Preset já enviado à OpenAI
+          created: Date.now(),
+          closed: null,
+          transcript: transcriptService.createTranscript(),
+          recorder: null,
+          journal: null, // Diário de eventos (JSONL)
+          resumeToken: null,
+          resumeTimer: null,
+          ready: false, // Cliente pronto para receber eventos da OpenAI
+          detachedAt: null,
+          bufferedEvents: [],
+          droppedEvents: 0,
+          sendQueue: null, // Fila de envio ao cliente (backpressure)
+          // Formatos de áudio da OpenAI e do cliente (null = mesmo da OpenAI)
+          audio: {
+            inputFormat: config.audio.defaultInputFormat,
+            outputFormat: config.audio.defaultOutputFormat,
+            clientInputFormat: null,
+            clientOutputFormat: null,
+            // Taxas de amostragem do cliente (null = taxa nativa do formato)
+            clientInputRate: options.inputSampleRate || null,
+            clientOutputRate: options.outputSampleRate || null,
+            inputTranscoder: null,
+            outputTranscoder: null,
+          },
+          // Detecção de voz no servidor: { options, detector } ou null
+          vad: null,
+          // Barge-in: interromper a resposta quando o usuário fala
+          bargeIn: config.bargeIn.enabled,
+          // Áudio do assistente enviado ao cliente, por item da resposta atual
+          assistantAudio: new Map(),
+          // Latência de cada turno e percentis dos últimos turnos
+          turns: new TurnTracker(config.latency.windowSize),
+          serverToolCalls: new Map(), // call_id -> nome da ferramenta do servidor
+          toolRuns: new Map(), // response_id -> execuções em andamento
+          usage: usageService.createSessionUsage(),
+          usageReported: 0, // Respostas já informadas em session.usage
+          usageTimer: null,
+          // Contadores de mensagens em cada direção
+          stats: {
+            messagesFromClient: 0,
+            messagesToOpenAI: 0,
+            messagesFromOpenAI: 0,
+            messagesToClient: 0,
+            lastActivity: Date.now(),
+          },
+          state: {
+            // Estado da conversa
+            sessionId: null,
+            conversationId: null,
+            model: options.model || config.openai.model,
+            isRecording: false,
+            isConnected: true,
+            // Resposta em andamento (inclui a continuação após ferramentas)
+            responseInProgress: false,
+            // Resposta da detecção de voz adiada até o fim da atual
+            pendingAutoResponse: false,
+            lastAudioItemId: null, // Último item com áudio do assistente
+            interruptedResponseId: null, // Resposta interrompida por barge-in
+          },
+        };
+
+        session.sendQueue = this.createClientQueue(session);
+
+        if (session.preset && session.preset.client_barge_in !== undefined) {
+          session.bargeIn = session.preset.client_barge_in;
+        }
+
+        const presetVad = session.preset && session.preset.client_vad;
+        if (presetVad !== undefined ? presetVad : config.vad.enabled) {
+          this.configureVad(session, presetVad || {});
+        }
+
+        if (recordingService.shouldRecord(identity)) {
+          session.recorder = recordingService.createRecorder(session);
+        }
+        session.journal = journalService.createJournal(session);
+
+        // Armazenar a sessão
+        this.sessions.set(sessionId, session);
+        this.clientToSession.set(clientId, sessionId);
+      } catch (error) {
+        if (openaiConnectionId) {
+          openaiService.closeConnection(openaiConnectionId);
+        }
+        lease.release();
+        throw error;
+      }
+      this.issueResumeToken(session);
+
+      if (config.usage.reportInterval > 0) {
+        session.usageTimer = setInterval(
+          () => this.reportUsage(session),
+          config.usage.reportInterval
+        );
+      }
 
       // Configurar handler para mensagens da OpenAI
-      openaiService.setMessageHandler(openaiConnectionId, (message) => {
-        this.handleOpenAIMessage(sessionId, message);
-      });
+      openaiService.setMessageHandler(
+        openaiConnectionId,
+        (message, generated) =>
+          this.handleOpenAIMessage(sessionId, message, generated)
+      );
 
-      // Armazenar a sessão
-      this.sessions.set(sessionId, session);
-      this.clientToSession.set(clientId, sessionId);
+      // Sem a OpenAI a sessão não tem como continuar
+      openaiService.setFailureHandler(openaiConnectionId, () =>
+        this.terminateSession(
+          sessionId,
+          "Conexão com a OpenAI indisponível",
+          UPSTREAM_UNAVAILABLE_CLOSE_CODE
+        )
+      );
 
       return session;
     } catch (error) {
@@ -80,8 +236,11 @@ class SessionManager {
    * Processa mensagens recebidas da API OpenAI
    * @param {string} sessionId - ID da sessão
    * @param {Object} message - Mensagem recebida da OpenAI
+   * @param {boolean} [generated=false] - Evento gerado pelo próprio
+   *   servidor sobre a conexão (reconexão, backpressure)
    */
-  handleOpenAIMessage(sessionId, message) {
+  handleOpenAIMessage(sessionId, message, generated = false) {
+    const receivedAt = performance.now();
     const session = this.sessions.get(sessionId);
     if (!session) {
       logger.error(`Sessão não encontrada: ${sessionId}`);
@@ -89,17 +248,55 @@ class SessionManager {
     }
 
     try {
+      if (session.journal) {
+        session.journal.record(
+          generated ? "server_to_client" : "upstream_to_server",
+          message
+        );
+      }
+      session.stats.messagesFromOpenAI++;
+      session.stats.lastActivity = Date.now();
+      metricsService.recordEvent("upstream_to_client", message.type);
+
       // Atualizar o estado da sessão com base na mensagem
       this.updateSessionState(session, message);
+      session.transcript.handleEvent(message);
+
+      // Gravar e converter o áudio do modelo para o formato do cliente
+      if (message.type === "response.audio.delta" && message.delta) {
+        // Áudio que ainda chega de uma resposta interrompida é descartado
+        if (message.response_id === session.state.interruptedResponseId) {
+          return;
+        }
+        this.trackAssistantAudio(session, message);
+        metricsService.recordAudio("upstream_to_client", message.delta);
+        if (session.recorder) {
+          session.recorder.write(
+            "assistant",
+            message.delta,
+            session.audio.outputFormat
+          );
+        }
+        message.delta = this.transcodeOutputAudio(session, message.delta);
+      }
+
+      // Eventos de ferramentas do servidor não chegam ao cliente
+      if (this.handleServerToolEvent(session, message)) {
+        return;
+      }
 
       // Enviar a mensagem para o cliente
-      if (session.ws && session.ws.readyState === 1) {
-        // OPEN
-        session.ws.send(JSON.stringify(message));
-        logger.debug(`Mensagem enviada ao cliente`, {
-          sessionId,
-          messageType: message.type,
-        });
+      this.sendToClient(session, message);
+      session.turns.recordRelay("upstream_to_client", receivedAt);
+
+      if (message.type === "response.done") {
+        this.reportTurnTiming(session, message.response);
+        this.sendPendingAutoResponse(session);
+      }
+
+      // Durante a drenagem, encerrar a sessão ao fim da resposta
+      if (message.type === "response.done") {
+        this.closeIfDrained(session);
       }
     } catch (error) {
       logger.error(`Erro ao processar mensagem da OpenAI: ${error.message}`, {
@@ -109,6 +306,390 @@ class SessionManager {
     }
   }
 
+  /**
+   * Envia um evento ao cliente da sessão
+   *
+   * Se o cliente estiver ausente ou ainda não pronto, o evento é
+   * armazenado até a entrega.
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} event - Evento a ser enviado
+   */
+  sendToClient(session, event) {
+    if (event.type === "error") {
+      metricsService.recordError(event.error && event.error.code);
+    }
+
+    if (!session.ready) {
+      // Cliente ausente ou ainda sem connection.established
+      this.bufferEvent(session, event);
+    } else if (session.ws && session.ws.readyState === 1) {
+      // OPEN
+      session.sendQueue.send(event);
+      logger.debug(`Mensagem enviada ao cliente`, {
+        sessionId: session.id,
+        messageType: event.type,
+      });
+    }
+  }
+
+  /**
+   * Envia ao cliente um evento gerado pelo próprio servidor
+   *
+   * O evento é registrado no diário como server_to_client, para que a
+   * reprodução não o confunda com os eventos da OpenAI.
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} event - Evento a ser enviado
+   */
+  sendServerEvent(session, event) {
+    if (session.journal) {
+      session.journal.record("server_to_client", event);
+    }
+    this.sendToClient(session, event);
+  }
+
+  /**
+   * Cria a fila de envio ao cliente da sessão
+   *
+   * Os avisos de backpressure vão direto ao socket, fora da fila; o
+   * cliente que fica acima do limite é desconectado e pode retomar a
+   * sessão com os eventos que ficaram na fila.
+   * @param {Object} session - Objeto de sessão
+   * @returns {SendQueue} - Fila de envio
+   */
+  createClientQueue(session) {
+    const { policies, ...limits } = config.backpressure;
+    const isOpen = () => session.ws && session.ws.readyState === 1;
+
+    const queue = new SendQueue({
+      ...limits,
+      direction: "downstream",
+      policy: policies.downstream,
+      write: (event) => isOpen() && this.deliverToClient(session, event),
+      getBufferedAmount: () => (session.ws ? session.ws.bufferedAmount : 0),
+    });
+
+    queue.on("backpressure", (event) => {
+      const log = event.state === "started" ? logger.warn : logger.info;
+      log.call(logger, `Backpressure no envio ao cliente: ${event.state}`, {
+        sessionId: session.id,
+        bufferedBytes: event.buffered_bytes,
+        queuedEvents: event.queued_events,
+        droppedEvents: event.dropped_events,
+        coalescedEvents: event.coalesced_events,
+      });
+      metricsService.recordBackpressure(event);
+      if (session.journal) {
+        session.journal.record("server_to_client", event);
+      }
+      if (isOpen()) {
+        this.deliverToClient(session, event);
+      }
+    });
+
+    queue.on("overflow", (event) => {
+      logger.warn(
+        `Cliente desconectado por não acompanhar o fluxo de eventos`,
+        {
+          sessionId: session.id,
+          bufferedBytes: event.buffered_bytes,
+          queuedBytes: event.queued_bytes,
+        }
+      );
+      metricsService.recordBackpressure(event);
+      if (session.ws) {
+        session.ws.terminate();
+      }
+    });
+
+    return queue;
+  }
+
+  /**
+   * Escreve um evento no WebSocket do cliente
+   *
+   * Com áudio binário ativo, response.audio.delta é enviado como um
+   * evento JSON sem o campo delta seguido de um frame binário com o áudio.
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} event - Evento a ser enviado
+   */
+  deliverToClient(session, event) {
+    session.stats.messagesToClient++;
+
+    if (
+      session.binaryAudio &&
+      event.type === "response.audio.delta" &&
+      event.delta
+    ) {
+      const { delta, ...metadata } = event;
+      const audio = audioUtils.base64ToUint8Array(delta);
+
+      session.ws.send(
+        JSON.stringify({ ...metadata, binary: true, bytes: audio.length })
+      );
+      session.ws.send(audio, { binary: true });
+      return;
+    }
+
+    session.ws.send(JSON.stringify(event));
+  }
+
+  /**
+   * Intercepta eventos de chamadas a ferramentas executadas no servidor
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} message - Mensagem recebida da OpenAI
+   * @returns {boolean} - true se o evento não deve ser repassado ao cliente
+   */
+  handleServerToolEvent(session, message) {
+    const calls = session.serverToolCalls;
+    const item = message.item;
+
+    switch (message.type) {
+      case "response.output_item.added":
+      case "response.output_item.done":
+      case "conversation.item.created":
+        if (
+          item &&
+          item.type === "function_call" &&
+          toolRegistry.has(item.name)
+        ) {
+          calls.set(item.call_id, item.name);
+          return true;
+        }
+        return Boolean(
+          item &&
+            item.type === "function_call_output" &&
+            calls.has(item.call_id)
+        );
+
+      case "response.function_call_arguments.delta":
+        return calls.has(message.call_id);
+
+      case "response.function_call_arguments.done": {
+        const name = calls.get(message.call_id);
+        if (!name) {
+          return false;
+        }
+        this.runServerTool(session, name, message);
+        return true;
+      }
+
+      case "response.done": {
+        const response = message.response || {};
+        if (Array.isArray(response.output)) {
+          response.output = response.output.filter(
+            (output) =>
+              output.type !== "function_call" || !calls.has(output.call_id)
+          );
+        }
+
+        // Pedir nova resposta quando todas as ferramentas terminarem
+        const runs = session.toolRuns.get(response.id);
+        if (runs) {
+          session.toolRuns.delete(response.id);
+          session.state.responseInProgress = true;
+          Promise.allSettled(runs)
+            .then(() =>
+              this.sendToOpenAI(session.id, { type: "response.create" })
+            )
+            .catch((error) =>
+              logger.error(
+                `Erro ao solicitar resposta após ferramentas: ${error.message}`,
+                { sessionId: session.id, error }
+              )
+            );
+        }
+        return false;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Executa uma ferramenta do servidor e devolve o resultado ao modelo
+   * @param {Object} session - Objeto de sessão
+   * @param {string} name - Nome da ferramenta
+   * @param {Object} message - Evento response.function_call_arguments.done
+   */
+  runServerTool(session, name, message) {
+    const callId = message.call_id;
+    const startedAt = Date.now();
+
+    logger.info(`Executando ferramenta do servidor: ${name}`, {
+      sessionId: session.id,
+      callId,
+    });
+    this.sendServerEvent(session, {
+      type: "tool.call.started",
+      call_id: callId,
+      name,
+    });
+
+    const run = toolRegistry
+      .execute(name, message.arguments, {
+        sessionId: session.id,
+        clientId: session.clientId,
+        identity: session.identity,
+        callId,
+      })
+      .then(
+        (result) => ({ result }),
+        (error) => ({ error })
+      )
+      .then(async ({ result, error }) => {
+        const durationMs = Date.now() - startedAt;
+        const output = error ? { error: error.message } : result;
+
+        await this.sendToOpenAI(session.id, {
+          type: "conversation.item.create",
+          item: {
+            type: "function_call_output",
+            call_id: callId,
+            output:
+              typeof output === "string" ? output : JSON.stringify(output),
+          },
+        });
+
+        if (error) {
+          logger.error(`Falha na ferramenta ${name}: ${error.message}`, {
+            sessionId: session.id,
+            callId,
+            error,
+          });
+          this.sendServerEvent(session, {
+            type: "tool.call.failed",
+            call_id: callId,
+            name,
+            duration_ms: durationMs,
+            error: {
+              message: error.message,
+              code: error.code || "tool_error",
+            },
+          });
+        } else {
+          this.sendServerEvent(session, {
+            type: "tool.call.completed",
+            call_id: callId,
+            name,
+            duration_ms: durationMs,
+          });
+        }
+      })
+      .catch((error) => {
+        logger.error(
+          `Erro ao devolver resultado da ferramenta: ${error.message}`,
+          {
+            sessionId: session.id,
+            callId,
+            error,
+          }
+        );
+      });
+
+    const runs = session.toolRuns.get(message.response_id) || [];
+    runs.push(run);
+    session.toolRuns.set(message.response_id, runs);
+  }
+
+  /**
+   * Envia o preset da sessão e as ferramentas do servidor para a OpenAI
+   *
+   * Executado logo após o primeiro session.created da OpenAI.
+   * @param {Object} session - Objeto de sessão
+   */
+  applySessionDefaults(session) {
+    const sessionConfig = session.preset
+      ? presetService.getSessionConfig(session.preset)
+      : {};
+
+    // A detecção de voz do servidor substitui a da OpenAI
+    delete sessionConfig.client_vad;
+    delete sessionConfig.client_barge_in;
+    if (session.vad && sessionConfig.turn_detection === undefined) {
+      sessionConfig.turn_detection = null;
+    }
+
+    // Ferramentas do preset somadas às executadas no servidor
+    const tools = toolRegistry.mergeDefinitions(sessionConfig.tools);
+    if (tools.length > 0) {
+      sessionConfig.tools = tools;
+      sessionConfig.tool_choice = sessionConfig.tool_choice || "auto";
+    }
+
+    if (Object.keys(sessionConfig).length === 0) {
+      return;
+    }
+
+    if (session.preset) {
+      logger.info(`Aplicando preset de sessão: ${session.preset.name}`, {
+        sessionId: session.id,
+      });
+    }
+
+    this.sendToOpenAI(session.id, {
+      type: "session.update",
+      session: sessionConfig,
+    }).catch((error) =>
+      logger.error(`Erro ao aplicar configuração inicial: ${error.message}`, {
+        sessionId: session.id,
+        error,
+      })
+    );
+  }
+
+  /**
+   * Impede que o cliente altere campos travados pelo preset da sessão
+   * @param {string} sessionId - ID da sessão
+   * @param {Object} fields - Campos enviados pelo cliente
+   * @param {string} param - Objeto dos campos no evento (session ou response)
+   * @throws {ValidationError} - Se algum campo travado estiver presente
+   */
+  assertUnlockedFields(sessionId, fields, param) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !fields) {
+      return;
+    }
+
+    const locked = presetService
+      .getLockedFields(session.preset)
+      .find((field) => fields[field] !== undefined);
+    if (locked) {
+      throw new ValidationError(
+        `Campo travado pelo preset ${session.preset.name}: ${locked}`,
+        "session_field_locked",
+        `${param}.${locked}`
+      );
+    }
+  }
+
+  /**
+   * Impede itens de sistema quando o preset trava as instruções
+   *
+   * Uma mensagem com role "system" equivale a novas instruções para o
+   * modelo, então é rejeitada como o campo instructions.
+   * @param {string} sessionId - ID da sessão
+   * @param {Object} item - Item enviado pelo cliente
+   * @param {string} param - Caminho do item no evento (ex: item)
+   * @throws {ValidationError} - Se o item for uma mensagem de sistema
+   */
+  assertUnlockedItem(sessionId, item, param) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !item || item.role !== "system") {
+      return;
+    }
+
+    if (
+      presetService.getLockedFields(session.preset).includes("instructions")
+    ) {
+      throw new ValidationError(
+        `Mensagens de sistema bloqueadas: instructions travado pelo preset ${session.preset.name}`,
+        "session_field_locked",
+        `${param}.role`
+      );
+    }
+  }
+
   /**
    * Atualiza o estado da sessão com base em mensagens da OpenAI
    * @param {Object} session - Objeto de sessão
@@ -118,9 +699,53 @@ class SessionManager {
     switch (message.type) {
       case "session.created":
         session.state.sessionId = message.session.id;
+        session.state.model = message.session.model || session.state.model;
         logger.info(`Sessão OpenAI criada: ${session.state.sessionId}`, {
           sessionId: session.id,
         });
+        this.syncAudioFormats(session, message.session);
+        // Após uma reconexão, o preset e os session.update do cliente já
+        // foram reenviados, acumulados, por restoreConversation
+        if (!session.defaultsApplied) {
+          session.defaultsApplied = true;
+          this.applySessionDefaults(session);
+        }
+        break;
+
+      case "session.updated":
+        session.state.model = message.session.model || session.state.model;
+        this.syncAudioFormats(session, message.session);
+        break;
+
+      case "response.created":
+        session.state.responseInProgress = true;
+        session.assistantAudio.clear();
+        session.turns.mark("response_created_ms");
+        break;
+
+      case "response.text.delta":
+      case "response.audio_transcript.delta":
+        session.turns.mark("first_text_ms");
+        break;
+
+      case "response.audio.delta":
+        session.turns.mark("first_audio_ms");
+        break;
+
+      case "input_audio_buffer.speech_started":
+        // A OpenAI já interrompe a resposta; falta truncar o item
+        this.handleBargeIn(session, { cancel: false });
+        break;
+
+      case "input_audio_buffer.speech_stopped":
+        session.turns.markStart("speech_stopped");
+        break;
+
+      case "response.done":
+        session.state.responseInProgress = false;
+        if (message.response && message.response.usage) {
+          usageService.record(session, message.response.usage);
+        }
         break;
 
       case "conversation.created":
@@ -139,11 +764,466 @@ class SessionManager {
     }
   }
 
+  /**
+   * Atualiza os formatos de áudio da OpenAI a partir da sessão informada
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} [openaiSession] - Objeto session recebido da OpenAI
+   */
+  syncAudioFormats(session, openaiSession = {}) {
+    const audio = session.audio;
+    const { input_audio_format: input, output_audio_format: output } =
+      openaiSession;
+
+    if (input && input !== audio.inputFormat) {
+      audio.inputFormat = input;
+      audio.inputTranscoder = null;
+    }
+    if (output && output !== audio.outputFormat) {
+      audio.outputFormat = output;
+      audio.outputTranscoder = null;
+    }
+  }
+
+  /**
+   * Negocia os formatos de áudio a partir de um session.update do cliente
+   *
+   * Os campos `client_input_audio_format`, `client_output_audio_format`,
+   * `client_input_sample_rate` e `client_output_sample_rate` descrevem o
+   * áudio do cliente e são removidos antes do envio; quando diferem da
+   * OpenAI, o áudio é convertido.
+   * @param {string} sessionId - ID da sessão
+   * @param {Object} sessionConfig - Campo session do session.update
+   */
+  negotiateAudioFormats(sessionId, sessionConfig) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !sessionConfig) {
+      return;
+    }
+
+    const requested = {
+      inputFormat: sessionConfig.input_audio_format,
+      outputFormat: sessionConfig.output_audio_format,
+      clientInputFormat: sessionConfig.client_input_audio_format,
+      clientOutputFormat: sessionConfig.client_output_audio_format,
+      clientInputRate: sessionConfig.client_input_sample_rate,
+      clientOutputRate: sessionConfig.client_output_sample_rate,
+    };
+
+    Object.entries(requested).forEach(([key, value]) => {
+      if (value === undefined) {
+        return;
+      }
+
+      const valid = key.endsWith("Rate")
+        ? audioUtils.isSampleRateSupported(value)
+        : audioUtils.isAudioFormatSupported(value);
+      if (!valid) {
+        const error = new Error(
+          key.endsWith("Rate")
+            ? `Taxa de amostragem não suportada: ${value}`
+            : `Formato de áudio não suportado: ${value}`
+        );
+        error.code = key.endsWith("Rate")
+          ? "unsupported_sample_rate"
+          : "unsupported_audio_format";
+        throw error;
+      }
+    });
+
+    delete sessionConfig.client_input_audio_format;
+    delete sessionConfig.client_output_audio_format;
+    delete sessionConfig.client_input_sample_rate;
+    delete sessionConfig.client_output_sample_rate;
+
+    const audio = session.audio;
+    Object.entries(requested).forEach(([key, value]) => {
+      if (value !== undefined) {
+        audio[key] = value;
+      }
+    });
+
+    // Os conversores são recriados com a nova configuração
+    audio.inputTranscoder = null;
+    audio.outputTranscoder = null;
+
+    logger.info(`Formatos de áudio negociados`, {
+      sessionId,
+      inputFormat: audio.inputFormat,
+      outputFormat: audio.outputFormat,
+      clientInputFormat: audio.clientInputFormat,
+      clientOutputFormat: audio.clientOutputFormat,
+      clientInputRate: audio.clientInputRate,
+      clientOutputRate: audio.clientOutputRate,
+    });
+  }
+
+  /**
+   * Aplica o campo client_vad de um session.update
+   *
+   * O campo é removido antes do repasse; ao ativar a detecção no
+   * servidor, a da OpenAI é desativada se o cliente não a configurou.
+   * Por isso, ativar client_vad também é recusado quando o preset trava
+   * turn_detection.
+   * @param {string} sessionId - ID da sessão
+   * @param {Object} sessionConfig - Objeto session enviado pelo cliente
+   * @throws {ValidationError} - Se client_vad ou turn_detection estiver travado
+   */
+  negotiateVad(sessionId, sessionConfig) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !sessionConfig || sessionConfig.client_vad === undefined) {
+      return;
+    }
+
+    const locked = presetService.getLockedFields(session.preset);
+    const lockedField = locked.includes("client_vad")
+      ? "client_vad"
+      : sessionConfig.client_vad && locked.includes("turn_detection")
+      ? "turn_detection"
+      : null;
+    if (lockedField) {
+      throw new ValidationError(
+        `Campo travado pelo preset ${session.preset.name}: ${lockedField}`,
+        "session_field_locked",
+        "session.client_vad"
+      );
+    }
+
+    this.configureVad(session, sessionConfig.client_vad);
+    delete sessionConfig.client_vad;
+
+    if (session.vad && sessionConfig.turn_detection === undefined) {
+      sessionConfig.turn_detection = null;
+    }
+  }
+
+  /**
+   * Ativa, ajusta ou desativa a detecção de voz no servidor
+   * @param {Object} session - Objeto de sessão
+   * @param {Object|null} fields - Campos de client_vad (null desativa)
+   */
+  configureVad(session, fields) {
+    if (!fields) {
+      session.vad = null;
+      logger.info(`Detecção de voz no servidor desativada`, {
+        sessionId: session.id,
+      });
+      return;
+    }
+
+    const current = session.vad ? session.vad.options : config.vad;
+    const options = {
+      threshold: fields.threshold ?? current.threshold,
+      zeroCrossingMax: fields.zero_crossing_max ?? current.zeroCrossingMax,
+      minSpeechMs: fields.min_speech_ms ?? current.minSpeechMs,
+      silenceDurationMs:
+        fields.silence_duration_ms ?? current.silenceDurationMs,
+      prefixPaddingMs: fields.prefix_padding_ms ?? current.prefixPaddingMs,
+      createResponse: fields.create_response ?? current.createResponse,
+    };
+
+    // O detector é recriado com as novas opções no próximo áudio
+    session.vad = { options, detector: null };
+    logger.info(`Detecção de voz no servidor configurada`, {
+      sessionId: session.id,
+      ...options,
+    });
+  }
+
+  /**
+   * Encaminha o áudio de entrada passando pela detecção de voz
+   *
+   * Só a fala (com o preenchimento anterior) chega à OpenAI. O cliente
+   * recebe input_audio_buffer.speech_started/speech_stopped e, ao fim da
+   * fala, o buffer é confirmado e uma resposta é solicitada.
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} message - input_audio_buffer.append no formato da OpenAI
+   * @returns {Promise<void>}
+   */
+  async processVoiceActivity(session, message) {
+    const vad = session.vad;
+    const format = session.audio.inputFormat;
+    if (!vad.detector || vad.detector.format !== format) {
+      vad.detector = new VoiceActivityDetector({ ...vad.options, format });
+    }
+
+    const results = vad.detector.process(Buffer.from(message.audio, "base64"));
+    for (const result of results) {
+      switch (result.type) {
+        case "audio":
+          await this.sendToOpenAI(session.id, {
+            type: "input_audio_buffer.append",
+            audio: audioUtils.uint8ArrayToBase64(result.audio),
+          });
+          break;
+
+        case "speech_started":
+          logger.debug(`Início de fala detectado`, { sessionId: session.id });
+          await this.handleBargeIn(session, { cancel: true });
+          this.sendServerEvent(session, {
+            type: "input_audio_buffer.speech_started",
+            audio_start_ms: result.audioStartMs,
+            item_id: null,
+          });
+          break;
+
+        case "speech_stopped":
+          logger.debug(`Fim de fala detectado`, { sessionId: session.id });
+          session.turns.markStart("speech_stopped");
+          this.sendServerEvent(session, {
+            type: "input_audio_buffer.speech_stopped",
+            audio_end_ms: result.audioEndMs,
+            item_id: null,
+          });
+          await this.sendToOpenAI(session.id, {
+            type: "input_audio_buffer.commit",
+          });
+          if (!vad.options.createResponse) {
+            break;
+          }
+          // Com uma resposta em andamento, o turno é respondido ao fim dela
+          if (session.state.responseInProgress) {
+            session.state.pendingAutoResponse = true;
+          } else {
+            await this.sendToOpenAI(session.id, { type: "response.create" });
+          }
+          break;
+      }
+    }
+  }
+
+  /**
+   * Solicita a resposta adiada pela detecção de voz
+   *
+   * Chamado no response.done; se uma continuação após ferramentas foi
+   * pedida, a resposta espera o fim dela.
+   * @param {Object} session - Objeto de sessão
+   */
+  sendPendingAutoResponse(session) {
+    if (
+      !session.state.pendingAutoResponse ||
+      session.state.responseInProgress
+    ) {
+      return;
+    }
+
+    session.state.pendingAutoResponse = false;
+    this.sendToOpenAI(session.id, { type: "response.create" }).catch((error) =>
+      logger.error(`Erro ao solicitar resposta adiada: ${error.message}`, {
+        sessionId: session.id,
+        error,
+      })
+    );
+  }
+
+  /**
+   * Reinicia a detecção de voz após commit ou clear do buffer pelo cliente
+   * @param {string} sessionId - ID da sessão
+   */
+  resetVoiceActivity(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.vad && session.vad.detector) {
+      session.vad.detector.reset();
+    }
+  }
+
+  /**
+   * Aplica o campo client_barge_in de um session.update
+   * @param {string} sessionId - ID da sessão
+   * @param {Object} sessionConfig - Objeto session enviado pelo cliente
+   */
+  negotiateBargeIn(sessionId, sessionConfig) {
+    const session = this.sessions.get(sessionId);
+    if (
+      !session ||
+      !sessionConfig ||
+      sessionConfig.client_barge_in === undefined
+    ) {
+      return;
+    }
+
+    session.bargeIn = sessionConfig.client_barge_in;
+    delete sessionConfig.client_barge_in;
+    logger.info(`Barge-in ${session.bargeIn ? "ativado" : "desativado"}`, {
+      sessionId,
+    });
+  }
+
+  /**
+   * Contabiliza o áudio do assistente enviado ao cliente
+   *
+   * A duração é calculada no formato da OpenAI, antes da conversão, e a
+   * reprodução no cliente é considerada a partir do primeiro delta.
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} message - Evento response.audio.delta
+   */
+  trackAssistantAudio(session, message) {
+    let playback = session.assistantAudio.get(message.item_id);
+    if (!playback) {
+      playback = {
+        responseId: message.response_id,
+        contentIndex: message.content_index || 0,
+        sentMs: 0,
+        startedAt: Date.now(),
+        truncated: false,
+      };
+      session.assistantAudio.set(message.item_id, playback);
+    }
+
+    playback.sentMs +=
+      audioUtils.getAudioDuration(
+        Buffer.byteLength(message.delta, "base64"),
+        session.audio.outputFormat
+      ) * 1000;
+    session.state.lastAudioItemId = message.item_id;
+  }
+
+  /**
+   * Marca um item como truncado pelo cliente
+   * @param {string} sessionId - ID da sessão
+   * @param {string} itemId - ID do item
+   */
+  markItemTruncated(sessionId, itemId) {
+    const session = this.sessions.get(sessionId);
+    const playback = session && session.assistantAudio.get(itemId);
+    if (playback) {
+      playback.truncated = true;
+    }
+  }
+
+  /**
+   * Interrompe a reprodução do assistente quando o usuário começa a falar
+   *
+   * Se o áudio do último item ainda está sendo reproduzido no cliente,
+   * o item é truncado no ponto reproduzido, para que a conversa do modelo
+   * corresponda ao que o usuário ouviu, e o restante do áudio é descartado.
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} options - Opções
+   * @param {boolean} options.cancel - Cancelar a resposta em andamento
+   * @returns {Promise<void>}
+   */
+  async handleBargeIn(session, { cancel }) {
+    const itemId = session.state.lastAudioItemId;
+    const playback = itemId && session.assistantAudio.get(itemId);
+    if (!session.bargeIn || !playback || playback.truncated) {
+      return;
+    }
+
+    const playedMs = Math.floor(
+      Math.min(playback.sentMs, Date.now() - playback.startedAt)
+    );
+    if (!session.state.responseInProgress && playedMs >= playback.sentMs) {
+      return;
+    }
+
+    logger.info(`Barge-in: interrompendo a resposta do assistente`, {
+      sessionId: session.id,
+      itemId,
+      playedMs,
+      sentMs: Math.round(playback.sentMs),
+    });
+
+    playback.truncated = true;
+    session.state.interruptedResponseId = playback.responseId;
+    this.sendServerEvent(session, {
+      type: "server.barge_in",
+      response_id: playback.responseId,
+      item_id: itemId,
+      content_index: playback.contentIndex,
+      audio_end_ms: playedMs,
+    });
+
+    try {
+      if (cancel && session.state.responseInProgress) {
+        await this.sendToOpenAI(session.id, { type: "response.cancel" });
+      }
+      await this.sendToOpenAI(session.id, {
+        type: "conversation.item.truncate",
+        item_id: itemId,
+        content_index: playback.contentIndex,
+        audio_end_ms: playedMs,
+      });
+    } catch (error) {
+      logger.error(`Erro ao interromper a resposta: ${error.message}`, {
+        sessionId: session.id,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Obtém o conversor de áudio de uma direção da sessão
+   * @param {Object} session - Objeto de sessão
+   * @param {string} direction - "input" (cliente -> OpenAI) ou "output"
+   * @returns {AudioTranscoder} - Conversor da direção
+   */
+  getTranscoder(session, direction) {
+    const audio = session.audio;
+    const key = `${direction}Transcoder`;
+    if (audio[key]) {
+      return audio[key];
+    }
+
+    const isInput = direction === "input";
+    const openaiFormat = isInput ? audio.inputFormat : audio.outputFormat;
+    const clientFormat =
+      (isInput ? audio.clientInputFormat : audio.clientOutputFormat) ||
+      openaiFormat;
+    const clientRate =
+      (isInput ? audio.clientInputRate : audio.clientOutputRate) ||
+      audioUtils.getFormatSampleRate(clientFormat);
+
+    const client = { format: clientFormat, sampleRate: clientRate };
+    const openai = {
+      format: openaiFormat,
+      sampleRate: audioUtils.getFormatSampleRate(openaiFormat),
+    };
+
+    audio[key] = isInput
+      ? new AudioTranscoder(client, openai)
+      : new AudioTranscoder(openai, client);
+
+    return audio[key];
+  }
+
+  /**
+   * Converte áudio do cliente para o formato de entrada da OpenAI
+   * @param {Object} session - Objeto de sessão
+   * @param {string} audio - Áudio em Base64 no formato do cliente
+   * @returns {string} - Áudio em Base64 no formato da OpenAI
+   */
+  transcodeInputAudio(session, audio) {
+    const transcoder = this.getTranscoder(session, "input");
+    if (transcoder.isPassthrough()) {
+      return audio;
+    }
+
+    return audioUtils.uint8ArrayToBase64(
+      transcoder.process(Buffer.from(audio, "base64"))
+    );
+  }
+
+  /**
+   * Converte áudio da OpenAI para o formato de saída do cliente
+   * @param {Object} session - Objeto de sessão
+   * @param {string} audio - Áudio em Base64 no formato da OpenAI
+   * @returns {string} - Áudio em Base64 no formato do cliente
+   */
+  transcodeOutputAudio(session, audio) {
+    const transcoder = this.getTranscoder(session, "output");
+    if (transcoder.isPassthrough()) {
+      return audio;
+    }
+
+    return audioUtils.uint8ArrayToBase64(
+      transcoder.process(Buffer.from(audio, "base64"))
+    );
+  }
+
   /**
    * Envia um evento para a API OpenAI
    * @param {string} sessionId - ID da sessão
    * @param {Object} event - Evento a ser enviado
-   * @returns {Promise<string>} - ID do evento enviado
+   * @returns {Promise<string|null>} - ID do evento enviado (null se o áudio foi descartado)
    */
   async sendToOpenAI(sessionId, event) {
     const session = this.sessions.get(sessionId);
@@ -151,10 +1231,29 @@ class SessionManager {
       throw new Error(`Sessão não encontrada: ${sessionId}`);
     }
 
+    if (event.type === "input_audio_buffer.commit") {
+      session.turns.markStart("commit");
+    } else if (event.type === "response.create") {
+      session.turns.markStart("response_create");
+    }
+
+    if (session.journal) {
+      session.journal.record("server_to_upstream", event);
+    }
+
     let eventReturn = await openaiService.sendEvent(
       session.openaiConnectionId,
       event
     );
+    if (!eventReturn) {
+      // Áudio descartado durante a reconexão com a OpenAI
+      return null;
+    }
+    session.stats.messagesToOpenAI++;
+    metricsService.recordEvent("client_to_upstream", event.type);
+    if (event.type === "input_audio_buffer.append") {
+      metricsService.recordAudio("client_to_upstream", event.audio);
+    }
 
     logger.info(`Evento enviado para OpenAI`, {
       sessionId,
@@ -176,16 +1275,331 @@ class SessionManager {
       return;
     }
 
-    logger.info(`Encerrando sessão`, { sessionId, clientId: session.clientId });
+    logger.info(`Encerrando sessão`, {
+      sessionId,
+      clientId: session.clientId,
+      identity: session.identity && session.identity.id,
+    });
+
+    if (session.resumeTimer) {
+      clearTimeout(session.resumeTimer);
+      session.resumeTimer = null;
+    }
+    session.sendQueue.clear();
+    if (session.usageTimer) {
+      clearInterval(session.usageTimer);
+      session.usageTimer = null;
+    }
 
     // Fechar conexão com OpenAI
     if (session.openaiConnectionId) {
       openaiService.closeConnection(session.openaiConnectionId);
     }
+    session.lease.release();
+
+    // Persistir a transcrição para consulta após o encerramento
+    session.closed = Date.now();
+    metricsService.sessionDuration.observe(
+      (session.closed - session.created) / 1000
+    );
+    transcriptService.persist(session);
+    usageService.appendLedger(session);
+    if (session.journal) {
+      session.journal.close();
+    }
+    if (session.recorder) {
+      session.recorder.finalize();
+    }
 
     // Remover mapeamentos
-    this.clientToSession.delete(session.clientId);
+    if (session.clientId) {
+      this.clientToSession.delete(session.clientId);
+    }
+    this.resumeTokens.delete(session.resumeToken);
     this.sessions.delete(sessionId);
+
+    if (this.draining && this.sessions.size === 0) {
+      this.drainWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+
+  /**
+   * Encerra a medição do turno e envia turn.timing ao cliente
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} response - Objeto response do response.done
+   */
+  reportTurnTiming(session, response) {
+    const event = session.turns.finish(response || {});
+    logger.debug(`Latência do turno`, { sessionId: session.id, ...event });
+
+    if (config.latency.turnTimingEvents) {
+      this.sendServerEvent(session, event);
+    }
+  }
+
+  /**
+   * Envia ao cliente os totais de uso da sessão, se mudaram
+   * @param {Object} session - Objeto de sessão
+   */
+  reportUsage(session) {
+    if (session.usage.responses === session.usageReported) {
+      return;
+    }
+
+    session.usageReported = session.usage.responses;
+    this.sendServerEvent(session, usageService.buildEvent(session.usage));
+  }
+
+  /**
+   * Encerra uma sessão por decisão do servidor, avisando o cliente
+   * @param {string} sessionId - ID da sessão
+   * @param {string} reason - Motivo enviado ao cliente
+   * @param {number} [code=4001] - Código de fechamento do WebSocket
+   * @returns {boolean} - true se a sessão existia
+   */
+  terminateSession(sessionId, reason, code = 4001) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    logger.info(`Sessão encerrada pelo servidor`, { sessionId, reason });
+
+    if (session.ws && session.ws.readyState === 1) {
+      session.ws.send(
+        JSON.stringify({
+          type: "session.terminated",
+          reason,
+          timestamp: Date.now(),
+        })
+      );
+      // O motivo do frame de fechamento é limitado a 123 bytes
+      session.ws.close(code, Buffer.from(reason).subarray(0, 120).toString());
+    }
+
+    this.closeSession(sessionId);
+    return true;
+  }
+
+  /**
+   * Fecha todas as sessões, inclusive as que aguardam retomada
+   */
+  closeAllSessions() {
+    Array.from(this.sessions.keys()).forEach((sessionId) =>
+      this.closeSession(sessionId)
+    );
+    this.draining = false;
+  }
+
+  /**
+   * Inicia a drenagem das sessões para o encerramento do servidor
+   *
+   * Sessões ociosas ou aguardando retomada são encerradas de imediato;
+   * as demais, quando a resposta em andamento terminar.
+   * @returns {Promise<void>} - Resolvida quando não houver mais sessões
+   */
+  drain() {
+    this.draining = true;
+    logger.info(`Drenando sessões`, { sessions: this.sessions.size });
+
+    const drained = new Promise((resolve) => {
+      if (this.sessions.size === 0) {
+        resolve();
+      } else {
+        this.drainWaiters.push(resolve);
+      }
+    });
+    this.listSessions().forEach((session) => this.closeIfDrained(session));
+
+    return drained;
+  }
+
+  /**
+   * Encerra a sessão se o servidor estiver drenando e ela estiver ociosa
+   * @param {Object} session - Objeto de sessão
+   */
+  closeIfDrained(session) {
+    if (!this.draining || (session.ws && session.state.responseInProgress)) {
+      return;
+    }
+
+    logger.info(`Sessão drenada`, { sessionId: session.id });
+
+    // 1001: o servidor está saindo
+    if (session.ws && session.ws.readyState === 1) {
+      session.ws.close(1001, "Servidor em encerramento");
+    }
+    this.closeSession(session.id);
+  }
+
+  /**
+   * Gera um novo token de retomada para a sessão
+   * @param {Object} session - Objeto de sessão
+   * @returns {string} - Token de retomada
+   */
+  issueResumeToken(session) {
+    if (session.resumeToken) {
+      this.resumeTokens.delete(session.resumeToken);
+    }
+
+    session.resumeToken = crypto.randomBytes(24).toString("base64url");
+    this.resumeTokens.set(session.resumeToken, session.id);
+
+    return session.resumeToken;
+  }
+
+  /**
+   * Desassocia o cliente da sessão após uma queda de conexão
+   *
+   * A sessão e a conexão com a OpenAI são mantidas durante o período
+   * de tolerância; se o cliente não retomar, a sessão é encerrada.
+   * @param {string} clientId - ID do cliente
+   */
+  detachClient(clientId) {
+    const sessionId = this.clientToSession.get(clientId);
+    if (!sessionId) {
+      return;
+    }
+
+    const session = this.sessions.get(sessionId);
+    const gracePeriod = config.session.resumeGracePeriod;
+    if (!session || gracePeriod <= 0) {
+      this.closeSession(sessionId);
+      return;
+    }
+
+    logger.info(`Cliente desassociado, aguardando retomada da sessão`, {
+      sessionId,
+      clientId,
+      gracePeriod,
+    });
+
+    this.clientToSession.delete(clientId);
+    session.clientId = null;
+    session.ws = null;
+    session.ready = false;
+    session.detachedAt = Date.now();
+    session.bufferedEvents = [];
+    session.droppedEvents = 0;
+
+    // Eventos ainda na fila de envio ficam para a retomada
+    session.sendQueue
+      .clear()
+      .forEach((message) => this.bufferEvent(session, message));
+
+    session.resumeTimer = setTimeout(() => {
+      logger.info(`Período de retomada expirado`, { sessionId });
+      session.resumeTimer = null;
+      this.closeSession(sessionId);
+    }, gracePeriod);
+  }
+
+  /**
+   * Reassocia um cliente reconectado à sessão do token de retomada
+   * @param {string} resumeToken - Token recebido no handshake
+   * @param {string} clientId - ID do novo cliente WebSocket
+   * @param {Object} ws - Conexão WebSocket do novo cliente
+   * @param {Object} [options] - Opções do handshake (as de createSession)
+   * @returns {Object|null} - Sessão retomada ou null se não for possível
+   */
+  resumeSession(resumeToken, clientId, ws, options = {}) {
+    const identity = options.identity || null;
+    const sessionId = this.resumeTokens.get(resumeToken);
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) {
+      logger.warn(`Token de retomada inválido ou expirado`, { clientId });
+      return null;
+    }
+
+    // A sessão só pode ser retomada pela mesma identidade
+    if (
+      session.identity &&
+      (!identity || identity.id !== session.identity.id)
+    ) {
+      logger.warn(`Retomada recusada: identidade diferente`, {
+        sessionId,
+        clientId,
+      });
+      return null;
+    }
+
+    // Conexão antiga ainda não detectada como encerrada
+    if (session.clientId) {
+      logger.info(`Substituindo conexão anterior da sessão`, {
+        sessionId,
+        previousClientId: session.clientId,
+      });
+      this.clientToSession.delete(session.clientId);
+      if (session.ws && session.ws.readyState === 1) {
+        session.ws.close(4000, "Sessão retomada em outra conexão");
+      }
+      session.sendQueue
+        .clear()
+        .forEach((message) => this.bufferEvent(session, message));
+    }
+
+    if (session.resumeTimer) {
+      clearTimeout(session.resumeTimer);
+      session.resumeTimer = null;
+    }
+
+    logger.info(`Sessão retomada`, {
+      sessionId,
+      clientId,
+      bufferedEvents: session.bufferedEvents.length,
+      droppedEvents: session.droppedEvents,
+    });
+
+    session.clientId = clientId;
+    session.ws = ws;
+    session.binaryAudio = Boolean(options.binaryAudio);
+    session.ready = false;
+    session.detachedAt = null;
+    this.clientToSession.set(clientId, sessionId);
+    this.issueResumeToken(session);
+
+    return session;
+  }
+
+  /**
+   * Armazena um evento da OpenAI enquanto o cliente está ausente
+   * @param {Object} session - Objeto de sessão
+   * @param {Object} message - Mensagem recebida da OpenAI
+   */
+  bufferEvent(session, message) {
+    session.bufferedEvents.push(message);
+
+    // Descartar os eventos mais antigos ao atingir o limite
+    if (session.bufferedEvents.length > config.session.maxBufferedEvents) {
+      session.bufferedEvents.shift();
+      session.droppedEvents++;
+    }
+  }
+
+  /**
+   * Marca o cliente como pronto e envia os eventos armazenados
+   *
+   * Chamado após o envio de connection.established, tanto em sessões
+   * novas quanto em retomadas.
+   * @param {string} sessionId - ID da sessão
+   */
+  flushBufferedEvents(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.ws || session.ws.readyState !== 1) {
+      return;
+    }
+
+    const events = session.bufferedEvents;
+    session.bufferedEvents = [];
+    session.droppedEvents = 0;
+    session.ready = true;
+
+    events.forEach((message) => session.sendQueue.send(message));
+
+    logger.debug(`Eventos armazenados enviados ao cliente`, {
+      sessionId,
+      count: events.length,
+    });
   }
 
   /**
@@ -208,6 +1622,53 @@ class SessionManager {
     return this.sessions.get(sessionId);
   }
 
+  /**
+   * Lista as sessões ativas
+   * @returns {Array<Object>} - Objetos de sessão
+   */
+  listSessions() {
+    return Array.from(this.sessions.values());
+  }
+
+  /**
+   * Resume o estado de uma sessão para consulta administrativa
+   * @param {Object} session - Objeto de sessão
+   * @returns {Object} - Resumo serializável da sessão
+   */
+  getSessionSummary(session) {
+    let status = "active";
+    if (session.detachedAt) {
+      status = "awaiting_resume";
+    } else if (!session.ready) {
+      status = "connecting";
+    }
+
+    return {
+      id: session.id,
+      clientId: session.clientId,
+      identity: session.identity ? session.identity.id : null,
+      status,
+      upstream: openaiService.getConnectionState(session.openaiConnectionId),
+      created: session.created,
+      ageMs: Date.now() - session.created,
+      detachedAt: session.detachedAt,
+      openaiSessionId: session.state.sessionId,
+      conversationId: session.state.conversationId,
+      model: session.state.model,
+      preset: session.preset && session.preset.name,
+      recording: Boolean(session.recorder),
+      audio: {
+        inputFormat: session.audio.inputFormat,
+        outputFormat: session.audio.outputFormat,
+        clientInputFormat: session.audio.clientInputFormat,
+        clientOutputFormat: session.audio.clientOutputFormat,
+      },
+      stats: { ...session.stats },
+      usage: { ...session.usage },
+      latency: session.turns.getSummary(),
+    };
+  }
+
   /**
    * Obtém a sessão de um cliente
    * @param {string} clientId - ID do cliente
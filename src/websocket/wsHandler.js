@@ -4,8 +4,13 @@
  * Processa mensagens recebidas dos clientes e executa as ações
  * correspondentes no serviço OpenAI.
  */
+const { performance } = require("perf_hooks");
 const { v4: uuidv4 } = require("uuid");
 const sessionManager = require("./sessionManager");
+const toolRegistry = require("../services/toolRegistry");
+const metricsService = require("../services/metricsService");
+const { RateLimitError } = require("../services/rateLimiter");
+const { validateClientEvent } = require("./eventValidator");
 const logger = require("../utils/logger");
 const audioUtils = require("../utils/audioUtils");
 const config = require("../config/config");
@@ -16,6 +21,7 @@ const config = require("../config/config");
  * @param {Object} message - Mensagem recebida
  */
 async function handleClientMessage(clientId, message) {
+  const receivedAt = performance.now();
   try {
     // Obter a sessão do cliente
     const session = sessionManager.getClientSession(clientId);
@@ -25,12 +31,26 @@ async function handleClientMessage(clientId, message) {
     }
 
     const sessionId = session.id;
+    if (session.journal) {
+      session.journal.record("client_to_server", message);
+    }
+    session.stats.messagesFromClient++;
+    session.stats.lastActivity = Date.now();
     logger.debug(`Mensagem recebida do cliente: ${message.type}`, {
       clientId,
       sessionId,
       messageType: message.type,
     });
 
+    // Aplicar os limites de taxa da sessão
+    session.limits.check(message, {
+      format: session.audio.clientInputFormat || session.audio.inputFormat,
+      sampleRate: session.audio.clientInputRate,
+    });
+
+    // Rejeitar eventos malformados antes de chegar à OpenAI
+    validateClientEvent(message);
+
     // Processar a mensagem de acordo com o tipo
     switch (message.type) {
       case "session.update":
@@ -65,12 +85,30 @@ async function handleClientMessage(clientId, message) {
         await handleConversationItemDelete(sessionId, message);
         break;
 
+      case "conversation.item.retrieve":
+        await handleConversationItemRetrieve(sessionId, message);
+        break;
+
+      case "conversation.item.truncate":
+        await handleConversationItemTruncate(sessionId, message);
+        break;
+
+      case "output_audio_buffer.clear":
+        await handleOutputAudioBufferClear(sessionId, message);
+        break;
+
+      case "transcription_session.update":
+        await handleTranscriptionSessionUpdate(sessionId, message);
+        break;
+
       default:
         logger.warn(`Tipo de mensagem desconhecido: ${message.type}`, {
           clientId,
           sessionId,
         });
     }
+
+    session.turns.recordRelay("client_to_upstream", receivedAt);
   } catch (error) {
     logger.error(`Erro ao processar mensagem do cliente: ${error.message}`, {
       clientId,
@@ -78,19 +116,41 @@ async function handleClientMessage(clientId, message) {
     });
 
     // Enviar mensagem de erro ao cliente
+    metricsService.recordError(error.code || "internal_error");
     const session = sessionManager.getClientSession(clientId);
+    const eventId = message ? message.event_id : undefined;
     if (session && session.ws && session.ws.readyState === 1) {
       const errorMessage = {
         type: "error",
         error: {
           message: `Erro ao processar solicitação: ${error.message}`,
-          code: "internal_error",
+          code: error.code || "internal_error",
+          param: error.param,
+          event_id: eventId,
+          limit: error.limit,
+          retry_after_ms: error.retryAfter,
         },
-        event_id: message.event_id,
+        event_id: eventId,
       };
 
       session.ws.send(JSON.stringify(errorMessage));
     }
+
+    // Desconectar clientes que insistem em exceder os limites
+    if (
+      error instanceof RateLimitError &&
+      session &&
+      session.limits.recordViolation()
+    ) {
+      logger.warn(`Cliente desconectado por exceder limites repetidamente`, {
+        clientId,
+        sessionId: session.id,
+      });
+      sessionManager.terminateSession(
+        session.id,
+        "Limites de uso excedidos repetidamente"
+      );
+    }
   }
 }
 
@@ -100,6 +160,21 @@ async function handleClientMessage(clientId, message) {
  * @param {Object} message - Mensagem recebida
  */
 async function handleSessionUpdate(sessionId, message) {
+  // Campos travados pelo preset não podem ser alterados
+  sessionManager.assertUnlockedFields(sessionId, message.session, "session");
+
+  // Registrar os formatos de áudio do cliente e validar os da OpenAI
+  sessionManager.negotiateAudioFormats(sessionId, message.session);
+  sessionManager.negotiateVad(sessionId, message.session);
+  sessionManager.negotiateBargeIn(sessionId, message.session);
+
+  // Incluir as ferramentas do servidor quando o cliente redefine a lista
+  if (message.session && Array.isArray(message.session.tools)) {
+    message.session.tools = toolRegistry.mergeDefinitions(
+      message.session.tools
+    );
+  }
+
   await sessionManager.sendToOpenAI(sessionId, message);
 }
 
@@ -120,6 +195,21 @@ async function handleAudioBufferAppend(sessionId, message) {
     audioLength: message.audio ? message.audio.length : "nenhum",
   });
 
+  // Converter do formato do cliente para o formato da OpenAI
+  if (message.audio) {
+    message.audio = sessionManager.transcodeInputAudio(session, message.audio);
+
+    if (session.recorder) {
+      session.recorder.write("user", message.audio, session.audio.inputFormat);
+    }
+
+    // Com a detecção de voz no servidor, só a fala é encaminhada
+    if (session.vad) {
+      await sessionManager.processVoiceActivity(session, message);
+      return;
+    }
+  }
+
   // Repassar o buffer para a API OpenAI
   try {
     await sessionManager.sendToOpenAI(sessionId, message);
@@ -144,6 +234,7 @@ async function handleAudioBufferCommit(sessionId, message) {
   logger.info(`Recebida solicitação para commit do buffer de áudio`, {
     sessionId,
   });
+  sessionManager.resetVoiceActivity(sessionId);
 
   try {
     await sessionManager.sendToOpenAI(sessionId, message);
@@ -165,6 +256,7 @@ async function handleAudioBufferCommit(sessionId, message) {
  * @param {Object} message - Mensagem recebida
  */
 async function handleAudioBufferClear(sessionId, message) {
+  sessionManager.resetVoiceActivity(sessionId);
   await sessionManager.sendToOpenAI(sessionId, message);
 }
 
@@ -174,6 +266,16 @@ async function handleAudioBufferClear(sessionId, message) {
  * @param {Object} message - Mensagem recebida
  */
 async function handleResponseCreate(sessionId, message) {
+  // A resposta também não pode sobrepor campos travados (ex: instructions)
+  sessionManager.assertUnlockedFields(sessionId, message.response, "response");
+  ((message.response && message.response.input) || []).forEach((item, index) =>
+    sessionManager.assertUnlockedItem(
+      sessionId,
+      item,
+      `response.input[${index}]`
+    )
+  );
+
   await sessionManager.sendToOpenAI(sessionId, message);
 }
 
@@ -192,6 +294,9 @@ async function handleResponseCancel(sessionId, message) {
  * @param {Object} message - Mensagem recebida
  */
 async function handleConversationItemCreate(sessionId, message) {
+  // Mensagens de sistema não podem contornar instruções travadas
+  sessionManager.assertUnlockedItem(sessionId, message.item, "item");
+
   await sessionManager.sendToOpenAI(sessionId, message);
 }
 
@@ -204,6 +309,47 @@ async function handleConversationItemDelete(sessionId, message) {
   await sessionManager.sendToOpenAI(sessionId, message);
 }
 
+/**
+ * Obtém um item da conversa
+ * @param {string} sessionId - ID da sessão
+ * @param {Object} message - Mensagem recebida
+ */
+async function handleConversationItemRetrieve(sessionId, message) {
+  await sessionManager.sendToOpenAI(sessionId, message);
+}
+
+/**
+ * Trunca o áudio de um item do assistente no ponto reproduzido
+ * @param {string} sessionId - ID da sessão
+ * @param {Object} message - Mensagem recebida
+ */
+async function handleConversationItemTruncate(sessionId, message) {
+  // O servidor não deve truncar de novo o mesmo item no barge-in
+  sessionManager.markItemTruncated(sessionId, message.item_id);
+
+  await sessionManager.sendToOpenAI(sessionId, message);
+}
+
+/**
+ * Descarta o áudio de saída ainda não reproduzido
+ * @param {string} sessionId - ID da sessão
+ * @param {Object} message - Mensagem recebida
+ */
+async function handleOutputAudioBufferClear(sessionId, message) {
+  await sessionManager.sendToOpenAI(sessionId, message);
+}
+
+/**
+ * Atualiza a configuração de uma sessão de transcrição
+ * @param {string} sessionId - ID da sessão
+ * @param {Object} message - Mensagem recebida
+ */
+async function handleTranscriptionSessionUpdate(sessionId, message) {
+  sessionManager.assertUnlockedFields(sessionId, message.session, "session");
+
+  await sessionManager.sendToOpenAI(sessionId, message);
+}
+
 // Exportar funções
 module.exports = {
   handleClientMessage,
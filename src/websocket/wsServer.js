@@ -7,39 +7,200 @@
 const WebSocket = require("ws");
 const { v4: uuidv4 } = require("uuid");
 const sessionManager = require("./sessionManager");
+const authService = require("../services/authService");
+const metricsService = require("../services/metricsService");
+const presetService = require("../services/presetService");
+const { RateLimitError } = require("../services/rateLimiter");
 const logger = require("../utils/logger");
+const audioUtils = require("../utils/audioUtils");
 const { handleClientMessage } = require("./wsHandler");
+const { ValidationError } = require("./eventValidator");
+const config = require("../config/config");
 
 class WebSocketServer {
   constructor(server) {
     this.server = null;
+    this.httpServer = null;
+    this.upgradeListener = null;
+    this.routes = new Map(); // Caminho -> servidor WebSocket que o atende
     this.clients = new Map(); // Mapa de clientes conectados
     this.pingInterval = null;
+    this.draining = false; // Novas conexões recusadas durante o encerramento
+
+    metricsService.addCollector(() =>
+      metricsService.activeClients.set(this.clients.size)
+    );
   }
 
   /**
    * Inicializa o servidor WebSocket
+   *
+   * Com `options.server`, o WebSocket é anexado ao servidor HTTP(S)
+   * existente e atende o upgrade apenas em `options.paths`. Sem ele, o
+   * servidor escuta em `options.port` (modo independente).
    * @param {Object} options - Opções para o servidor WebSocket
+   * @param {http.Server|https.Server} [options.server] - Servidor HTTP(S)
+   * @param {Array<string>} [options.paths] - Caminhos do endpoint Realtime
    */
   initialize(options = {}) {
     logger.info("Inicializando servidor WebSocket");
 
+    if (!authService.isEnabled()) {
+      logger.warn(
+        "Autenticação de clientes desativada (AUTH_REQUIRED=false): qualquer cliente poderá abrir sessões"
+      );
+    }
+
+    const { server: httpServer, paths = [], ...serverOptions } = options;
+
     // Criar servidor WebSocket
     this.server = new WebSocket.Server({
-      port: options.port,
+      noServer: Boolean(httpServer),
       perMessageDeflate: true,
+      // Frames maiores fecham a conexão (1009) antes de serem acumulados
+      maxPayload: config.validation.maxMessageSize,
       clientTracking: true,
-      ...options,
+      verifyClient: this.verifyClient.bind(this),
+      handleProtocols: (protocols) => authService.selectProtocol(protocols),
+      ...serverOptions,
     });
 
     // Configurar handlers de eventos
     this.server.on("connection", this.handleConnection.bind(this));
     this.server.on("error", this.handleServerError.bind(this));
 
+    if (httpServer) {
+      paths.forEach((path) => this.routes.set(path, this.server));
+      this.httpServer = httpServer;
+      this.upgradeListener = this.handleUpgrade.bind(this);
+      httpServer.on("upgrade", this.upgradeListener);
+    }
+
     // Iniciar verificação de ping para conexões ativas
     this.startPingInterval();
 
-    logger.info(`Servidor WebSocket inicializado na porta ${options.port}`);
+    if (httpServer) {
+      logger.info(`Servidor WebSocket inicializado`, { paths });
+    } else {
+      logger.info(`Servidor WebSocket inicializado na porta ${options.port}`);
+    }
+  }
+
+  /**
+   * Registra um caminho atendido por outro adaptador de protocolo
+   *
+   * O adaptador recebe as conexões já com o upgrade concluído e, com
+   * `authenticate`, autenticadas da mesma forma que o endpoint Realtime.
+   * @param {string} path - Caminho do endpoint (ex: "/twilio")
+   * @param {Function} onConnection - Handler (ws, req)
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.authenticate=true] - Exigir credencial no handshake
+   * @returns {WebSocket.Server} - Servidor WebSocket do adaptador
+   * @throws {Error} - Se o caminho já estiver registrado
+   */
+  registerPath(path, onConnection, { authenticate = true } = {}) {
+    if (this.routes.has(path)) {
+      throw new Error(`Caminho WebSocket já registrado: ${path}`);
+    }
+
+    const adapter = new WebSocket.Server({
+      noServer: true,
+      maxPayload: config.validation.maxMessageSize,
+      verifyClient: authenticate ? this.verifyClient.bind(this) : undefined,
+    });
+    adapter.on("connection", onConnection);
+    adapter.on("error", this.handleServerError.bind(this));
+    this.routes.set(path, adapter);
+
+    logger.info(`Adaptador WebSocket registrado`, { path });
+    return adapter;
+  }
+
+  /**
+   * Encaminha o upgrade HTTP ao servidor WebSocket do caminho pedido
+   * @param {Object} req - Request HTTP original
+   * @param {net.Socket} socket - Socket da conexão
+   * @param {Buffer} head - Primeiro pacote do stream
+   */
+  handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const target = this.routes.get(pathname);
+
+    if (!target) {
+      logger.warn(`Upgrade WebSocket em caminho desconhecido`, { pathname });
+      socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+      return;
+    }
+
+    target.handleUpgrade(req, socket, head, (ws) =>
+      target.emit("connection", ws, req)
+    );
+  }
+
+  /**
+   * Lista os caminhos WebSocket atendidos
+   * @returns {Array<string>} - Caminhos registrados
+   */
+  getPaths() {
+    return Array.from(this.routes.keys());
+  }
+
+  /**
+   * Autentica o handshake antes de concluir o upgrade
+   * @param {Object} info - Informações do handshake (origin, req, secure)
+   * @param {Function} done - Callback (verified, code, message)
+   */
+  verifyClient(info, done) {
+    const clientIp = this.getClientIp(info.req);
+
+    if (this.draining) {
+      logger.warn(`Handshake recusado durante o encerramento`, { clientIp });
+      done(false, 503, "Servidor em encerramento");
+      return;
+    }
+
+    authService
+      .authenticate(info.req)
+      .then((identity) => {
+        // Disponibilizar a identidade para handleConnection
+        info.req.identity = identity;
+        done(true);
+      })
+      .catch((error) => {
+        const statusCode = error.statusCode || 401;
+        logger.warn(`Handshake rejeitado: ${error.message}`, {
+          clientIp,
+          statusCode,
+        });
+        done(false, statusCode, error.message);
+      });
+  }
+
+  /**
+   * Obtém o IP do cliente de um handshake
+   *
+   * O X-Forwarded-For só é considerado quando a conexão vem de um proxy
+   * confiável (TRUSTED_PROXIES); nesse caso vale o salto mais à direita
+   * que não é um proxy confiável, já que os anteriores vêm do cliente.
+   * @param {Object} req - Request HTTP do upgrade
+   * @returns {string} - IP do cliente
+   */
+  getClientIp(req) {
+    const normalize = (address) => (address || "").replace(/^::ffff:/, "");
+    const trusted = config.server.trustedProxies.map(normalize);
+    const remote = normalize(req.socket.remoteAddress);
+
+    const forwarded = req.headers["x-forwarded-for"];
+    if (!forwarded || !trusted.includes(remote)) {
+      return remote;
+    }
+
+    const hops = forwarded
+      .split(",")
+      .map((hop) => normalize(hop.trim()))
+      .filter(Boolean);
+    const client = hops.reverse().find((hop) => !trusted.includes(hop));
+    return client || hops[hops.length - 1] || remote;
   }
 
   /**
@@ -59,7 +220,9 @@ class WebSocketServer {
             logger.warn(`Cliente não respondeu ao ping, fechando conexão`, {
               clientId,
             });
+            metricsService.pingTimeouts.inc();
             this.handleClientDisconnect(clientId);
+            client.ws.terminate();
           }
         } else if (client.ws.readyState !== WebSocket.CONNECTING) {
           // Cliente desconectado, limpar
@@ -76,41 +239,84 @@ class WebSocketServer {
    */
   async handleConnection(ws, req) {
     const clientId = uuidv4();
-    const clientIp =
-      req.headers["x-forwarded-for"] || req.connection.remoteAddress;
+    const clientIp = this.getClientIp(req);
+    const identity = req.identity || null;
 
-    logger.info(`Nova conexão WebSocket`, { clientId, clientIp });
+    logger.info(`Nova conexão WebSocket`, {
+      clientId,
+      clientIp,
+      identity: identity && identity.id,
+    });
 
     // Armazenar cliente
     this.clients.set(clientId, {
       ws,
       ip: clientIp,
+      identity,
       connected: Date.now(),
       lastPong: Date.now(),
     });
 
     try {
+      const { resumeToken, ...sessionOptions } = this.getHandshakeOptions(req);
+      sessionOptions.identity = identity;
+      sessionOptions.ip = clientIp;
+
+      // Retomar a sessão anterior se o cliente apresentou um token válido
+      let session = resumeToken
+        ? sessionManager.resumeSession(
+            resumeToken,
+            clientId,
+            ws,
+            sessionOptions
+          )
+        : null;
+      const resumed = Boolean(session);
+
       // Criar sessão para o cliente
-      await sessionManager.createSession(clientId, ws);
+      if (!session) {
+        session = await sessionManager.createSession(
+          clientId,
+          ws,
+          sessionOptions
+        );
+      }
+      const droppedEvents = session.droppedEvents;
 
       // Configurar handlers para o cliente
-      ws.on("message", (data, isBinary) => {
-        const message = isBinary ? data : data.toString();
-        this.handleClientMessage(clientId, message);
-      });
+      ws.on("message", (data, isBinary) =>
+        this.handleClientMessage(clientId, data, isBinary)
+      );
 
       ws.on("close", () => this.handleClientDisconnect(clientId));
       ws.on("error", (error) => this.handleClientError(clientId, error));
-      ws.on("pong", () => (this.clients.get(clientId).lastPong = Date.now()));
+      ws.on("pong", () => {
+        // O pong pode chegar depois que o cliente foi removido
+        const client = this.clients.get(clientId);
+        if (client) {
+          client.lastPong = Date.now();
+        }
+      });
 
       // Enviar mensagem de conexão bem-sucedida
       ws.send(
         JSON.stringify({
           type: "connection.established",
           clientId,
+          identity: identity && { id: identity.id, type: identity.type },
+          sessionId: session.id,
+          resumeToken: session.resumeToken,
+          resumed,
+          resumeAttempted: Boolean(resumeToken),
+          binaryAudio: session.binaryAudio,
+          preset: session.preset && session.preset.name,
+          droppedEvents: resumed ? droppedEvents : undefined,
           timestamp: Date.now(),
         })
       );
+
+      // Entregar eventos recebidos da OpenAI antes do cliente estar pronto
+      sessionManager.flushBufferedEvents(session.id);
     } catch (error) {
       logger.error(`Erro ao inicializar sessão: ${error.message}`, {
         clientId,
@@ -118,32 +324,126 @@ class WebSocketServer {
       });
 
       // Enviar mensagem de erro e fechar conexão
+      const code = error.code || "initialization_failed";
+      metricsService.recordError(code);
       ws.send(
         JSON.stringify({
           type: "error",
           error: {
             message: `Erro ao inicializar: ${error.message}`,
-            code: "initialization_failed",
+            code,
+            limit: error.limit,
+            retry_after_ms: error.retryAfter,
           },
         })
       );
 
-      ws.close();
+      // 1013: tente novamente mais tarde
+      ws.close(error instanceof RateLimitError ? 1013 : 1000);
       this.clients.delete(clientId);
     }
   }
 
+  /**
+   * Obtém as opções de sessão enviadas no handshake
+   * @param {Object} req - Request HTTP original
+   * @returns {Object} - Opções da sessão e token de retomada
+   */
+  getHandshakeOptions(req) {
+    const params = new URL(req.url, "http://localhost").searchParams;
+
+    return {
+      resumeToken:
+        req.headers["x-resume-token"] || params.get("resume_token") || null,
+      // Entregar response.audio.delta como frames binários
+      binaryAudio: params.get("audio_output") === "binary",
+      // Taxas de amostragem do áudio do cliente (ex: 48000 do navegador)
+      inputSampleRate: this.parseSampleRate(params.get("input_sample_rate")),
+      outputSampleRate: this.parseSampleRate(params.get("output_sample_rate")),
+      // Modelo escolhido pelo cliente, dentre os permitidos
+      model: this.resolveModel(params.get("model")),
+      // Preset de sessão definido no servidor
+      preset: presetService.resolve(
+        req.headers["x-session-preset"] || params.get("preset")
+      ),
+    };
+  }
+
+  /**
+   * Valida o modelo pedido no handshake
+   * @param {string|null} model - Valor do parâmetro
+   * @returns {string} - Modelo da sessão
+   * @throws {Error} - Se o modelo não estiver na lista permitida
+   */
+  resolveModel(model) {
+    if (!model || model === config.openai.model) {
+      return config.openai.model;
+    }
+
+    if (!config.openai.allowedModels.includes(model)) {
+      const error = new Error(`Modelo não permitido: ${model}`);
+      error.code = "model_not_allowed";
+      throw error;
+    }
+    return model;
+  }
+
+  /**
+   * Converte uma taxa de amostragem recebida no handshake
+   * @param {string|null} value - Valor do parâmetro
+   * @returns {number|null} - Taxa suportada ou null
+   * @throws {Error} - Se a taxa informada não for suportada
+   */
+  parseSampleRate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const sampleRate = parseInt(value, 10);
+    if (!audioUtils.isSampleRateSupported(sampleRate)) {
+      throw new Error(`Taxa de amostragem não suportada: ${value}`);
+    }
+
+    return sampleRate;
+  }
+
   /**
    * Processa mensagens recebidas de um cliente
+   *
+   * Frames binários são tratados como áudio bruto no formato de entrada
+   * da sessão e encaminhados como input_audio_buffer.append.
    * @param {string} clientId - ID do cliente
    * @param {Buffer|string} data - Dados recebidos
+   * @param {boolean} [isBinary] - Indica se o frame é binário
    */
-  handleClientMessage(clientId, data) {
+  handleClientMessage(clientId, data, isBinary = false) {
     try {
-      logger.debug("Mensagem recebida", { clientId, type: typeof data });
+      logger.debug("Mensagem recebida", {
+        clientId,
+        type: isBinary ? "binary" : typeof data,
+      });
+
+      const message = isBinary
+        ? {
+            type: "input_audio_buffer.append",
+            audio: audioUtils.uint8ArrayToBase64(data),
+          }
+        : JSON.parse(data.toString());
+
+      // JSON válido que não é um evento (null, listas, valores simples)
+      if (!message || typeof message !== "object" || Array.isArray(message)) {
+        throw new ValidationError(
+          "O evento deve ser um objeto com o campo type",
+          "invalid_event"
+        );
+      }
 
-      const message = JSON.parse(data.toString());
-      handleClientMessage(clientId, message);
+      handleClientMessage(clientId, message).catch((error) =>
+        logger.error(`Erro ao tratar mensagem: ${error.message}`, {
+          clientId,
+          error,
+        })
+      );
     } catch (error) {
       logger.error(`Erro ao processar mensagem: ${error.message}`, {
         clientId,
@@ -151,6 +451,8 @@ class WebSocketServer {
       });
 
       // Enviar mensagem de erro ao cliente
+      const code = error.code || "invalid_message_format";
+      metricsService.recordError(code);
       const client = this.clients.get(clientId);
       if (client && client.ws.readyState === WebSocket.OPEN) {
         client.ws.send(
@@ -158,7 +460,7 @@ class WebSocketServer {
             type: "error",
             error: {
               message: `Erro no formato da mensagem: ${error.message}`,
-              code: "invalid_message_format",
+              code,
             },
           })
         );
@@ -173,8 +475,8 @@ class WebSocketServer {
   handleClientDisconnect(clientId) {
     logger.info(`Cliente desconectado`, { clientId });
 
-    // Fechar sessões do cliente
-    sessionManager.closeClientSessions(clientId);
+    // Manter a sessão aguardando retomada (ou fechá-la se desativado)
+    sessionManager.detachClient(clientId);
 
     // Remover cliente
     this.clients.delete(clientId);
@@ -200,6 +502,105 @@ class WebSocketServer {
     logger.error(`Erro no servidor WebSocket: ${error.message}`, { error });
   }
 
+  /**
+   * Obtém os dados de um cliente conectado
+   * @param {string} clientId - ID do cliente
+   * @returns {Object|undefined} - Registro do cliente
+   */
+  getClient(clientId) {
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Envia um evento a todos os clientes conectados
+   * @param {Object} event - Evento a ser enviado
+   * @returns {number} - Quantidade de clientes que receberam o evento
+   */
+  broadcast(event) {
+    const data = JSON.stringify(event);
+    let delivered = 0;
+
+    this.clients.forEach((client) => {
+      if (client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(data);
+        delivered++;
+      }
+    });
+
+    logger.info(`Evento enviado a todos os clientes`, {
+      eventType: event.type,
+      delivered,
+    });
+
+    return delivered;
+  }
+
+  /**
+   * Indica se o servidor está drenando as sessões para encerrar
+   * @returns {boolean}
+   */
+  isDraining() {
+    return this.draining;
+  }
+
+  /**
+   * Indica se o servidor está escutando e aceitando upgrades
+   * @returns {boolean}
+   */
+  isListening() {
+    if (!this.server) {
+      return false;
+    }
+    return this.httpServer
+      ? this.httpServer.listening
+      : Boolean(this.server.address());
+  }
+
+  /**
+   * Drena as sessões antes do encerramento
+   *
+   * Novas conexões passam a ser recusadas e os clientes recebem
+   * server.draining com o prazo final. Cada sessão é encerrada quando a
+   * resposta em andamento termina.
+   * @param {number} timeout - Tempo máximo de espera em ms
+   * @returns {Promise<boolean>} - true se todas as sessões terminaram no prazo
+   */
+  async drain(timeout) {
+    this.draining = true;
+    const deadline = Date.now() + timeout;
+
+    logger.info(`Iniciando drenagem do servidor`, {
+      clients: this.clients.size,
+      timeout,
+    });
+    this.broadcast({
+      type: "server.draining",
+      deadline,
+      timeout_ms: timeout,
+      timestamp: Date.now(),
+    });
+
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    const drained = await Promise.race([
+      sessionManager.drain().then(() => true),
+      expired,
+    ]);
+    clearTimeout(timer);
+
+    if (drained) {
+      logger.info("Drenagem concluída");
+    } else {
+      logger.warn(`Prazo de drenagem esgotado`, {
+        sessions: sessionManager.listSessions().length,
+      });
+    }
+
+    return drained;
+  }
+
   /**
    * Fecha o servidor
    */
@@ -218,7 +619,7 @@ class WebSocketServer {
         try {
           sessionManager.closeClientSessions(clientId);
           if (client.ws.readyState === WebSocket.OPEN) {
-            client.ws.close();
+            client.ws.close(1001, "Servidor em encerramento");
           }
         } catch (error) {
           logger.error(`Erro ao fechar conexão de cliente: ${error.message}`, {
@@ -231,9 +632,22 @@ class WebSocketServer {
       // Limpar mapa de clientes
       this.clients.clear();
 
+      // Encerrar sessões que aguardavam retomada
+      sessionManager.closeAllSessions();
+
+      // Parar de aceitar upgrades no servidor HTTP(S)
+      if (this.httpServer) {
+        this.httpServer.removeListener("upgrade", this.upgradeListener);
+        this.httpServer = null;
+        this.upgradeListener = null;
+      }
+      this.routes.forEach((target) => target !== this.server && target.close());
+      this.routes.clear();
+
       // Fechar servidor
       this.server.close();
       this.server = null;
+      this.draining = false;
     }
   }
 }
@@ -0,0 +1,124 @@
+/**
+ * Testes end-to-end: API administrativa
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient } = require("../helpers");
+const sessionManager = require("../../src/websocket/sessionManager");
+const config = require("../../src/config/config");
+
+const ADMIN_TOKEN = "admin-secret";
+
+describe("API administrativa", () => {
+  let server;
+
+  /**
+   * Requisição à API administrativa
+   * @param {string} path - Caminho após /admin
+   * @param {Object} [options] - Opções do fetch; token=null omite a credencial
+   * @returns {Promise<Response>} - Resposta
+   */
+  function adminRequest(path, { token = ADMIN_TOKEN, ...options } = {}) {
+    return fetch(`${server.httpUrl}/admin${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+  }
+
+  before(async () => {
+    server = await startServer();
+    config.admin.tokens = [ADMIN_TOKEN];
+  });
+
+  after(async () => {
+    config.admin.tokens = [];
+    await server.stop();
+  });
+
+  it("fica desativada sem ADMIN_TOKENS", async () => {
+    config.admin.tokens = [];
+    try {
+      const response = await adminRequest("/sessions");
+      assert.equal(response.status, 503);
+      const body = await response.json();
+      assert.equal(body.error.code, "admin_api_disabled");
+    } finally {
+      config.admin.tokens = [ADMIN_TOKEN];
+    }
+  });
+
+  it("recusa tokens de clientes e requisições sem credencial", async () => {
+    for (const token of [null, "test-token", "admin-secreto"]) {
+      const response = await adminRequest("/sessions", { token });
+      assert.equal(response.status, 401);
+      const body = await response.json();
+      assert.equal(body.error.code, "unauthorized");
+    }
+  });
+
+  it("lista, detalha e encerra uma sessão", async () => {
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    let response = await adminRequest("/sessions");
+    assert.equal(response.status, 200);
+    const list = await response.json();
+    const summary = list.sessions.find((session) => session.id === sessionId);
+    assert.equal(summary.identity, "tester");
+    assert.equal(summary.status, "active");
+    assert.ok(summary.client.connected <= Date.now());
+
+    response = await adminRequest(`/sessions/${sessionId}`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).id, sessionId);
+
+    response = await adminRequest(`/sessions/${sessionId}`, {
+      method: "DELETE",
+      body: JSON.stringify({ reason: "Manutenção" }),
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      closed: true,
+      sessionId,
+      reason: "Manutenção",
+    });
+
+    const terminated = await client.waitFor("session.terminated");
+    assert.equal(terminated.reason, "Manutenção");
+    const { code, reason } = await client.closed;
+    assert.equal(code, 4001);
+    assert.equal(reason, "Manutenção");
+    assert.equal(sessionManager.getSession(sessionId), undefined);
+
+    // A sessão já encerrada não existe mais
+    response = await adminRequest(`/sessions/${sessionId}`, {
+      method: "DELETE",
+    });
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error.code, "session_not_found");
+  });
+
+  it("consulta a configuração sem expor segredos", async () => {
+    const response = await adminRequest("/config");
+    assert.equal(response.status, 200);
+    const text = await response.text();
+
+    for (const secret of [
+      ADMIN_TOKEN,
+      "test-key",
+      "test-token",
+      "other-token",
+    ]) {
+      assert.ok(!text.includes(secret), `segredo exposto: ${secret}`);
+    }
+
+    const view = JSON.parse(text);
+    assert.equal(view.config.openai.apiKey, "[redacted]");
+    assert.deepEqual(view.config.admin.tokens, ["[redacted]"]);
+    assert.equal(view.config.auth.tokens[1].identity, "other");
+  });
+});
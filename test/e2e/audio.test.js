@@ -0,0 +1,448 @@
+/**
+ * Testes end-to-end: áudio de entrada e respostas transmitidas
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient, waitUntil } = require("../helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const audioUtils = require("../../src/utils/audioUtils");
+const recordingService = require("../../src/services/recordingService");
+const { StreamingResampler } = require("../../src/utils/resampler");
+
+describe("áudio e respostas", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      responseText: "Resposta de teste.",
+      audioDurationMs: 200,
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("repassa o áudio do cliente e confirma o buffer", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    const audio = Buffer.alloc(4800);
+    client.send({
+      type: "input_audio_buffer.append",
+      audio: audio.toString("base64"),
+    });
+    client.send({ type: "input_audio_buffer.commit" });
+
+    const committed = await client.waitFor("input_audio_buffer.committed");
+    assert.ok(committed.item_id);
+    await client.waitFor(
+      "conversation.item.created",
+      (event) => event.item.id === committed.item_id
+    );
+
+    client.send({ type: "input_audio_buffer.clear" });
+    await client.waitFor("input_audio_buffer.cleared");
+
+    await client.close();
+  });
+
+  it("aceita áudio em frames binários", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+    const before = server.mock.receivedOfType(
+      "input_audio_buffer.append"
+    ).length;
+
+    client.sendBinary(Buffer.alloc(960, 1));
+    await waitUntil(
+      () =>
+        server.mock.receivedOfType("input_audio_buffer.append").length > before
+    );
+
+    const appended = server.mock
+      .receivedOfType("input_audio_buffer.append")
+      .pop();
+    assert.equal(Buffer.from(appended.audio, "base64").length, 960);
+
+    await client.close();
+  });
+
+  it("transmite deltas de texto e áudio da resposta", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({ type: "response.create" });
+    const done = await client.waitFor("response.done");
+    assert.equal(done.response.status, "completed");
+
+    const transcript = client
+      .eventsOfType("response.audio_transcript.delta")
+      .map((event) => event.delta)
+      .join("");
+    assert.equal(transcript, "Resposta de teste.");
+
+    // 200 ms de PCM16 a 24 kHz
+    const audioBytes = client
+      .eventsOfType("response.audio.delta")
+      .reduce(
+        (total, event) => total + Buffer.from(event.delta, "base64").length,
+        0
+      );
+    assert.equal(audioBytes, 9600);
+
+    await client.close();
+  });
+
+  it("transmite respostas somente em texto", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({
+      type: "response.create",
+      response: { modalities: ["text"] },
+    });
+    const done = await client.waitFor("response.text.done");
+    assert.equal(done.text, "Resposta de teste.");
+    assert.equal(client.eventsOfType("response.audio.delta").length, 0);
+
+    await client.close();
+  });
+
+  it("entrega o áudio da resposta em frames binários", async () => {
+    const client = await TestClient.connect(server.url, {
+      query: { audio_output: "binary" },
+    });
+    await client.waitFor("session.created");
+
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+
+    const deltas = client.eventsOfType("response.audio.delta");
+    assert.ok(deltas.length > 0);
+    assert.ok(deltas.every((event) => event.binary && !event.delta));
+    assert.equal(client.binaryFrames.length, deltas.length);
+
+    await client.close();
+  });
+
+  it("converte o áudio para o formato do cliente", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({
+      type: "session.update",
+      session: {
+        client_input_audio_format: "g711_ulaw",
+        client_output_audio_format: "g711_ulaw",
+      },
+    });
+    await client.waitFor("session.updated");
+
+    // 100 ms de μ-law a 8 kHz chegam à OpenAI como PCM16 a 24 kHz
+    client.send({
+      type: "input_audio_buffer.append",
+      audio: audioUtils.pcm16ToMuLaw(Buffer.alloc(1600)).toString("base64"),
+    });
+    await waitUntil(() =>
+      server.mock
+        .receivedOfType("input_audio_buffer.append")
+        .some((event) => Buffer.from(event.audio, "base64").length === 4800)
+    );
+
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+
+    // 200 ms de áudio do modelo viram 1600 bytes de μ-law
+    const audioBytes = client
+      .eventsOfType("response.audio.delta")
+      .reduce(
+        (total, event) => total + Buffer.from(event.delta, "base64").length,
+        0
+      );
+    assert.equal(audioBytes, 1600);
+
+    await client.close();
+  });
+
+  it("cancela a resposta em andamento", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({ type: "response.create" });
+    await client.waitFor("response.created");
+    client.send({ type: "response.cancel" });
+
+    const done = await client.waitFor("response.done");
+    assert.equal(done.response.status, "cancelled");
+
+    await client.close();
+  });
+});
+
+describe("detecção de voz no servidor", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ responseText: "Ouvi você." });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Gera PCM16 a 24 kHz: tom de 440 Hz ou silêncio
+   * @param {number} ms - Duração
+   * @param {number} amplitude - Amplitude (0 = silêncio)
+   * @returns {Buffer} - Áudio PCM16
+   */
+  function pcm16(ms, amplitude) {
+    const samples = (24000 * ms) / 1000;
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+      const value = amplitude * Math.sin((2 * Math.PI * 440 * i) / 24000);
+      buffer.writeInt16LE(Math.round(value * 32767), i * 2);
+    }
+    return buffer;
+  }
+
+  it("descarta o silêncio e fecha o turno ao fim da fala", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({
+      type: "session.update",
+      session: {
+        client_vad: { silence_duration_ms: 200, prefix_padding_ms: 100 },
+      },
+    });
+    await client.waitFor("session.updated");
+
+    // A detecção da OpenAI é desativada no lugar da do servidor
+    const update = server.mock.receivedOfType("session.update").pop();
+    assert.equal(update.session.turn_detection, null);
+    assert.equal(update.session.client_vad, undefined);
+
+    const chunks = [pcm16(1000, 0), pcm16(400, 0.3), pcm16(400, 0)];
+    for (const chunk of chunks) {
+      client.sendBinary(chunk);
+    }
+
+    const started = await client.waitFor("input_audio_buffer.speech_started");
+    assert.equal(started.audio_start_ms, 1000);
+    const stopped = await client.waitFor("input_audio_buffer.speech_stopped");
+    assert.equal(stopped.audio_end_ms, 1400);
+
+    await client.waitFor("input_audio_buffer.committed");
+    const done = await client.waitFor("response.done");
+    assert.equal(done.response.status, "completed");
+
+    // Só a fala, o preenchimento e o silêncio final chegam à OpenAI
+    const forwarded = server.mock
+      .receivedOfType("input_audio_buffer.append")
+      .reduce(
+        (total, event) => total + Buffer.from(event.audio, "base64").length,
+        0
+      );
+    const sent = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    assert.ok(forwarded < sent / 2);
+    assert.equal(server.mock.receivedOfType("response.create").length, 1);
+
+    await client.close();
+  });
+
+  it("responde ao turno encerrado durante uma resposta", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+    client.send({
+      type: "session.update",
+      session: {
+        client_vad: { silence_duration_ms: 200, prefix_padding_ms: 100 },
+        client_barge_in: false,
+      },
+    });
+    await client.waitFor("session.updated");
+
+    // Resposta longa: 2 s de áudio em deltas espaçados
+    const options = { ...server.mock.options };
+    Object.assign(server.mock.options, {
+      audioDurationMs: 2000,
+      chunkDelay: 40,
+    });
+    const requested = server.mock.receivedOfType("response.create").length;
+
+    try {
+      client.sendBinary(Buffer.concat([pcm16(400, 0.3), pcm16(300, 0)]));
+      await client.waitFor("response.created");
+
+      // Segundo turno antes do fim da primeira resposta
+      client.sendBinary(Buffer.concat([pcm16(400, 0.3), pcm16(300, 0)]));
+      await waitUntil(
+        () =>
+          client.eventsOfType("input_audio_buffer.speech_stopped").length === 2
+      );
+      assert.equal(
+        server.mock.receivedOfType("response.create").length,
+        requested + 1
+      );
+
+      await waitUntil(
+        () => client.eventsOfType("response.done").length === 2,
+        5000
+      );
+      assert.equal(
+        server.mock.receivedOfType("response.create").length,
+        requested + 2
+      );
+      assert.ok(
+        client
+          .eventsOfType("response.done")
+          .every((event) => event.response.status === "completed")
+      );
+    } finally {
+      Object.assign(server.mock.options, options);
+    }
+
+    await client.close();
+  });
+
+  it("não encaminha áudio sem fala", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+    const before = server.mock.receivedOfType(
+      "input_audio_buffer.append"
+    ).length;
+
+    client.send({ type: "session.update", session: { client_vad: {} } });
+    await client.waitFor("session.updated");
+    client.sendBinary(pcm16(600, 0.005));
+    client.send({ type: "input_audio_buffer.clear" });
+    await client.waitFor("input_audio_buffer.cleared");
+
+    assert.equal(
+      server.mock.receivedOfType("input_audio_buffer.append").length,
+      before
+    );
+    assert.equal(
+      client.eventsOfType("input_audio_buffer.speech_started").length,
+      0
+    );
+
+    await client.close();
+  });
+});
+
+describe("barge-in", () => {
+  let server;
+
+  before(async () => {
+    // 2 s de áudio transmitidos ao longo de cerca de 600 ms
+    server = await startServer({ audioDurationMs: 2000, chunkDelay: 30 });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("cancela a resposta e trunca o item no ponto reproduzido", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({
+      type: "session.update",
+      session: { client_vad: {}, client_barge_in: true },
+    });
+    await client.waitFor("session.updated");
+
+    client.send({ type: "response.create" });
+    const first = await client.waitFor("response.audio.delta");
+
+    // O usuário começa a falar durante a reprodução
+    const tone = Buffer.alloc(24000 * 0.3 * 2);
+    for (let i = 0; i < tone.length / 2; i++) {
+      tone.writeInt16LE(Math.round(8000 * Math.sin(i / 5)), i * 2);
+    }
+    client.sendBinary(tone);
+
+    const bargeIn = await client.waitFor("server.barge_in");
+    assert.equal(bargeIn.item_id, first.item_id);
+    assert.ok(bargeIn.audio_end_ms > 0 && bargeIn.audio_end_ms < 2000);
+
+    const done = await client.waitFor("response.done");
+    assert.equal(done.response.status, "cancelled");
+
+    const truncated = await client.waitFor("conversation.item.truncated");
+    assert.equal(truncated.item_id, first.item_id);
+    assert.equal(truncated.audio_end_ms, bargeIn.audio_end_ms);
+
+    await client.close();
+  });
+});
+
+describe("gravação", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "recordings-"));
+  const original = recordingService.directory;
+
+  before(() => {
+    recordingService.directory = directory;
+  });
+
+  after(() => {
+    recordingService.directory = original;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("descarta a faixa que não pode ser gravada sem derrubar o servidor", async () => {
+    const recorder = recordingService.createRecorder({
+      id: "gravacao-com-falha",
+      identity: null,
+    });
+    // Um diretório no lugar do arquivo faz a escrita falhar (EISDIR)
+    fs.mkdirSync(path.join(recorder.directory, "user.wav"));
+
+    const audio = Buffer.alloc(4800).toString("base64");
+    recorder.write("user", audio, "pcm16");
+    recorder.write("assistant", audio, "pcm16");
+    await recorder.finalize();
+
+    const metadata = await recordingService.loadMetadata("gravacao-com-falha");
+    assert.deepEqual(Object.keys(metadata.tracks), ["assistant"]);
+    assert.deepEqual(metadata.files, ["assistant.wav", "mix.wav"]);
+  });
+
+  it("preenche pausas com silêncio e mixa a faixa até o fim", async () => {
+    const recorder = recordingService.createRecorder({
+      id: "gravacao-com-pausa",
+      identity: null,
+    });
+    // A faixa começa 2,5 s depois do início da gravação
+    recorder.startedAt -= 2500;
+
+    const tone = Buffer.alloc(1600);
+    for (let i = 0; i < 800; i++) {
+      tone.writeInt16LE(i % 2 ? 8000 : -8000, i * 2);
+    }
+    recorder.write(
+      "user",
+      audioUtils.pcm16ToMuLaw(tone).toString("base64"),
+      "g711_ulaw"
+    );
+    await recorder.finalize();
+
+    const header = audioUtils.getWavHeaderLength("g711_ulaw");
+    const userSamples =
+      fs.statSync(path.join(recorder.directory, "user.wav")).size - header;
+    assert.ok(userSamples >= 2500 * 8 + 800 && userSamples < 2600 * 8 + 800);
+
+    // A mixagem inclui as amostras retidas pelo atraso do reamostrador
+    const mixSamples =
+      (fs.statSync(path.join(recorder.directory, "mix.wav")).size -
+        audioUtils.getWavHeaderLength("pcm16")) /
+      4;
+    const { delay } = new StreamingResampler(8000, 24000);
+    assert.equal(mixSamples, userSamples * 3 + Math.round(delay));
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Testes end-to-end: controle de fluxo para clientes lentos
+ *
+ * O socket do servidor tem o bufferedAmount substituído para simular um
+ * cliente que não consome os eventos.
+ */
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient, delay, waitUntil } = require("../helpers");
+const config = require("../../src/config/config");
+const sessionManager = require("../../src/websocket/sessionManager");
+
+describe("backpressure", () => {
+  const defaults = { ...config.backpressure };
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      responseText: "Uma resposta com várias palavras para juntar.",
+      audioDurationMs: 1000,
+    });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  afterEach(() => {
+    config.backpressure = { ...defaults };
+  });
+
+  /**
+   * Conecta um cliente cujo socket no servidor informa bytes pendentes fixos
+   * @param {Object} settings - Configuração de backpressure da sessão
+   * @returns {Promise<Object>} - { client, congestion }
+   */
+  async function connectSlowClient(settings) {
+    config.backpressure = {
+      ...defaults,
+      highWatermark: 1000,
+      lowWatermark: 100,
+      ...settings,
+      policies: { ...defaults.policies, ...settings.policies },
+    };
+
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    const congestion = { bytes: 0 };
+    Object.defineProperty(
+      sessionManager.getSession(sessionId).ws,
+      "bufferedAmount",
+      { get: () => congestion.bytes }
+    );
+    return { client, congestion };
+  }
+
+  it("junta deltas de texto enquanto o cliente está congestionado", async () => {
+    const { client, congestion } = await connectSlowClient({
+      policies: { downstream: "coalesce_text" },
+    });
+
+    congestion.bytes = 5000;
+    client.send({
+      type: "response.create",
+      response: { modalities: ["text"] },
+    });
+    const started = await client.waitFor(
+      "server.backpressure",
+      (event) => event.state === "started"
+    );
+    assert.equal(started.direction, "downstream");
+
+    await delay(100);
+    congestion.bytes = 0;
+
+    const relieved = await client.waitFor(
+      "server.backpressure",
+      (event) => event.state === "relieved"
+    );
+    assert.ok(relieved.coalesced_events > 0);
+
+    const done = await client.waitFor("response.text.done");
+    const text = client
+      .eventsOfType("response.text.delta")
+      .map((event) => event.delta)
+      .join("");
+    assert.equal(text, done.text);
+
+    await client.close();
+  });
+
+  it("descarta os deltas de áudio mais antigos acima do limite", async () => {
+    const { client, congestion } = await connectSlowClient({
+      policies: { downstream: "drop_audio" },
+      maxQueueBytes: 20000,
+    });
+
+    congestion.bytes = 5000;
+    client.send({ type: "response.create" });
+    await client.waitFor("server.backpressure");
+
+    await delay(200);
+    congestion.bytes = 0;
+
+    const relieved = await client.waitFor(
+      "server.backpressure",
+      (event) => event.state === "relieved"
+    );
+    assert.ok(relieved.dropped_events > 0);
+
+    const done = await client.waitFor("response.done");
+    assert.equal(done.response.status, "completed");
+    assert.ok(client.eventsOfType("response.audio.delta").length < 10);
+
+    await client.close();
+  });
+
+  it("desconecta o cliente que fica acima do limite", async () => {
+    const { client, congestion } = await connectSlowClient({
+      maxQueueBytes: 2000,
+      maxOverLimitMs: 100,
+    });
+    const { sessionId } = client.eventsOfType("connection.established")[0];
+
+    congestion.bytes = 5000;
+    client.send({ type: "response.create" });
+
+    const { code } = await client.closed;
+    assert.equal(code, 1006);
+
+    // A sessão aguarda a retomada com os eventos que não foram entregues
+    const session = sessionManager.getSession(sessionId);
+    await waitUntil(() => session.detachedAt);
+    assert.ok(session.bufferedEvents.length > 0);
+  });
+});
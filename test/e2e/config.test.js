@@ -0,0 +1,177 @@
+/**
+ * Testes end-to-end: configuração em camadas e recarga
+ */
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, TestClient } = require("../helpers");
+const config = require("../../src/config/config");
+const configService = require("../../src/services/configService");
+const { loadConfig, ConfigError } = require("../../src/config/configLoader");
+
+describe("configuração", () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+  const jsonFile = path.join(directory, "server.json");
+  const yamlFile = path.join(directory, "server.yaml");
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.CONFIG_FILE;
+    configService.reload("teste");
+  });
+
+  it("aplica arquivo, ambiente e linha de comando nessa ordem", () => {
+    fs.writeFileSync(
+      jsonFile,
+      JSON.stringify({
+        server: { port: 4000, wsPath: "/rt" },
+        limits: { maxSessions: 3, eventsPerSecond: 4 },
+      })
+    );
+
+    const { config: loaded, sources } = loadConfig({
+      argv: ["--config", jsonFile, "--limits.eventsPerSecond=6"],
+      env: { HTTP_PORT: "4001", WS_EXTRA_PATHS: "/a, /b" },
+    });
+
+    assert.equal(loaded.server.port, 4001);
+    assert.equal(loaded.server.wsPath, "/rt");
+    assert.deepEqual(loaded.server.extraPaths, ["/a", "/b"]);
+    assert.equal(loaded.limits.maxSessions, 3);
+    assert.equal(loaded.limits.eventsPerSecond, 6);
+    assert.equal(loaded.limits.responsesPerMinute, 30);
+    assert.equal(sources["server.port"], "HTTP_PORT");
+    assert.equal(sources["server.wsPath"], "server.json");
+    assert.equal(sources["limits.eventsPerSecond"], "--limits.eventsPerSecond");
+  });
+
+  it("lê arquivos YAML", () => {
+    fs.writeFileSync(yamlFile, "vad:\n  enabled: true\n  threshold: 0.1\n");
+
+    const { config: loaded } = loadConfig({ argv: [], env: {} });
+    assert.equal(loaded.vad.enabled, false);
+
+    const { config: fromYaml } = loadConfig({
+      argv: [],
+      env: { CONFIG_FILE: yamlFile },
+    });
+    assert.equal(fromYaml.vad.enabled, true);
+    assert.equal(fromYaml.vad.threshold, 0.1);
+  });
+
+  it("informa todos os problemas com a origem de cada valor", () => {
+    fs.writeFileSync(
+      yamlFile,
+      "server:\n  port: 70000\nrecording:\n  mode: sometimes\nunknown: 1\n"
+    );
+
+    assert.throws(
+      () =>
+        loadConfig({
+          argv: ["--config", yamlFile, "--vad.threshold=alto"],
+          env: { LIMIT_MAX_SESSIONS: "-1" },
+        }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems.sort(), [
+          "limits.maxSessions (LIMIT_MAX_SESSIONS): deve ser no mínimo 0",
+          "recording.mode (server.yaml): deve ser um de: off, always, policy",
+          "server.port (server.yaml): deve ser no máximo 65535",
+          "unknown (server.yaml): campo desconhecido",
+          'vad.threshold (--vad.threshold): "alto" não é um número',
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it("recarrega os campos seguros sem derrubar as sessões", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+    const port = config.server.port;
+
+    fs.writeFileSync(
+      yamlFile,
+      "server:\n  port: 4100\nlimits:\n  responsesPerMinute: 12\n"
+    );
+    process.env.CONFIG_FILE = yamlFile;
+    const result = configService.reload("teste");
+
+    assert.deepEqual(result.applied, ["limits.responsesPerMinute"]);
+    assert.ok(result.pendingRestart.includes("server.port"));
+    assert.equal(config.limits.responsesPerMinute, 12);
+    assert.equal(config.server.port, port);
+
+    // Arquivo inválido: a configuração atual é mantida
+    fs.writeFileSync(yamlFile, "limits:\n  responsesPerMinute: muitas\n");
+    assert.match(configService.reload("teste").error, /responsesPerMinute/);
+    assert.equal(config.limits.responsesPerMinute, 12);
+
+    client.send({ type: "response.create" });
+    const done = await client.waitFor("response.done");
+    assert.equal(done.response.status, "completed");
+    await client.close();
+  });
+
+  it("aplica os novos limites de taxa às sessões em andamento", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    fs.writeFileSync(yamlFile, "limits:\n  eventsPerSecond: 2\n");
+    process.env.CONFIG_FILE = yamlFile;
+    configService.reload("teste");
+
+    for (let i = 0; i < 5; i++) {
+      client.send({ type: "input_audio_buffer.clear" });
+    }
+    const error = await client.waitFor("error");
+    assert.equal(error.error.code, "rate_limit_exceeded");
+    assert.equal(error.error.limit, "events_per_second");
+    await client.close();
+  });
+
+  it("libera modelos adicionados à lista permitida", async () => {
+    const rejected = await TestClient.connect(server.url, {
+      query: { model: "gpt-4o-mini-realtime-preview" },
+    });
+    const error = await rejected.waitFor("error");
+    assert.equal(error.error.code, "model_not_allowed");
+
+    fs.writeFileSync(
+      yamlFile,
+      "openai:\n  allowedModels:\n    - gpt-4o-mini-realtime-preview\n"
+    );
+    process.env.CONFIG_FILE = yamlFile;
+    configService.reload("teste");
+
+    const client = await TestClient.connect(server.url, {
+      query: { model: "gpt-4o-mini-realtime-preview" },
+    });
+    const created = await client.waitFor("session.created");
+    assert.equal(created.session.model, "gpt-4o-mini-realtime-preview");
+    await client.close();
+  });
+
+  it("omite os segredos na consulta administrativa", () => {
+    const view = configService.getView();
+
+    assert.equal(view.config.openai.apiKey, "[redacted]");
+    assert.ok(
+      view.config.auth.tokens.every((entry) => entry.token === "[redacted]")
+    );
+    assert.equal(view.config.auth.tokens[0].identity, "tester");
+    assert.equal(view.sources["openai.apiKey"], "OPENAI_API_KEY");
+    assert.ok(view.hotReload.includes("limits"));
+  });
+});
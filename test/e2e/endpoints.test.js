@@ -0,0 +1,86 @@
+/**
+ * Testes end-to-end: caminhos WebSocket no servidor HTTP
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient } = require("../helpers");
+const wsServer = require("../../src/websocket/wsServer");
+const config = require("../../src/config/config");
+
+describe("endpoints WebSocket", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("atende o endpoint Realtime nos caminhos configurados", async () => {
+    for (const path of ["/realtime", "/v1/realtime"]) {
+      const client = await TestClient.connect(`${server.baseUrl}${path}`, {
+        query: { source: "test" },
+      });
+      await client.waitFor("session.created");
+      await client.close();
+    }
+  });
+
+  it("recusa o upgrade em caminhos desconhecidos", async () => {
+    await assert.rejects(
+      TestClient.connect(`${server.baseUrl}/desconhecido`),
+      /Handshake recusado: 404/
+    );
+  });
+
+  it("só considera o X-Forwarded-For de proxies confiáveis", () => {
+    const request = (remoteAddress, forwarded) => ({
+      socket: { remoteAddress },
+      headers: forwarded ? { "x-forwarded-for": forwarded } : {},
+    });
+
+    assert.equal(
+      wsServer.getClientIp(request("::ffff:10.0.0.5", "1.2.3.4")),
+      "10.0.0.5"
+    );
+
+    config.server.trustedProxies = ["10.0.0.5", "10.0.0.6"];
+    try {
+      assert.equal(
+        wsServer.getClientIp(
+          request("10.0.0.5", "6.6.6.6, 203.0.113.7, 10.0.0.6")
+        ),
+        "203.0.113.7"
+      );
+      assert.equal(
+        wsServer.getClientIp(request("10.0.0.9", "1.2.3.4")),
+        "10.0.0.9"
+      );
+      assert.equal(
+        wsServer.getClientIp(request("10.0.0.5", "10.0.0.6")),
+        "10.0.0.6"
+      );
+    } finally {
+      config.server.trustedProxies = [];
+    }
+  });
+
+  it("encaminha caminhos registrados ao adaptador", async () => {
+    wsServer.registerPath("/echo", (ws) =>
+      ws.on("message", (data) => ws.send(data.toString()))
+    );
+    assert.throws(() => wsServer.registerPath("/echo", () => {}));
+
+    const client = await TestClient.connect(`${server.baseUrl}/echo`);
+    client.send({ type: "echo.test" });
+    await client.waitFor("echo.test");
+    await client.close();
+
+    await assert.rejects(
+      TestClient.connect(`${server.baseUrl}/echo`, { token: null }),
+      /Handshake recusado: 401/
+    );
+  });
+});
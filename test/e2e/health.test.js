@@ -0,0 +1,102 @@
+/**
+ * Testes end-to-end: verificações de liveness e readiness
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient, waitUntil } = require("../helpers");
+const config = require("../../src/config/config");
+const wsServer = require("../../src/websocket/wsServer");
+const healthService = require("../../src/services/healthService");
+
+describe("verificações de saúde", () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startServer();
+  });
+
+  afterEach(async () => {
+    config.limits.maxSessions = 0;
+    await server.stop();
+  });
+
+  it("fica pronto após a primeira sonda da OpenAI", async () => {
+    assert.equal(healthService.getLiveness().status, "ok");
+    const pending = healthService.getReadiness();
+    assert.equal(pending.status, "not_ready");
+    assert.equal(pending.checks.upstream.status, "pending");
+
+    const result = await healthService.probeUpstream();
+    assert.equal(result.status, "ok");
+    assert.equal(typeof result.durationMs, "number");
+
+    const readiness = healthService.getReadiness();
+    assert.equal(readiness.status, "ready");
+    assert.deepEqual(Object.keys(readiness.checks).sort(), [
+      "capacity",
+      "draining",
+      "server",
+      "upstream",
+    ]);
+    Object.values(readiness.checks).forEach((check) => {
+      assert.equal(check.status, "ok");
+      assert.equal(check.lastError, null);
+    });
+  });
+
+  it("falha quando a OpenAI recusa a chave ou não responde", async () => {
+    server.mock.options.apiKey = "outra-chave";
+    let result = await healthService.probeUpstream();
+    assert.equal(result.status, "fail");
+    assert.match(result.lastError.message, /HTTP 401/);
+    assert.equal(healthService.getReadiness().status, "not_ready");
+
+    await server.mock.stop();
+    result = await healthService.probeUpstream();
+    assert.equal(result.status, "fail");
+    assert.match(result.lastError.message, /ECONNREFUSED/);
+
+    // O último erro continua visível após a recuperação
+    server.mock.options.apiKey = null;
+    config.openai.apiUrl = await server.mock.start();
+    result = await healthService.probeUpstream();
+    assert.equal(result.status, "ok");
+    assert.match(result.lastError.message, /ECONNREFUSED/);
+    assert.equal(healthService.getReadiness().status, "ready");
+  });
+
+  it("falha enquanto o limite de sessões estiver atingido", async () => {
+    await healthService.probeUpstream();
+    config.limits.maxSessions = 1;
+
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    const { status, checks } = healthService.getReadiness();
+    assert.equal(status, "not_ready");
+    assert.equal(checks.capacity.status, "fail");
+    assert.equal(checks.capacity.sessions, 1);
+    assert.equal(checks.capacity.maxSessions, 1);
+
+    await client.close();
+    await waitUntil(
+      () => healthService.getReadiness().checks.capacity.status === "ok"
+    );
+    assert.equal(healthService.getReadiness().status, "ready");
+  });
+
+  it("falha durante a drenagem e quando o servidor para de escutar", async () => {
+    await healthService.probeUpstream();
+
+    await wsServer.drain(100);
+    const { status, checks } = healthService.getReadiness();
+    assert.equal(status, "not_ready");
+    assert.equal(checks.draining.status, "fail");
+    assert.equal(checks.draining.lastError.message, "Servidor em encerramento");
+
+    wsServer.close();
+    const liveness = healthService.getLiveness();
+    assert.equal(liveness.status, "fail");
+    assert.equal(liveness.checks.server.listening, false);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Testes end-to-end: diário de eventos e reprodução de sessões
+ */
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, TestClient } = require("../helpers");
+const config = require("../../src/config/config");
+const sessionManager = require("../../src/websocket/sessionManager");
+const journalService = require("../../src/services/journalService");
+const { replaySession } = require("../../src/mock/sessionReplay");
+
+describe("diário de eventos", () => {
+  const defaults = { ...config.journal };
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+  let server;
+
+  before(async () => {
+    server = await startServer({ chunkDelay: 10 });
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    config.journal = { ...defaults };
+  });
+
+  /**
+   * Executa uma conversa com áudio e fecha o diário da sessão
+   * @returns {Promise<Object>} - { client, filePath }
+   */
+  async function recordConversation() {
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    client.send({
+      type: "input_audio_buffer.append",
+      audio: Buffer.alloc(4800, 1).toString("base64"),
+    });
+    client.send({ type: "input_audio_buffer.commit" });
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+
+    await sessionManager.getSession(sessionId).journal.close();
+    await client.close();
+    return { client, filePath: journalService.getPath(sessionId) };
+  }
+
+  it("registra as direções com tempos monotônicos", async () => {
+    config.journal = { ...defaults, enabled: true, directory };
+    const { filePath } = await recordConversation();
+
+    const lines = fs
+      .readFileSync(filePath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.equal(lines[0].dir, "meta");
+
+    const entries = lines.slice(1);
+    const types = (dir) =>
+      entries.filter((entry) => entry.dir === dir).map((e) => e.event.type);
+    assert.deepEqual(types("client_to_server"), [
+      "input_audio_buffer.append",
+      "input_audio_buffer.commit",
+      "response.create",
+    ]);
+    assert.ok(
+      types("server_to_upstream").includes("input_audio_buffer.commit")
+    );
+    assert.ok(types("upstream_to_server").includes("response.audio.delta"));
+    assert.ok(types("server_to_client").includes("turn.timing"));
+    assert.ok(!types("upstream_to_server").includes("turn.timing"));
+
+    entries.forEach((entry, index) => {
+      assert.ok(index === 0 || entry.t >= entries[index - 1].t);
+    });
+  });
+
+  it("omite o áudio registrando o tamanho", async () => {
+    config.journal = {
+      ...defaults,
+      enabled: true,
+      directory,
+      elideAudio: true,
+    };
+    const { filePath } = await recordConversation();
+
+    const append = fs
+      .readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line))
+      .find((entry) => entry.event && entry.event.audio !== undefined);
+    assert.equal(append.event.audio, "");
+    assert.equal(append.elided, 4800);
+
+    // Na leitura, o áudio volta como zeros do mesmo tamanho
+    const { entries } = await journalService.readJournal(filePath);
+    const restored = entries.find(
+      (entry) => entry.event.type === "input_audio_buffer.append"
+    );
+    assert.equal(Buffer.from(restored.event.audio, "base64").length, 4800);
+  });
+
+  it("reproduz a sessão com as respostas gravadas", async () => {
+    config.journal = { ...defaults, enabled: true, directory };
+    const { client, filePath } = await recordConversation();
+    config.journal = { ...defaults };
+
+    const { events, upstream } = await replaySession(filePath, {
+      tailMs: 500,
+    });
+
+    // O servidor repete o que enviou à OpenAI e entrega as mesmas respostas
+    assert.deepEqual(
+      upstream.map((event) => event.type),
+      server.mock.received.slice(-upstream.length).map((event) => event.type)
+    );
+    const responseTypes = (list) =>
+      list
+        .map((event) => event.type)
+        .filter((type) => type.startsWith("response."));
+    assert.deepEqual(
+      responseTypes(events.map((entry) => entry.event)),
+      responseTypes(client.events)
+    );
+
+    const done = events.find((entry) => entry.event.type === "response.done");
+    assert.equal(
+      done.event.response.id,
+      client.eventsOfType("response.done")[0].response.id
+    );
+  });
+
+  it("não reproduz pelo simulador os eventos gerados pelo servidor", async () => {
+    config.journal = { ...defaults, enabled: true, directory };
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+    server.mock.dropConnections();
+    await client.waitFor("upstream.restored");
+    await sessionManager.getSession(sessionId).journal.close();
+    const filePath = journalService.getPath(sessionId);
+    await client.close();
+    config.journal = { ...defaults };
+
+    const { entries } = await journalService.readJournal(filePath);
+    const reconnecting = entries.filter(
+      (entry) => entry.event.type === "upstream.reconnecting"
+    );
+    assert.equal(reconnecting.length, 1);
+    assert.equal(reconnecting[0].dir, "server_to_client");
+
+    // Sem queda na reprodução, o cliente não recebe avisos de reconexão
+    const { events } = await replaySession(filePath, { tailMs: 100 });
+    assert.ok(events.some((entry) => entry.event.type === "session.created"));
+    assert.ok(
+      !events.some((entry) => entry.event.type.startsWith("upstream."))
+    );
+  });
+});
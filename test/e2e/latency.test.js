@@ -0,0 +1,71 @@
+/**
+ * Testes end-to-end: latência por turno
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient } = require("../helpers");
+const sessionManager = require("../../src/websocket/sessionManager");
+
+describe("latência por turno", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ chunkDelay: 10 });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("envia turn.timing após cada resposta", async () => {
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    client.send({
+      type: "input_audio_buffer.append",
+      audio: Buffer.alloc(4800).toString("base64"),
+    });
+    client.send({ type: "input_audio_buffer.commit" });
+    client.send({ type: "response.create" });
+
+    const done = await client.waitFor("response.done");
+    const timing = await client.waitFor("turn.timing");
+    assert.equal(timing.response_id, done.response.id);
+    assert.equal(timing.status, "completed");
+    assert.equal(timing.turn_start, "commit");
+
+    // As etapas chegam em ordem a partir do início do turno
+    assert.ok(timing.response_created_ms >= 0);
+    assert.ok(timing.first_text_ms >= timing.response_created_ms);
+    assert.ok(timing.first_audio_ms >= timing.response_created_ms);
+    assert.ok(timing.response_done_ms >= timing.first_audio_ms);
+    assert.ok(timing.relay_overhead_ms.client_to_upstream >= 0);
+    assert.ok(timing.relay_overhead_ms.upstream_to_client >= 0);
+
+    // Um turno só de texto começa no response.create
+    client.send({
+      type: "response.create",
+      response: { modalities: ["text"] },
+    });
+    const second = await client.waitFor(
+      "turn.timing",
+      (event) => event.response_id !== timing.response_id
+    );
+    assert.equal(second.turn_start, "response_create");
+    assert.equal(second.first_audio_ms, null);
+
+    const { latency } = sessionManager.getSessionSummary(
+      sessionManager.getSession(sessionId)
+    );
+    assert.equal(latency.turns, 2);
+    const doneMs = latency.stages.response_done_ms;
+    assert.ok(doneMs.p50 <= doneMs.p90 && doneMs.p90 <= doneMs.p99);
+    assert.equal(
+      latency.stages.first_audio_ms.p99,
+      latency.stages.first_audio_ms.p50
+    );
+
+    await client.close();
+  });
+});
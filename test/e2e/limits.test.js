@@ -0,0 +1,53 @@
+/**
+ * Testes end-to-end: limites de taxa por sessão
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient } = require("../helpers");
+
+describe("limites de taxa", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("não limita o áudio enviado em quadros de 10 ms", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    // Um segundo de áudio PCM16 a 24 kHz em 100 quadros
+    const frame = Buffer.alloc(480).toString("base64");
+    for (let i = 0; i < 100; i++) {
+      client.send({ type: "input_audio_buffer.append", audio: frame });
+    }
+    client.send({ type: "input_audio_buffer.commit" });
+    await client.waitFor("input_audio_buffer.committed");
+
+    assert.equal(client.eventsOfType("error").length, 0);
+    assert.equal(
+      server.mock.receivedOfType("input_audio_buffer.append").length,
+      100
+    );
+
+    await client.close();
+  });
+
+  it("limita os demais eventos por segundo", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    for (let i = 0; i < 60; i++) {
+      client.send({ type: "input_audio_buffer.clear" });
+    }
+    const error = await client.waitFor("error");
+    assert.equal(error.error.code, "rate_limit_exceeded");
+    assert.equal(error.error.limit, "events_per_second");
+
+    await client.close();
+  });
+});
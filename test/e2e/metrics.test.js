@@ -0,0 +1,151 @@
+/**
+ * Testes end-to-end: métricas no formato do Prometheus
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient } = require("../helpers");
+const sessionManager = require("../../src/websocket/sessionManager");
+
+/**
+ * Lê o valor de uma amostra no formato de texto do Prometheus
+ * @param {string} text - Métricas expostas
+ * @param {string} name - Nome da amostra
+ * @param {Object} [labels] - Labels da amostra
+ * @returns {number} - Valor ou 0 se a amostra não existir
+ */
+function sample(text, name, labels = {}) {
+  const labelText = Object.entries(labels)
+    .map(([key, value]) => `${key}="${value}"`)
+    .join(",");
+  const prefix = labelText ? `${name}{${labelText}} ` : `${name} `;
+  const line = text.split("\n").find((item) => item.startsWith(prefix));
+  return line ? Number(line.slice(prefix.length)) : 0;
+}
+
+describe("métricas", () => {
+  let server;
+
+  /**
+   * Coleta as métricas pelo endpoint HTTP
+   * @returns {Promise<string>} - Métricas expostas
+   */
+  async function scrape() {
+    const response = await fetch(`${server.httpUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain/);
+    return response.text();
+  }
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("contam sessões, eventos e áudio repassados", async () => {
+    const before = await scrape();
+
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    let current = await scrape();
+    assert.equal(
+      sample(current, "realtime_active_sessions", { state: "attached" }),
+      sample(before, "realtime_active_sessions", { state: "attached" }) + 1
+    );
+    assert.equal(
+      sample(current, "realtime_active_clients"),
+      sample(before, "realtime_active_clients") + 1
+    );
+    assert.equal(
+      sample(current, "realtime_upstream_connect_duration_seconds_count"),
+      sample(before, "realtime_upstream_connect_duration_seconds_count") + 1
+    );
+
+    const audio = Buffer.alloc(4800);
+    client.send({
+      type: "input_audio_buffer.append",
+      audio: audio.toString("base64"),
+    });
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+
+    current = await scrape();
+    const delta = (name, labels) =>
+      sample(current, name, labels) - sample(before, name, labels);
+    assert.equal(
+      delta("realtime_events_total", {
+        direction: "client_to_upstream",
+        type: "response.create",
+      }),
+      1
+    );
+    assert.equal(
+      delta("realtime_events_total", {
+        direction: "upstream_to_client",
+        type: "response.done",
+      }),
+      1
+    );
+    assert.equal(
+      delta("realtime_audio_bytes_total", { direction: "client_to_upstream" }),
+      audio.length
+    );
+    assert.ok(
+      delta("realtime_audio_bytes_total", { direction: "upstream_to_client" }) >
+        0
+    );
+
+    sessionManager.terminateSession(sessionId, "Fim do teste");
+    await client.closed;
+
+    current = await scrape();
+    assert.equal(
+      sample(current, "realtime_active_sessions", { state: "attached" }),
+      sample(before, "realtime_active_sessions", { state: "attached" })
+    );
+    assert.equal(
+      sample(current, "realtime_session_duration_seconds_count"),
+      sample(before, "realtime_session_duration_seconds_count") + 1
+    );
+  });
+
+  it("contam erros enviados aos clientes e falhas da OpenAI", async () => {
+    const before = await scrape();
+
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+    client.ws.send("null");
+    await client.waitFor(
+      "error",
+      (event) => event.error.code === "invalid_event"
+    );
+    await client.close();
+
+    server.mock.rejectConnections = true;
+    try {
+      const rejected = await TestClient.connect(server.url);
+      const { error } = await rejected.waitFor("error");
+      await rejected.closed;
+
+      const current = await scrape();
+      assert.equal(
+        sample(current, "realtime_errors_total", { code: "invalid_event" }),
+        sample(before, "realtime_errors_total", { code: "invalid_event" }) + 1
+      );
+      assert.equal(
+        sample(current, "realtime_errors_total", { code: error.code }),
+        sample(before, "realtime_errors_total", { code: error.code }) + 1
+      );
+      assert.ok(
+        sample(current, "realtime_upstream_connect_failures_total") >
+          sample(before, "realtime_upstream_connect_failures_total")
+      );
+    } finally {
+      server.mock.rejectConnections = false;
+    }
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Testes end-to-end: erros, quedas da OpenAI e retomada de sessão
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient, waitUntil } = require("../helpers");
+const config = require("../../src/config/config");
+const sessionManager = require("../../src/websocket/sessionManager");
+const openaiService = require("../../src/services/openaiService");
+const rateLimiter = require("../../src/services/rateLimiter");
+const presetService = require("../../src/services/presetService");
+
+describe("resiliência", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ responseText: "Tudo certo." });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("repassa erros da OpenAI com o código original", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    server.mock.failNext("response.create", { code: "rate_limit_exceeded" });
+    client.send({ type: "response.create", event_id: "evt_fail" });
+
+    const error = await client.waitFor("error");
+    assert.equal(error.error.code, "rate_limit_exceeded");
+    assert.equal(error.error.event_id, "evt_fail");
+
+    await client.close();
+  });
+
+  it("reconecta à OpenAI e restaura a conversa após uma queda", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({ type: "session.update", session: { voice: "verse" } });
+    await client.waitFor("session.updated");
+    client.send({
+      type: "conversation.item.create",
+      item: {
+        type: "message",
+        role: "user",
+        content: [{ type: "input_text", text: "Lembre disto" }],
+      },
+    });
+    await client.waitFor(
+      "conversation.item.created",
+      (event) => event.item.role === "user"
+    );
+
+    server.mock.dropConnections();
+
+    const reconnecting = await client.waitFor("upstream.reconnecting");
+    assert.equal(reconnecting.attempt, 1);
+    const restored = await client.waitFor("upstream.restored");
+    assert.equal(restored.replayed_items, 1);
+    assert.equal(restored.session_restored, true);
+
+    // A nova conexão continua atendendo a sessão
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+
+    await client.close();
+  });
+
+  it("mantém as alterações do cliente sobre o preset após reconectar", async () => {
+    presetService.presets.set("vendas", { voice: "alloy", temperature: 0.7 });
+    const client = await TestClient.connect(server.url, {
+      query: { preset: "vendas" },
+    });
+    const created = await client.waitFor("session.created");
+    await client.waitFor("session.updated");
+
+    client.send({ type: "session.update", session: { voice: "verse" } });
+    await client.waitFor(
+      "session.updated",
+      (event) => event.session.voice === "verse"
+    );
+
+    // O session.created da nova conexão chega depois da restauração
+    server.mock.options.sessionCreatedDelay = 50;
+    try {
+      server.mock.dropConnections();
+      await client.waitFor("upstream.restored");
+      await client.waitFor(
+        "session.created",
+        (event) => event.session.id !== created.session.id
+      );
+    } finally {
+      server.mock.options.sessionCreatedDelay = 0;
+    }
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+
+    // A última configuração da nova conexão é a acumulada, não o preset
+    const updated = client.eventsOfType("session.updated");
+    const { session } = updated[updated.length - 1];
+    assert.equal(session.voice, "verse");
+    assert.equal(session.temperature, 0.7);
+
+    presetService.presets.delete("vendas");
+    await client.close();
+  });
+
+  it("descarta o áudio durante a reconexão sem um erro por trecho", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    server.mock.dropConnections();
+    await client.waitFor("upstream.reconnecting");
+
+    const audio = Buffer.alloc(960).toString("base64");
+    for (let i = 0; i < 5; i++) {
+      client.send({ type: "input_audio_buffer.append", audio });
+    }
+
+    const restored = await client.waitFor("upstream.restored");
+    assert.equal(restored.dropped_audio_events, 5);
+    assert.equal(client.eventsOfType("error").length, 0);
+
+    await client.close();
+  });
+
+  it("encerra a sessão quando a reconexão se esgota", async () => {
+    const { initialDelay } = config.openai.reconnect;
+    config.openai.reconnect.initialDelay = 20;
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    server.mock.rejectConnections = true;
+    try {
+      server.mock.dropConnections();
+
+      const error = await client.waitFor(
+        "error",
+        (event) => event.error.code === "upstream_unavailable"
+      );
+      assert.ok(error);
+      assert.equal(client.eventsOfType("upstream.reconnecting").length, 3);
+      await client.waitFor("session.terminated");
+      const { code } = await client.closed;
+      assert.equal(code, 4002);
+      assert.equal(sessionManager.getSession(sessionId), undefined);
+    } finally {
+      server.mock.rejectConnections = false;
+      config.openai.reconnect.initialDelay = initialDelay;
+    }
+  });
+
+  it("entrega os eventos perdidos ao retomar a sessão", async () => {
+    const first = await TestClient.connect(server.url);
+    const established = await first.waitFor("connection.established");
+    await first.waitFor("session.created");
+
+    first.send({ type: "response.create" });
+    await first.waitFor("response.created");
+    await first.close();
+
+    // A resposta termina enquanto o cliente está ausente
+    await waitUntil(() =>
+      sessionManager
+        .getSession(established.sessionId)
+        .bufferedEvents.some((event) => event.type === "response.done")
+    );
+
+    const second = await TestClient.connect(server.url, {
+      query: { resume_token: established.resumeToken },
+    });
+    const resumed = await second.waitFor("connection.established");
+    assert.equal(resumed.resumed, true);
+    assert.equal(resumed.sessionId, established.sessionId);
+
+    const done = await second.waitFor("response.done");
+    assert.equal(done.response.status, "completed");
+
+    await second.close();
+  });
+
+  it("não permite retomar a sessão de outra identidade", async () => {
+    const owner = await TestClient.connect(server.url);
+    const established = await owner.waitFor("connection.established");
+    await owner.close();
+
+    const intruder = await TestClient.connect(server.url, {
+      token: "other-token",
+      query: { resume_token: established.resumeToken },
+    });
+    const result = await intruder.waitFor("connection.established");
+    assert.equal(result.resumed, false);
+    assert.notEqual(result.sessionId, established.sessionId);
+
+    await intruder.close();
+  });
+
+  it("libera a vaga e a conexão com a OpenAI se a sessão falhar ao iniciar", async () => {
+    const { policies } = config.backpressure;
+    const downstream = policies.downstream;
+    const sessions = rateLimiter.totalSessions;
+    const connections = openaiService.connections.size;
+
+    policies.downstream = "desconhecida";
+    try {
+      const client = await TestClient.connect(server.url);
+      const error = await client.waitFor("error");
+      assert.equal(error.error.code, "initialization_failed");
+      await client.closed;
+    } finally {
+      policies.downstream = downstream;
+    }
+
+    assert.equal(rateLimiter.totalSessions, sessions);
+    assert.equal(openaiService.connections.size, connections);
+    await waitUntil(() => server.mock.connections.size === connections);
+  });
+
+  it("informa o cliente quando a OpenAI está indisponível", async () => {
+    server.mock.rejectConnections = true;
+    try {
+      const client = await TestClient.connect(server.url);
+      const error = await client.waitFor("error");
+      assert.equal(error.error.code, "initialization_failed");
+      await client.closed;
+    } finally {
+      server.mock.rejectConnections = false;
+    }
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Testes end-to-end: encerramento gradual do servidor
+ */
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient } = require("../helpers");
+const wsServer = require("../../src/websocket/wsServer");
+const sessionManager = require("../../src/websocket/sessionManager");
+
+describe("encerramento gradual", () => {
+  let server;
+
+  beforeEach(async () => {
+    // Respostas longas: 1 s de áudio em 20 deltas espaçados
+    server = await startServer({
+      audioDurationMs: 1000,
+      audioChunkMs: 50,
+      chunkDelay: 20,
+    });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it("aguarda a resposta em andamento e recusa novas conexões", async () => {
+    const idle = await TestClient.connect(server.url);
+    await idle.waitFor("session.created");
+    const busy = await TestClient.connect(server.url);
+    await busy.waitFor("session.created");
+
+    busy.send({ type: "response.create" });
+    await busy.waitFor("response.created");
+
+    const drained = wsServer.drain(3000);
+
+    const notice = await busy.waitFor("server.draining");
+    assert.equal(notice.timeout_ms, 3000);
+    assert.ok(notice.deadline > Date.now());
+
+    // A sessão ociosa é encerrada logo; a ocupada continua
+    assert.equal((await idle.closed).code, 1001);
+    await assert.rejects(
+      TestClient.connect(server.url),
+      /Handshake recusado: 503/
+    );
+
+    const done = await busy.waitFor("response.done");
+    assert.equal(done.response.status, "completed");
+    assert.equal((await busy.closed).code, 1001);
+
+    assert.equal(await drained, true);
+    assert.equal(sessionManager.listSessions().length, 0);
+  });
+
+  it("desiste de aguardar quando o prazo expira", async () => {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+
+    client.send({ type: "response.create" });
+    await client.waitFor("response.created");
+
+    assert.equal(await wsServer.drain(100), false);
+    assert.equal(sessionManager.listSessions().length, 1);
+    assert.equal(client.eventsOfType("response.done").length, 0);
+  });
+});
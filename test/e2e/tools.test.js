@@ -0,0 +1,149 @@
+/**
+ * Testes end-to-end: ferramentas executadas no servidor
+ */
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, TestClient } = require("../helpers");
+const config = require("../../src/config/config");
+const toolRegistry = require("../../src/services/toolRegistry");
+const { registerTools } = require("../../src/tools");
+
+describe("ferramentas do servidor", () => {
+  const calls = [];
+  let server;
+
+  before(async () => {
+    server = await startServer({ responseText: "Pedido enviado." });
+    toolRegistry.register({
+      name: "consultar_pedido",
+      description: "Consulta a situação de um pedido",
+      parameters: {
+        type: "object",
+        properties: { id: { type: "string" } },
+        required: ["id"],
+        additionalProperties: false,
+      },
+      timeout: 100,
+      async handler(args, context) {
+        calls.push({ args, context });
+        if (args.id === "lento") {
+          await new Promise((resolve) => setTimeout(resolve, 300));
+        }
+        return { id: args.id, status: "enviado" };
+      },
+    });
+  });
+
+  after(async () => {
+    toolRegistry.unregister("consultar_pedido");
+    await server.stop();
+  });
+
+  afterEach(() => {
+    calls.length = 0;
+  });
+
+  /**
+   * Conecta um cliente e dispara uma resposta que chama a ferramenta
+   * @param {Object|string} args - Argumentos gerados pelo "modelo"
+   * @returns {Promise<TestClient>} - Cliente conectado
+   */
+  async function callTool(args) {
+    const client = await TestClient.connect(server.url);
+    await client.waitFor("session.created");
+    server.mock.callFunctionNext("consultar_pedido", args);
+    client.send({ type: "response.create" });
+    return client;
+  }
+
+  /**
+   * Resultado devolvido pelo servidor à OpenAI
+   * @param {string} callId - call_id da chamada
+   * @returns {Object} - Saída da função decodificada
+   */
+  function outputFor(callId) {
+    const event = server.mock
+      .receivedOfType("conversation.item.create")
+      .find((received) => received.item.call_id === callId);
+    return JSON.parse(event.item.output);
+  }
+
+  it("executa a ferramenta, devolve o resultado e pede nova resposta", async () => {
+    const creates = server.mock.receivedOfType("response.create").length;
+    const client = await callTool({ id: "42" });
+
+    const started = await client.waitFor("tool.call.started");
+    assert.equal(started.name, "consultar_pedido");
+    const completed = await client.waitFor("tool.call.completed");
+    assert.equal(completed.call_id, started.call_id);
+
+    const done = await client.waitFor(
+      "response.done",
+      (event) => event.response.output.length > 0
+    );
+    assert.equal(done.response.status, "completed");
+    assert.equal(
+      server.mock.receivedOfType("response.create").length,
+      creates + 2
+    );
+
+    assert.deepEqual(outputFor(started.call_id), {
+      id: "42",
+      status: "enviado",
+    });
+    assert.deepEqual(calls[0].args, { id: "42" });
+    assert.equal(calls[0].context.callId, started.call_id);
+
+    // Os argumentos e a chamada não chegam ao cliente
+    assert.equal(
+      client.eventsOfType("response.function_call_arguments.done").length,
+      0
+    );
+    const [first] = client.eventsOfType("response.done");
+    assert.deepEqual(first.response.output, []);
+
+    await client.close();
+  });
+
+  it("devolve o erro ao modelo quando a ferramenta excede o tempo", async () => {
+    const client = await callTool({ id: "lento" });
+
+    const failed = await client.waitFor("tool.call.failed");
+    assert.equal(failed.error.code, "tool_timeout");
+    assert.match(outputFor(failed.call_id).error, /tempo limite de 100ms/);
+
+    // A conversa continua com uma nova resposta
+    await client.waitFor(
+      "response.done",
+      (event) => event.response.output.length > 0
+    );
+    await client.close();
+  });
+
+  it("recusa argumentos fora do schema sem executar a ferramenta", async () => {
+    const client = await callTool({ codigo: 42 });
+
+    const failed = await client.waitFor("tool.call.failed");
+    assert.equal(failed.error.code, "tool_invalid_arguments");
+    assert.match(failed.error.message, /arguments\.id é obrigatório/);
+    assert.equal(calls.length, 0);
+
+    await client.close();
+  });
+
+  it("só registra as ferramentas listadas em TOOLS_ENABLED", () => {
+    const enabled = config.tools.enabled;
+    try {
+      config.tools.enabled = [];
+      registerTools();
+      assert.equal(toolRegistry.has("get_current_time"), false);
+
+      config.tools.enabled = ["get_current_time"];
+      registerTools();
+      assert.equal(toolRegistry.has("get_current_time"), true);
+    } finally {
+      toolRegistry.unregister("get_current_time");
+      config.tools.enabled = enabled;
+    }
+  });
+});
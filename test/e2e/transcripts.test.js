@@ -0,0 +1,107 @@
+/**
+ * Testes end-to-end: consulta das transcrições pela API HTTP
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, TestClient, waitUntil } = require("../helpers");
+const sessionManager = require("../../src/websocket/sessionManager");
+const transcriptService = require("../../src/services/transcriptService");
+const config = require("../../src/config/config");
+
+/**
+ * Verifica se a transcrição de uma sessão já foi gravada por completo
+ * @param {string} sessionId - ID da sessão
+ * @returns {boolean} - true se o arquivo contém o documento
+ */
+function isPersisted(sessionId) {
+  try {
+    JSON.parse(fs.readFileSync(transcriptService.getFilePath(sessionId)));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+describe("transcrições", () => {
+  let server;
+  let directory;
+  let originalDirectory;
+
+  /**
+   * Consulta a transcrição de uma sessão
+   * @param {string} sessionId - ID da sessão
+   * @param {string|null} token - Token do cliente
+   * @param {string} [query=""] - Query string
+   * @returns {Promise<Response>} - Resposta
+   */
+  function getTranscript(sessionId, token, query = "") {
+    return fetch(`${server.httpUrl}/sessions/${sessionId}/transcript${query}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+  }
+
+  before(async () => {
+    server = await startServer({ responseText: "Olá, posso ajudar?" });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "transcripts-"));
+    originalDirectory = transcriptService.directory;
+    transcriptService.directory = directory;
+    config.transcripts.enabled = true;
+  });
+
+  after(async () => {
+    config.transcripts.enabled = false;
+    transcriptService.directory = originalDirectory;
+    fs.rmSync(directory, { recursive: true, force: true });
+    await server.stop();
+  });
+
+  it("entrega a transcrição só à identidade dona da sessão", async () => {
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+
+    // Sessão ativa: transcrição em memória
+    let response = await getTranscript(sessionId, "test-token");
+    assert.equal(response.status, 200);
+    let document = await response.json();
+    assert.equal(document.identity, "tester");
+    assert.equal(document.active, true);
+    assert.ok(
+      document.entries.some(
+        (entry) =>
+          entry.speaker === "assistant" && entry.text === "Olá, posso ajudar?"
+      )
+    );
+
+    response = await getTranscript(sessionId, "test-token", "?format=text");
+    assert.match(await response.text(), /Olá, posso ajudar\?/);
+
+    response = await getTranscript(sessionId, "other-token");
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error.code, "transcript_not_found");
+
+    response = await getTranscript(sessionId, null);
+    assert.equal(response.status, 401);
+
+    // Sessão encerrada: transcrição persistida em disco
+    sessionManager.terminateSession(sessionId, "Fim do teste");
+    await client.closed;
+    await waitUntil(() => isPersisted(sessionId));
+
+    response = await getTranscript(sessionId, "test-token");
+    assert.equal(response.status, 200);
+    document = await response.json();
+    assert.equal(document.active, false);
+    assert.ok(document.closed);
+
+    response = await getTranscript(sessionId, "other-token");
+    assert.equal(response.status, 404);
+    assert.doesNotMatch(await response.text(), /posso ajudar/);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Testes end-to-end: contabilização de tokens e custo estimado
+ */
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { startServer, TestClient, waitUntil } = require("../helpers");
+const sessionManager = require("../../src/websocket/sessionManager");
+const usageService = require("../../src/services/usageService");
+const config = require("../../src/config/config");
+
+/**
+ * Lê os registros do ledger de uma sessão
+ * @param {string} sessionId - ID da sessão
+ * @returns {Array<Object>} - Registros
+ */
+function readLedger(sessionId) {
+  if (!fs.existsSync(config.usage.ledgerFile)) {
+    return [];
+  }
+  return fs
+    .readFileSync(config.usage.ledgerFile, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter((record) => record.sessionId === sessionId);
+}
+
+describe("contabilização de uso", () => {
+  let server;
+
+  /**
+   * Consulta o uso de uma sessão pela API HTTP
+   * @param {string} sessionId - ID da sessão
+   * @param {string|null} token - Token do cliente
+   * @returns {Promise<Response>} - Resposta
+   */
+  function getUsage(sessionId, token) {
+    return fetch(`${server.httpUrl}/sessions/${sessionId}/usage`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+  }
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  it("estima o custo pelo prefixo mais longo do modelo", async () => {
+    const prices = usageService.prices;
+    usageService.prices = {
+      "gpt-4o": { textInput: 1, textOutput: 1 },
+      "gpt-4o-realtime": { textInput: 100, textOutput: 1000 },
+      "gpt-4o-realtime-preview-2099": { textInput: 9999, textOutput: 9999 },
+    };
+
+    try {
+      const client = await TestClient.connect(server.url);
+      const { sessionId } = await client.waitFor("connection.established");
+      await client.waitFor("session.created");
+
+      client.send({ type: "response.create" });
+      const done = await client.waitFor("response.done");
+      const { input_token_details: input, output_token_details: output } =
+        done.response.usage;
+      const expectedCost =
+        (input.text_tokens * 100 + output.text_tokens * 1000) / 1e6;
+
+      const response = await getUsage(sessionId, "test-token");
+      assert.equal(response.status, 200);
+      const body = await response.json();
+      assert.equal(body.sessionId, sessionId);
+      assert.equal(body.model, "gpt-4o-realtime-preview");
+      assert.equal(body.usage.responses, 1);
+      assert.equal(body.usage.totalTokens, done.response.usage.total_tokens);
+      assert.equal(body.usage.textInputTokens, input.text_tokens);
+      assert.equal(body.usage.textOutputTokens, output.text_tokens);
+      assert.ok(Math.abs(body.usage.cost - expectedCost) < 1e-12);
+
+      await client.close();
+    } finally {
+      usageService.prices = prices;
+    }
+  });
+
+  it("mostra o uso só ao dono da sessão", async () => {
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    await client.waitFor("session.created");
+
+    let response = await getUsage(sessionId, "other-token");
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error.code, "session_not_found");
+
+    response = await getUsage(sessionId, null);
+    assert.equal(response.status, 401);
+
+    response = await getUsage("sessao-inexistente", "test-token");
+    assert.equal(response.status, 404);
+
+    await client.close();
+  });
+
+  it("registra no ledger o consumo da sessão encerrada", async () => {
+    const client = await TestClient.connect(server.url);
+    const { sessionId } = await client.waitFor("connection.established");
+    const created = await client.waitFor("session.created");
+
+    client.send({ type: "response.create" });
+    await client.waitFor("response.done");
+    client.send({ type: "response.create" });
+    await waitUntil(() => client.eventsOfType("response.done").length === 2);
+    const usage = { ...sessionManager.getSession(sessionId).usage };
+
+    // Nada é registrado enquanto a sessão está ativa
+    assert.deepEqual(readLedger(sessionId), []);
+
+    sessionManager.terminateSession(sessionId, "Fim do teste");
+    await client.closed;
+    await waitUntil(() => readLedger(sessionId).length > 0);
+
+    const [record] = readLedger(sessionId);
+    assert.equal(record.identity, "tester");
+    assert.equal(record.model, "gpt-4o-realtime-preview");
+    assert.equal(record.openaiSessionId, created.session.id);
+    assert.ok(record.closed >= record.created);
+    assert.deepEqual(record.usage, usage);
+    assert.equal(record.usage.responses, 2);
+    assert.ok(record.usage.cost > 0);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Utilitários dos testes end-to-end
+ *
+ * Sobe o simulador da API Realtime e o servidor WebSocket, anexado a um
+ * servidor HTTP com as rotas REST em porta livre, e oferece um cliente de teste que aguarda eventos por tipo.
+ */
+const express = require("express");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+
+// Configuração dos testes, antes de carregar os módulos do servidor
+process.env.OPENAI_API_KEY = "test-key";
+process.env.AUTH_TOKENS = "test-token:tester,other-token:other";
+process.env.TRANSCRIPTS_ENABLED = "false";
+process.env.RECORDING_MODE = "off";
+process.env.USAGE_REPORT_INTERVAL_MS = "0";
+process.env.USAGE_LEDGER_FILE = path.join(
+  os.tmpdir(),
+  `realtime-usage-${process.pid}.jsonl`
+);
+process.env.SESSION_RESUME_GRACE_MS = "2000";
+process.env.OPENAI_RECONNECT_MAX_ATTEMPTS = "3";
+// Sessões aguardando retomada não devem esgotar as cotas entre os testes
+process.env.LIMIT_SESSIONS_PER_IP = "0";
+process.env.LIMIT_SESSIONS_PER_IDENTITY = "0";
+process.env.WS_EXTRA_PATHS = "/v1/realtime";
+
+const WebSocket = require("ws");
+const config = require("../src/config/config");
+const logger = require("../src/utils/logger");
+const wsServer = require("../src/websocket/wsServer");
+const sessionRoutes = require("../src/routes/sessionRoutes");
+const adminRoutes = require("../src/routes/adminRoutes");
+const metricsService = require("../src/services/metricsService");
+const { MockRealtimeServer } = require("../src/mock/mockRealtimeServer");
+
+// Logs só com DEBUG_TESTS=true
+logger.silent = process.env.DEBUG_TESTS !== "true";
+
+/**
+ * Cria a aplicação Express com as rotas HTTP do servidor
+ * @returns {Object} - Aplicação Express
+ */
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.get("/metrics", async (req, res) => {
+    res.set("Content-Type", metricsService.contentType);
+    res.send(await metricsService.getMetrics());
+  });
+  app.use("/sessions", sessionRoutes);
+  app.use("/admin", adminRoutes);
+  return app;
+}
+
+/**
+ * Sobe o simulador e o servidor WebSocket
+ * @param {Object} [mockOptions] - Opções do MockRealtimeServer
+ * @returns {Promise<Object>} - { mock, url, baseUrl, httpUrl, stop }
+ */
+async function startServer(mockOptions = {}) {
+  const mock = new MockRealtimeServer(mockOptions);
+  config.openai.apiUrl = await mock.start();
+
+  const httpServer = http.createServer(createApp());
+  wsServer.initialize({
+    server: httpServer,
+    paths: [config.server.wsPath, ...config.server.extraPaths],
+  });
+  httpServer.listen(0);
+  await once(httpServer, "listening");
+  const { port } = httpServer.address();
+  const baseUrl = `ws://localhost:${port}`;
+
+  return {
+    mock,
+    url: `${baseUrl}${config.server.wsPath}`,
+    baseUrl,
+    httpUrl: `http://localhost:${port}`,
+    stop: async () => {
+      wsServer.close();
+      httpServer.close();
+      httpServer.closeAllConnections();
+      await mock.stop();
+    },
+  };
+}
+
+/**
+ * Cliente WebSocket de teste
+ */
+class TestClient {
+  /**
+   * @param {WebSocket} ws - Conexão aberta
+   */
+  constructor(ws) {
+    this.ws = ws;
+    this.events = []; // Eventos JSON recebidos
+    this.binaryFrames = []; // Frames binários recebidos
+    this.waiters = [];
+    this.closed = new Promise((resolve) =>
+      ws.on("close", (code, reason) =>
+        resolve({ code, reason: reason.toString() })
+      )
+    );
+
+    ws.on("message", (data, isBinary) => {
+      if (isBinary) {
+        this.binaryFrames.push(data);
+        return;
+      }
+      this.events.push(JSON.parse(data.toString()));
+      this.checkWaiters();
+    });
+  }
+
+  /**
+   * Conecta ao servidor
+   * @param {string} url - URL do servidor
+   * @param {Object} [options] - Opções
+   * @param {string|null} [options.token="test-token"] - Token de autenticação
+   * @param {Object} [options.query] - Parâmetros do handshake
+   * @returns {Promise<TestClient>} - Cliente conectado
+   */
+  static async connect(url, { token = "test-token", query = {} } = {}) {
+    const target = new URL(url);
+    Object.entries(query).forEach(([key, value]) =>
+      target.searchParams.set(key, value)
+    );
+
+    const ws = new WebSocket(target.toString(), {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    const client = new TestClient(ws);
+    await new Promise((resolve, reject) => {
+      ws.once("open", resolve);
+      ws.once("unexpected-response", (req, res) =>
+        reject(new Error(`Handshake recusado: ${res.statusCode}`))
+      );
+      ws.once("error", reject);
+    });
+    return client;
+  }
+
+  /**
+   * Aguarda um evento de um tipo, incluindo os já recebidos
+   * @param {string} type - Tipo do evento
+   * @param {Function} [predicate] - Filtro adicional
+   * @param {number} [timeout=3000] - Tempo máximo em ms
+   * @returns {Promise<Object>} - Evento
+   */
+  waitFor(type, predicate = () => true, timeout = 3000) {
+    const match = (event) => event.type === type && predicate(event);
+    const existing = this.events.find(match);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { match, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter((item) => item !== waiter);
+        reject(new Error(`Evento não recebido: ${type}`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Resolve as esperas satisfeitas pelo último evento
+   */
+  checkWaiters() {
+    const event = this.events[this.events.length - 1];
+    this.waiters = this.waiters.filter((waiter) => {
+      if (!waiter.match(event)) {
+        return true;
+      }
+      clearTimeout(waiter.timer);
+      waiter.resolve(event);
+      return false;
+    });
+  }
+
+  /**
+   * Eventos recebidos de um tipo
+   * @param {string} type - Tipo do evento
+   * @returns {Array<Object>} - Eventos
+   */
+  eventsOfType(type) {
+    return this.events.filter((event) => event.type === type);
+  }
+
+  /**
+   * Envia um evento JSON
+   * @param {Object} event - Evento
+   */
+  send(event) {
+    this.ws.send(JSON.stringify(event));
+  }
+
+  /**
+   * Envia um frame binário
+   * @param {Buffer} data - Dados
+   */
+  sendBinary(data) {
+    this.ws.send(data, { binary: true });
+  }
+
+  /**
+   * Fecha a conexão e aguarda o fechamento
+   * @returns {Promise<Object>} - Código e motivo do fechamento
+   */
+  close() {
+    this.ws.close();
+    return this.closed;
+  }
+}
+
+/**
+ * Aguarda um intervalo
+ * @param {number} ms - Tempo em ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Aguarda até uma condição ser verdadeira
+ * @param {Function} condition - Condição
+ * @param {number} [timeout=3000] - Tempo máximo em ms
+ * @returns {Promise<void>}
+ */
+async function waitUntil(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Condição não atingida no tempo limite");
+    }
+    await delay(10);
+  }
+}
+
+module.exports = {
+  startServer,
+  TestClient,
+  delay,
+  waitUntil,
+};
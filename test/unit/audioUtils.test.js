@@ -0,0 +1,124 @@
+/**
+ * Testes unitários: codecs G.711 (μ-law e A-law)
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  pcm16ToMuLaw,
+  muLawToPcm16,
+  pcm16ToALaw,
+  aLawToPcm16,
+  decodeToPcm16,
+  encodeFromPcm16,
+} = require("../../src/utils/audioUtils");
+
+// Maior amplitude codificada sem saturar
+const G711_CLIP = 32635;
+
+/**
+ * Monta um buffer PCM16 com todos os valores de 16 bits, em ordem
+ * @returns {Buffer} - Buffer PCM16
+ */
+function allSamples() {
+  const buffer = Buffer.alloc(65536 * 2);
+  for (let i = 0; i < 65536; i++) {
+    buffer.writeInt16LE(i - 32768, i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Verifica o erro de ida e volta de cada amostra não saturada
+ * @param {Buffer} decoded - Resultado de decode(encode(allSamples()))
+ * @param {Function} maxError - Erro máximo para uma amostra
+ */
+function assertRoundTrip(decoded, maxError) {
+  assert.equal(decoded.length, 65536 * 2);
+  for (let i = 0; i < 65536; i++) {
+    const sample = i - 32768;
+    if (Math.abs(sample) > G711_CLIP) {
+      continue;
+    }
+    const error = Math.abs(decoded.readInt16LE(i * 2) - sample);
+    assert.ok(
+      error <= maxError(Math.abs(sample)),
+      `erro ${error} na amostra ${sample}`
+    );
+  }
+}
+
+/**
+ * Verifica que a saída decodificada nunca decresce com a entrada
+ * @param {Buffer} decoded - Resultado de decode(encode(allSamples()))
+ */
+function assertMonotonic(decoded) {
+  for (let i = 1; i < 65536; i++) {
+    assert.ok(decoded.readInt16LE(i * 2) >= decoded.readInt16LE((i - 1) * 2));
+  }
+}
+
+describe("G.711 μ-law", () => {
+  it("decodifica os valores de referência", () => {
+    const decoded = muLawToPcm16(Buffer.from([0x00, 0x80, 0x7f, 0xff]));
+    assert.deepEqual(
+      Array.from({ length: 4 }, (_, i) => decoded.readInt16LE(i * 2)),
+      [-32124, 32124, 0, 0]
+    );
+    assert.equal(pcm16ToMuLaw(Buffer.alloc(2))[0], 0xff);
+  });
+
+  it("limita o erro de ida e volta a meio passo de quantização", () => {
+    const decoded = muLawToPcm16(pcm16ToMuLaw(allSamples()));
+    // Passo do segmento: (|amostra| + 132) / 16
+    assertRoundTrip(decoded, (magnitude) => (magnitude + 132) / 32);
+    assertMonotonic(decoded);
+  });
+
+  it("preserva os valores já quantizados", () => {
+    const codes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    const decoded = muLawToPcm16(codes);
+    assert.deepEqual(muLawToPcm16(pcm16ToMuLaw(decoded)), decoded);
+  });
+});
+
+describe("G.711 A-law", () => {
+  it("decodifica os valores de referência", () => {
+    const decoded = aLawToPcm16(Buffer.from([0xd5, 0x55, 0xaa, 0x2a]));
+    assert.deepEqual(
+      Array.from({ length: 4 }, (_, i) => decoded.readInt16LE(i * 2)),
+      [8, -8, 32256, -32256]
+    );
+    assert.equal(pcm16ToALaw(Buffer.alloc(2))[0], 0xd5);
+  });
+
+  it("limita o erro de ida e volta a meio passo de quantização", () => {
+    const decoded = aLawToPcm16(pcm16ToALaw(allSamples()));
+    // Passo de 16 nos dois primeiros segmentos e |amostra| / 16 nos demais
+    assertRoundTrip(decoded, (magnitude) => Math.max(8, magnitude / 32));
+    assertMonotonic(decoded);
+  });
+
+  it("preserva os valores já quantizados", () => {
+    const codes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+    const decoded = aLawToPcm16(codes);
+    assert.deepEqual(aLawToPcm16(pcm16ToALaw(decoded)), decoded);
+  });
+});
+
+describe("transcodificação por formato", () => {
+  it("usa um byte G.711 por amostra PCM16", () => {
+    const pcm16 = allSamples().subarray(0, 321);
+
+    for (const format of ["g711_ulaw", "g711_alaw"]) {
+      const encoded = encodeFromPcm16(pcm16, format);
+      assert.equal(encoded.length, 160);
+      assert.equal(decodeToPcm16(encoded, format).length, 320);
+    }
+  });
+
+  it("repassa PCM16 sem alterações", () => {
+    const pcm16 = allSamples().subarray(0, 320);
+    assert.equal(encodeFromPcm16(pcm16, "pcm16"), pcm16);
+    assert.equal(decodeToPcm16(pcm16, "pcm16"), pcm16);
+  });
+});
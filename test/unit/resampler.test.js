@@ -0,0 +1,140 @@
+/**
+ * Testes unitários: reamostrador em streaming
+ */
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { StreamingResampler } = require("../../src/utils/resampler");
+
+// Conversões entre as taxas dos clientes e os 24 kHz da OpenAI
+const RATE_PAIRS = [8000, 16000, 44100, 48000].flatMap((rate) => [
+  [rate, 24000],
+  [24000, rate],
+]);
+
+/**
+ * Gera um tom senoidal
+ * @param {number} frequency - Frequência (Hz)
+ * @param {number} rate - Taxa de amostragem (Hz)
+ * @param {number} length - Número de amostras
+ * @returns {Float32Array} - Amostras com amplitude 0,5
+ */
+function tone(frequency, rate, length) {
+  return Float32Array.from(
+    { length },
+    (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / rate)
+  );
+}
+
+/**
+ * Valor RMS de um trecho, ignorando as bordas do filtro
+ * @param {Float32Array} samples - Amostras
+ * @returns {number} - RMS
+ */
+function rms(samples) {
+  const edge = Math.floor(samples.length / 10);
+  let sum = 0;
+  for (let i = edge; i < samples.length - edge; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / (samples.length - 2 * edge));
+}
+
+/**
+ * Concatena chunks de saída
+ * @param {Array<Float32Array>} chunks - Chunks
+ * @returns {Float32Array} - Amostras concatenadas
+ */
+function concat(chunks) {
+  const output = new Float32Array(
+    chunks.reduce((total, chunk) => total + chunk.length, 0)
+  );
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+describe("StreamingResampler", () => {
+  it("produz o número de amostras da nova taxa", () => {
+    for (const [inputRate, outputRate] of RATE_PAIRS) {
+      const input = tone(440, inputRate, inputRate);
+
+      const complete = new StreamingResampler(inputRate, outputRate);
+      assert.equal(complete.processComplete(input).length, outputRate);
+
+      // Em streaming, o atraso do filtro sai no flush
+      const streaming = new StreamingResampler(inputRate, outputRate);
+      assert.equal(streaming.process(input).length, outputRate);
+      assert.equal(streaming.flush().length, Math.round(streaming.delay));
+    }
+  });
+
+  it("gera a mesma saída em chunks ou de uma vez", () => {
+    const sizes = [1, 7, 160, 441, 999];
+
+    for (const [inputRate, outputRate] of RATE_PAIRS) {
+      const input = tone(440, inputRate, inputRate);
+      const whole = new StreamingResampler(inputRate, outputRate);
+      const expected = concat([whole.process(input), whole.flush()]);
+
+      const resampler = new StreamingResampler(inputRate, outputRate);
+      const chunks = [];
+      for (let offset = 0, i = 0; offset < input.length; i++) {
+        const size = sizes[i % sizes.length];
+        chunks.push(resampler.process(input.subarray(offset, offset + size)));
+        offset += size;
+      }
+      chunks.push(resampler.flush());
+
+      assert.deepEqual(
+        concat(chunks),
+        expected,
+        `${inputRate} -> ${outputRate} Hz`
+      );
+    }
+  });
+
+  it("preserva a amplitude na banda passante", () => {
+    for (const [inputRate, outputRate] of RATE_PAIRS) {
+      const output = new StreamingResampler(
+        inputRate,
+        outputRate
+      ).processComplete(tone(1000, inputRate, inputRate));
+
+      const expected = 0.5 / Math.SQRT2;
+      assert.ok(
+        Math.abs(rms(output) - expected) < expected * 0.01,
+        `${inputRate} -> ${outputRate} Hz`
+      );
+    }
+  });
+
+  it("atenua frequências acima da nova frequência de Nyquist", () => {
+    for (const [inputRate, frequency] of [
+      [48000, 15000],
+      [44100, 14000],
+      [24000, 6000],
+    ]) {
+      const outputRate = inputRate === 24000 ? 8000 : 24000;
+      const output = new StreamingResampler(
+        inputRate,
+        outputRate
+      ).processComplete(tone(frequency, inputRate, inputRate));
+
+      // Ao menos 60 dB abaixo do tom de entrada
+      assert.ok(
+        rms(output) < (0.5 / Math.SQRT2) * 1e-3,
+        `${frequency} Hz em ${inputRate} -> ${outputRate} Hz`
+      );
+    }
+  });
+
+  it("repassa o áudio quando as taxas são iguais", () => {
+    const resampler = new StreamingResampler(24000, 24000);
+    const input = tone(440, 24000, 480);
+    assert.equal(resampler.process(input), input);
+    assert.equal(resampler.flush().length, 0);
+  });
+});